@@ -1,88 +1,26 @@
-"use strict";
-
-/* =========================================================
-   Helpers
-   ========================================================= */
-const $ = (id) => document.getElementById(id);
-
-function fmtUSD(x) {
-  if (!isFinite(x)) return "—";
-  return x.toLocaleString(undefined, {
-    style: "currency",
-    currency: "USD",
-    maximumFractionDigits: 0
-  });
-}
-function fmtUSD2(x) {
-  if (!isFinite(x)) return "—";
-  return x.toLocaleString(undefined, {
-    style: "currency",
-    currency: "USD",
-    maximumFractionDigits: 2
-  });
-}
-function fmtPct(x) {
-  if (!isFinite(x)) return "—";
-  return (x * 100).toFixed(2) + "%";
-}
-function safeNum(v, d = 0) {
-  const x = parseFloat(v);
-  return isFinite(x) ? x : d;
-}
-
-function copyText(text, statusEl, ok = "Copied.") {
-  navigator.clipboard.writeText(text).then(() => {
-    if (statusEl) {
-      statusEl.textContent = ok;
-      setTimeout(() => (statusEl.textContent = ""), 1400);
-    }
-  });
-}
-
-/* =========================================================
-   Core finance math
-   ========================================================= */
-function monthlyPayment(P, apr, years) {
-  const r = apr / 100 / 12;
-  const n = years * 12;
-  if (r === 0) return P / n;
-  const pow = Math.pow(1 + r, n);
-  return P * (r * pow) / (pow - 1);
-}
-
-function amortSchedule(P, apr, years, extra = 0) {
-  const r = apr / 100 / 12;
-  const base = monthlyPayment(P, apr, years);
-  let bal = P;
-  let month = 0;
-  let totalInterest = 0;
-  const rows = [];
-
-  while (bal > 0.01 && month < 1200) {
-    month++;
-    const interest = r === 0 ? 0 : bal * r;
-    let pay = Math.min(base + extra, bal + interest);
-    const principal = pay - interest;
-    bal -= principal;
-    totalInterest += interest;
-
-    rows.push({
-      month,
-      payment: pay,
-      interest,
-      principal,
-      balance: Math.max(0, bal)
-    });
-  }
-
-  return {
-    rows,
-    months: rows.length,
-    basePayment: base,
-    totalInterest,
-    totalPaid: P + totalInterest
-  };
-}
+import { $, fmtUSD, fmtUSD2, fmtSignedUSD, fmtPct, copyText, readFields, writeFields, pageURL } from "./ui.js";
+import {
+  safeNum,
+  clamp,
+  amortSchedule,
+  creditCardSchedule,
+  refinanceAnalysis,
+  AFFORDABILITY_LIMITS,
+  affordabilityByRate,
+  solveSchedule,
+  prepaymentImpact,
+  structureSensitivity,
+  SENSITIVITY_APR_STEPS,
+  sensitivityGrid,
+  homeValueFrom,
+  PMI_AUTO_LTV,
+  pmiSchedule,
+  escrowSchedule
+} from "./finance.js";
+import { PAGE_SCHEMAS, encodeState, decodeState } from "./urlstate.js";
+import { saveToLibrary } from "./library.js";
+import { reportSections, sectionText, writeReportPDF } from "./report.js";
+import { addMonthsISO, isISODate, withDates, fmtDate, fmtMonthYear, monthText } from "./calendar.js";
 
 /* =========================================================
    Elements
@@ -91,18 +29,44 @@ const els = {
   loanType: $("loanType"),
   principal: $("principal"),
   termYears: $("termYears"),
+  loanStructure: $("loanStructure"),
+  ioYears: $("ioYears"),
+  recastShock: $("recastShock"),
+  balloonAmortYears: $("balloonAmortYears"),
   apr: $("apr"),
+  rateSource: $("rateSource"),
+  rateSourceNote: $("rateSourceNote"),
+  loanStartDate: $("loanStartDate"),
+  firstPaymentDate: $("firstPaymentDate"),
+  dayCount: $("dayCount"),
+  dateNote: $("dateNote"),
   extraPayment: $("extraPayment"),
+  extraStartMonth: $("extraStartMonth"),
+  payFrequency: $("payFrequency"),
+  yearlyExtra: $("yearlyExtra"),
+  yearlyExtraMonth: $("yearlyExtraMonth"),
+  lumpSum: $("lumpSum"),
+  lumpSumMonth: $("lumpSumMonth"),
   delta: $("delta"),
   customDelta: $("customDelta"),
   customDeltaWrap: $("customDeltaWrap"),
 
   ccMode: $("ccMode"),
   ccFixedPayment: $("ccFixedPayment"),
+  ccMinPct: $("ccMinPct"),
+  ccMinFloor: $("ccMinFloor"),
 
   annualTax: $("annualTax"),
   annualIns: $("annualIns"),
   monthlyHOA: $("monthlyHOA"),
+  taxGrowth: $("taxGrowth"),
+  insGrowth: $("insGrowth"),
+  hoaGrowth: $("hoaGrowth"),
+  escrowCushion: $("escrowCushion"),
+  homeValue: $("homeValue"),
+  downPayment: $("downPayment"),
+  pmiRate: $("pmiRate"),
+  pmiRemoval: $("pmiRemoval"),
 
   calcBtn: $("calcBtn"),
   resetBtn: $("resetBtn"),
@@ -124,19 +88,100 @@ const els = {
   pitiAddons: $("pitiAddons"),
   pitiDeltaAbs: $("pitiDeltaAbs"),
   pitiDeltaPct: $("pitiDeltaPct"),
+  prepayRow: $("prepayRow"),
+  prepayInterest: $("prepayInterest"),
+  prepayMonths: $("prepayMonths"),
+  prepayPayoff: $("prepayPayoff"),
+  prepayTotal: $("prepayTotal"),
+  structureRow: $("structureRow"),
+  structureTitle: $("structureTitle"),
+  structureStart: $("structureStart"),
+  structureStartNote: $("structureStartNote"),
+  structureKeyLabel: $("structureKeyLabel"),
+  structureKey: $("structureKey"),
+  structureKeyNote: $("structureKeyNote"),
+  structureScenario: $("structureScenario"),
+  structureScenarioNote: $("structureScenarioNote"),
+  structureBody: $("structureBody"),
+  pmiRow: $("pmiRow"),
+  pmiMonthly: $("pmiMonthly"),
+  pmiLtv: $("pmiLtv"),
+  pmiEnds: $("pmiEnds"),
+  pmiExtraNote: $("pmiExtraNote"),
+  pmiTotal: $("pmiTotal"),
+  pmiTotalNote: $("pmiTotalNote"),
+  escrowCard: $("escrowCard"),
+  escrowNote: $("escrowNote"),
+  escrowBody: $("escrowTable")?.querySelector("tbody"),
 
   scenarioBody: $("scenarioTable")?.querySelector("tbody"),
 
   chart: $("chart"),
   chartBalanceBtn: $("chartBalanceBtn"),
   chartSplitBtn: $("chartSplitBtn"),
+  chartHousingBtn: $("chartHousingBtn"),
 
   copyBtn: $("copyBtn"),
   shareBtn: $("shareBtn"),
+  libSaveBtn: $("libSaveBtn"),
   csvBtn: $("csvBtn"),
+  csvEscrowCols: $("csvEscrowCols"),
   printBtn: $("printBtn"),
+  pdfBtn: $("pdfBtn"),
+
+  refiApr: $("refiApr"),
+  refiTermYears: $("refiTermYears"),
+  refiClosingCosts: $("refiClosingCosts"),
+  refiCostMode: $("refiCostMode"),
+  sensAxis: $("sensAxis"),
+  sensMetric: $("sensMetric"),
+  sensTable: $("sensTable"),
+  sensCsvBtn: $("sensCsvBtn"),
+
+  refiKeepYears: $("refiKeepYears"),
+  refiBtn: $("refiBtn"),
+  refiStatus: $("refiStatus"),
+  refiPayment: $("refiPayment"),
+  refiSavings: $("refiSavings"),
+  refiBreakEven: $("refiBreakEven"),
+  refiBreakEvenNote: $("refiBreakEvenNote"),
+  refiNet: $("refiNet"),
+  refiNetNote: $("refiNetNote"),
+  refiInterest: $("refiInterest"),
+  refiInterestNote: $("refiInterestNote"),
+  refiChart: $("refiChart"),
 
+  affBudget: $("affBudget"),
+  affIncome: $("affIncome"),
+  affFrontDti: $("affFrontDti"),
+  affBackDti: $("affBackDti"),
+  affOtherDebts: $("affOtherDebts"),
+  affBtn: $("affBtn"),
+  affStatus: $("affStatus"),
+  affLoan: $("affLoan"),
+  affLoanNote: $("affLoanNote"),
+  affPrice: $("affPrice"),
+  affPriceNote: $("affPriceNote"),
+  affHousing: $("affHousing"),
+  affHousingNote: $("affHousingNote"),
+  affStep: $("affStep"),
+  affStepNote: $("affStepNote"),
+  affBody: $("affBody"),
+
+  gsVary: $("gsVary"),
+  gsOutput: $("gsOutput"),
+  gsTarget: $("gsTarget"),
+  gsBtn: $("gsBtn"),
+  gsApplyBtn: $("gsApplyBtn"),
+  gsStatus: $("gsStatus"),
+  gsResultLabel: $("gsResultLabel"),
+  gsResult: $("gsResult"),
+  gsResultNote: $("gsResultNote"),
+
+  reportPreparer: $("reportPreparer"),
+  reportNote: $("reportNote"),
   reportDate: $("reportDate"),
+  reportMeta: $("reportMeta"),
   reportInputs: $("reportInputs"),
   reportResults: $("reportResults"),
   reportRefi: $("reportRefi")
@@ -156,6 +201,13 @@ function showHideFields() {
   document.querySelectorAll(".mortgageOnly").forEach(el =>
     el.style.display = t === "mortgage" ? "" : "none"
   );
+  const structure = t === "creditcard" ? "" : els.loanStructure?.value;
+  document.querySelectorAll(".ioOnly").forEach(el =>
+    el.style.display = structure === "interestOnly" ? "" : "none"
+  );
+  document.querySelectorAll(".balloonOnly").forEach(el =>
+    el.style.display = structure === "balloon" ? "" : "none"
+  );
   els.pitiRow.style.display = "none";
 }
 
@@ -173,15 +225,26 @@ let chartMode = "balance";
 function buildChart(schedule) {
   if (!schedule?.rows?.length) return;
 
-  const labels = schedule.rows.map(r => r.month);
+  const labels = schedule.rows.map(r => (r.date ? fmtMonthYear(r.date) : r.month));
   const balance = schedule.rows.map(r => r.balance);
   const interest = schedule.rows.map(r => r.interest);
   const principal = schedule.rows.map(r => r.principal);
 
   if (chart) chart.destroy();
 
+  const line = (label, data) => ({ label, data, borderWidth: 2, tension: 0.25, pointRadius: 0 });
+  const escrow = lastEscrow?.rows;
+
   const datasets =
-    chartMode === "balance"
+    chartMode === "housing" && escrow
+      ? [
+          line("Total housing cost", escrow.map(r => r.housing)),
+          line("Principal & interest", schedule.rows.map(r => r.payment)),
+          line("Escrow deposit", escrow.map(r => r.deposit)),
+          line("HOA", escrow.map(r => r.hoa)),
+          ...(escrow.some(r => r.pmi > 0) ? [line("PMI", escrow.map(r => r.pmi))] : [])
+        ]
+      : chartMode !== "split"
       ? [{
           label: "Remaining balance",
           data: balance,
@@ -189,7 +252,14 @@ function buildChart(schedule) {
           tension: 0.25,
           pointRadius: 0,
           fill: true
-        }]
+        },
+        ...(schedule.rows.some(r => r.events?.length) ? [{
+          label: "Prepayments",
+          data: schedule.rows.map(r => (r.events?.length ? r.balance : null)),
+          showLine: false,
+          pointRadius: 4,
+          pointHoverRadius: 6
+        }] : [])]
       : [
           { label: "Interest", data: interest, borderWidth: 2, tension: 0.25, pointRadius: 0 },
           { label: "Principal", data: principal, borderWidth: 2, tension: 0.25, pointRadius: 0 }
@@ -206,8 +276,15 @@ function buildChart(schedule) {
         legend: { labels: { boxWidth: 12 } },
         tooltip: {
           callbacks: {
-            title: (i) => `Month ${i[0].label}`,
-            label: (i) => `${i.dataset.label}: ${fmtUSD(i.raw)}`
+            title: (i) => {
+              const row = schedule.rows[i[0].dataIndex];
+              return row.date ? `${fmtDate(row.date)} (month ${row.month})` : `Month ${row.month}`;
+            },
+            label: (i) => {
+              const row = schedule.rows[i.dataIndex];
+              if (i.dataset.label === "Prepayments") return `${row.events.join(", ")}: ${fmtUSD(row.extra)}`;
+              return `${i.dataset.label}: ${fmtUSD(i.raw)}`;
+            }
           }
         }
       },
@@ -227,6 +304,257 @@ function buildChart(schedule) {
    ========================================================= */
 let lastSchedule = null;
 let lastSummary = "";
+let lastEscrow = null;  // escrowSchedule() for the baseline, mortgages only
+let lastReport = null;  // reportSections() input from the last calculation
+let lastRefi = null;    // refinance inputs + analysis, once run
+
+function getCreditCardOptions() {
+  return {
+    mode: els.ccMode.value,
+    fixedPayment: safeNum(els.ccFixedPayment.value, NaN),
+    minPct: safeNum(els.ccMinPct?.value, 1),
+    minFloor: safeNum(els.ccMinFloor?.value, 25)
+  };
+}
+
+// Schedule dates, or null to keep month numbers. A first payment date alone
+// implies a start one month earlier (no odd-day interest).
+function getCalendar() {
+  const start = els.loanStartDate?.value;
+  const first = els.firstPaymentDate?.value;
+  if (!isISODate(start) && !isISODate(first)) return null;
+  const startDate = isISODate(start) ? start : addMonthsISO(first, -1);
+  return {
+    startDate,
+    firstPaymentDate: isISODate(first) && first > startDate ? first : addMonthsISO(startDate, 1),
+    convention: els.dayCount?.value || "30/360"
+  };
+}
+
+// Credit card schedules stay monthly; dates only label the rows.
+function datedCardSchedule(schedule, calendar) {
+  if (!calendar) return schedule;
+  const rows = withDates(schedule.rows, calendar.firstPaymentDate);
+  return { ...schedule, rows, payoffDate: schedule.paysOff ? rows[rows.length - 1]?.date : undefined };
+}
+
+function renderDateNote(schedule, calendar) {
+  if (!els.dateNote) return;
+  if (!calendar) {
+    els.dateNote.textContent = "Defaults to one month after the start date.";
+    return;
+  }
+  const payoff = schedule.payoffDate ? ` • payoff ${fmtMonthYear(schedule.payoffDate)}` : "";
+  els.dateNote.textContent = schedule.perDiem
+    ? `First period: ${schedule.firstPeriodDays} days of interest (${fmtUSD2(schedule.perDiem)}/day)${payoff}`
+    : `First payment ${fmtDate(calendar.firstPaymentDate)}${payoff}`;
+}
+
+// Loan structure for amortSchedule(), or null when fully amortizing.
+function getStructure() {
+  const type = els.loanStructure?.value || "amortizing";
+  if (type === "interestOnly") {
+    return {
+      type,
+      ioMonths: Math.round(safeNum(els.ioYears.value, 0) * 12),
+      recastShock: safeNum(els.recastShock.value, 0)
+    };
+  }
+  if (type === "balloon") {
+    return { type, amortMonths: Math.round(safeNum(els.balloonAmortYears.value, 30) * 12) };
+  }
+  return null;
+}
+
+function structureCheck(structure, years) {
+  if (structure?.type === "interestOnly" && !(structure.ioMonths > 0 && structure.ioMonths < years * 12)) {
+    return "Enter an interest-only period shorter than the loan length.";
+  }
+  if (structure?.type === "balloon" && !(structure.amortMonths > years * 12)) {
+    return "Payments for a balloon loan must be figured on more years than the loan length.";
+  }
+  return "";
+}
+
+// Rate steps for the structure table; the page's scenario change is always one of them.
+function sensitivityOffsets(delta) {
+  const offsets = [-1, 0, 1, 2];
+  if (delta && !offsets.includes(delta)) offsets.push(delta);
+  return offsets.sort((a, b) => a - b);
+}
+
+function renderStructure(base, next, sensitivity) {
+  if (!els.structureRow) return;
+  if (!base.structure) {
+    els.structureRow.style.display = "none";
+    return;
+  }
+  const io = base.structure.type === "interestOnly";
+  els.structureRow.style.display = "";
+  els.structureTitle.textContent = io ? "Interest-only period" : "Balloon loan";
+  els.structureStart.textContent = fmtUSD(base.basePayment);
+  els.structureStartNote.textContent = io
+    ? `Interest only for ${base.structure.ioMonths} months`
+    : `Figured on a ${Math.round(base.structure.amortMonths / 12)}-year schedule`;
+
+  if (io) {
+    els.structureKeyLabel.textContent = "Payment after recast";
+    els.structureKey.textContent = fmtUSD(base.recastPayment);
+    els.structureKeyNote.textContent = base.recastPayment === null
+      ? "Paid off before the recast"
+      : `${fmtSignedUSD(base.paymentJump)} from ${monthText(base.rows, base.recastMonth)}`;
+    els.structureScenario.textContent = fmtUSD(next.recastPayment);
+    els.structureScenarioNote.textContent = next.recastPayment === null
+      ? ""
+      : `Jump ${fmtSignedUSD(next.paymentJump)} (${fmtSignedUSD(next.paymentJump - base.paymentJump)} vs baseline)`;
+  } else {
+    els.structureKeyLabel.textContent = "Balloon due";
+    els.structureKey.textContent = fmtUSD(base.balloon);
+    els.structureKeyNote.textContent = base.balloonMonth ? monthText(base.rows, base.balloonMonth) : "Paid off before the balloon";
+    els.structureScenario.textContent = fmtUSD(next.balloon);
+    els.structureScenarioNote.textContent = `Balloon ${fmtSignedUSD(next.balloon - base.balloon)} vs baseline`;
+  }
+
+  els.structureBody.innerHTML = sensitivity.map(s => `
+    <tr>
+      <td>${s.apr.toFixed(2)}%${s.offset === 0 ? " (baseline)" : ""}</td>
+      <td>${fmtUSD(s.firstPayment)}</td>
+      <td>${s.recastPayment === null ? "—" : fmtUSD(s.recastPayment)}</td>
+      <td>${s.recastPayment === null ? "—" : fmtSignedUSD(s.paymentJump)}</td>
+      <td>${s.balloon > 0 ? fmtUSD(s.balloon) : "—"}</td>
+    </tr>
+  `).join("");
+}
+
+// Prepayment plan for amortSchedule(); the monthly extra itself is passed separately.
+function getPrepaymentPlan() {
+  const plan = {
+    extraStartMonth: Math.max(1, Math.round(safeNum(els.extraStartMonth.value, 1))),
+    biweekly: els.payFrequency.value === "biweekly",
+    yearly: null,
+    lumpSums: []
+  };
+  const yearly = safeNum(els.yearlyExtra.value, 0);
+  if (yearly > 0) {
+    plan.yearly = { amount: yearly, monthOfYear: clamp(Math.round(safeNum(els.yearlyExtraMonth.value, 12)), 1, 12) };
+  }
+  const lump = safeNum(els.lumpSum.value, 0);
+  const lumpMonth = Math.round(safeNum(els.lumpSumMonth.value, NaN));
+  if (lump > 0 && lumpMonth >= 1) plan.lumpSums.push({ month: lumpMonth, amount: lump });
+  return plan;
+}
+
+function renderPrepayment(impact) {
+  if (!els.prepayRow) return;
+  if (!impact || !(impact.withPlan.totalPrepaid > 0)) {
+    els.prepayRow.style.display = "none";
+    return;
+  }
+  els.prepayRow.style.display = "";
+  els.prepayInterest.textContent = fmtUSD(impact.interestSaved);
+  els.prepayMonths.textContent = String(impact.monthsSaved);
+  els.prepayPayoff.textContent = impact.withPlan.payoffDate
+    ? `Paid off ${fmtMonthYear(impact.withPlan.payoffDate)} instead of ${fmtMonthYear(impact.without.payoffDate)}`
+    : `Paid off in month ${impact.withPlan.months} instead of ${impact.without.months}`;
+  els.prepayTotal.textContent = fmtUSD(impact.withPlan.totalPrepaid);
+}
+
+// PMI for the baseline and scenario schedules (plus a no-prepayment baseline
+// so the page can show how much sooner prepayments end it).
+function getPmi(P, years, base, next, without) {
+  const homeValue = homeValueFrom(P, safeNum(els.homeValue.value, NaN), safeNum(els.downPayment.value, NaN));
+  const annualRate = safeNum(els.pmiRate.value, 0);
+  if (!(homeValue > 0 && annualRate > 0)) return null;
+
+  const cfg = {
+    principal: P,
+    homeValue,
+    annualRate,
+    removeAtLtv: safeNum(els.pmiRemoval.value, PMI_AUTO_LTV),
+    termMonths: Math.round(years * 12)
+  };
+  return {
+    cfg,
+    base: pmiSchedule(base, cfg),
+    next: pmiSchedule(next, cfg),
+    noExtra: base.totalPrepaid > 0 ? pmiSchedule(without, cfg) : null
+  };
+}
+
+function renderPmi(pmi, schedule) {
+  if (!els.pmiRow) return;
+  if (!pmi) {
+    els.pmiRow.style.display = "none";
+    return;
+  }
+  const { base, next, noExtra, cfg } = pmi;
+  els.pmiRow.style.display = "";
+  els.pmiLtv.textContent = `Starting loan-to-value ${fmtPct(base.startLtv)}`;
+
+  if (!(base.total > 0)) {
+    els.pmiMonthly.textContent = fmtUSD(0);
+    els.pmiEnds.textContent = "Not needed";
+    els.pmiExtraNote.textContent = `Loan-to-value is already at or below ${Math.round(cfg.removeAtLtv * 100)}%.`;
+    els.pmiTotal.textContent = fmtUSD(0);
+    els.pmiTotalNote.textContent = "";
+    return;
+  }
+
+  els.pmiMonthly.textContent = fmtUSD(base.firstPayment);
+  els.pmiEnds.textContent = monthText(schedule.rows, base.endMonth);
+  els.pmiExtraNote.textContent = noExtra
+    ? `${noExtra.endMonth - base.endMonth} months sooner than without prepayments (${fmtUSD(noExtra.total - base.total)} less PMI)`
+    : "Extra payments or a prepayment plan would end it sooner.";
+  els.pmiTotal.textContent = fmtUSD(base.total);
+  els.pmiTotalNote.textContent = `Scenario: ${fmtUSD(next.total)}, ends month ${next.endMonth}`;
+}
+
+function getEscrow(base, pmi) {
+  const cfg = {
+    annualTax: safeNum(els.annualTax.value, 0),
+    annualIns: safeNum(els.annualIns.value, 0),
+    monthlyHOA: safeNum(els.monthlyHOA.value, 0),
+    taxGrowth: safeNum(els.taxGrowth.value, 0),
+    insGrowth: safeNum(els.insGrowth.value, 0),
+    hoaGrowth: safeNum(els.hoaGrowth.value, 0),
+    cushionMonths: safeNum(els.escrowCushion.value, 2),
+    pmiMonthly: pmi?.base.monthly
+  };
+  if (!(cfg.annualTax > 0 || cfg.annualIns > 0 || cfg.monthlyHOA > 0 || pmi)) return null;
+  return escrowSchedule(base, cfg);
+}
+
+function renderEscrow(escrow) {
+  if (!els.escrowCard) return;
+  if (!escrow) {
+    els.escrowCard.style.display = "none";
+    return;
+  }
+  els.escrowCard.style.display = "";
+
+  const first = escrow.rows[0];
+  const peak = escrow.rows.reduce((p, r) => (r.housing > p.housing ? r : p), first);
+  els.escrowNote.textContent =
+    `Opening cushion ${fmtUSD(escrow.initialBalance)} • housing cost ${fmtUSD(first.housing)} in month 1, ` +
+    `peaking at ${fmtUSD(peak.housing)} in year ${Math.ceil(peak.month / 12)}`;
+
+  els.escrowBody.innerHTML = escrow.analyses.map(a => `
+    <tr>
+      <td>${a.year}</td>
+      <td>${fmtUSD(a.bills)}</td>
+      <td>${fmtUSD(a.balanceAfterBills)}</td>
+      <td>${a.shortage > 0 ? fmtUSD(a.shortage) : "—"}</td>
+      <td>${a.surplus > 0 ? fmtUSD(a.surplus) : "—"}</td>
+      <td>${fmtUSD(a.newDeposit)}</td>
+    </tr>
+  `).join("") || `<tr><td colspan="6" class="muted">The loan ends before the first yearly analysis.</td></tr>`;
+}
+
+function payoffNote(schedule) {
+  if (!schedule.paysOff) return "Never pays off at this payment";
+  const date = schedule.payoffDate ? ` (${fmtMonthYear(schedule.payoffDate)})` : "";
+  return `Payoff time: ${schedule.months} months${date}`;
+}
 
 function calculate() {
   const P = safeNum(els.principal.value, NaN);
@@ -238,38 +566,83 @@ function calculate() {
 
   const delta = getDelta();
   const aprNew = apr + delta;
+  const isCard = els.loanType.value === "creditcard";
+  const calendar = getCalendar();
 
-  if (els.loanType.value === "creditcard") {
-    els.status.textContent = "Credit card mode summary only.";
-    return;
+  let base, next, years, cc, plan, prepay, structure;
+  if (isCard) {
+    cc = getCreditCardOptions();
+    if (cc.mode === "fixed" && !(cc.fixedPayment > 0)) {
+      els.status.textContent = "Enter a fixed monthly payment.";
+      return;
+    }
+    base = datedCardSchedule(creditCardSchedule(P, apr, cc), calendar);
+    next = datedCardSchedule(creditCardSchedule(P, aprNew, cc), calendar);
+  } else {
+    years = safeNum(els.termYears.value, NaN);
+    if (!(years > 0)) {
+      els.status.textContent = "Enter a valid loan length.";
+      return;
+    }
+    structure = getStructure();
+    const problem = structureCheck(structure, years);
+    if (problem) {
+      els.status.textContent = problem;
+      return;
+    }
+    const extra = safeNum(els.extraPayment.value, 0);
+    plan = getPrepaymentPlan();
+    prepay = prepaymentImpact(P, apr, years, extra, plan, calendar, structure);
+    base = prepay.withPlan;
+    next = amortSchedule(P, aprNew, years, extra, plan, calendar, structure);
   }
+  runSensitivity(isCard ? null : {
+    principal: P,
+    apr,
+    years,
+    extra: safeNum(els.extraPayment.value, 0),
+    plan,
+    calendar,
+    structure
+  });
+  renderPrepayment(prepay);
+  renderStructure(base, next, structure ? structureSensitivity(P, apr, years, structure, sensitivityOffsets(aprNew - apr)) : []);
+  renderDateNote(base, calendar);
 
-  const years = safeNum(els.termYears.value, NaN);
-  const extra = safeNum(els.extraPayment.value, 0);
-
-  const base = amortSchedule(P, apr, years, extra);
-  const next = amortSchedule(P, aprNew, years, extra);
+  // Lifetime interest is unbounded when the balance never clears.
+  const baseInterest = base.paysOff ? base.totalInterest : NaN;
+  const nextInterest = next.paysOff ? next.totalInterest : NaN;
 
   els.baseMonthly.textContent = fmtUSD(base.basePayment);
-  els.baseNote.textContent = `Payoff time: ${base.months} months`;
-  els.baseInterest.textContent = fmtUSD(base.totalInterest);
-  els.baseTotalPaid.textContent = `Total paid: ${fmtUSD(base.totalPaid)}`;
+  els.baseNote.textContent = payoffNote(base);
+  els.baseInterest.textContent = fmtUSD(baseInterest);
+  els.baseTotalPaid.textContent = base.paysOff ? `Total paid: ${fmtUSD(base.totalPaid)}` : "Total paid: —";
 
   els.newMonthly.textContent = fmtUSD(next.basePayment);
   els.deltaMonthly.textContent =
     `${fmtUSD(next.basePayment - base.basePayment)} (${fmtPct((next.basePayment - base.basePayment) / base.basePayment)})`;
 
-  els.newInterest.textContent = fmtUSD(next.totalInterest);
-  els.deltaInterest.textContent =
-    `${fmtUSD(next.totalInterest - base.totalInterest)} interest`;
+  els.newInterest.textContent = fmtUSD(nextInterest);
+  els.deltaInterest.textContent = next.paysOff
+    ? `${fmtUSD(nextInterest - baseInterest)} interest`
+    : payoffNote(next);
 
+  els.pitiRow.style.display = "none";
+  let pmi = null;
+  lastEscrow = null;
   if (els.loanType.value === "mortgage") {
+    pmi = getPmi(P, years, base, next, prepay.without);
+    renderPmi(pmi, base);
+    lastEscrow = getEscrow(base, pmi);
+
+    // Month-one PMI is the same for both: it's figured on the opening balance.
     const addons =
       safeNum(els.annualTax.value, 0) / 12 +
       safeNum(els.annualIns.value, 0) / 12 +
-      safeNum(els.monthlyHOA.value, 0);
+      safeNum(els.monthlyHOA.value, 0) +
+      (pmi?.base.firstPayment ?? 0);
 
-    if (addons > 0) {
+    if (addons > 0 || pmi) {
       const baseHousing = base.basePayment + addons;
       const newHousing = next.basePayment + addons;
       els.pitiRow.style.display = "";
@@ -281,70 +654,587 @@ function calculate() {
     }
   }
 
+  renderEscrow(lastEscrow);
+
   if (els.scenarioBody) {
     els.scenarioBody.innerHTML = `
-      <tr><td>Baseline</td><td>${apr.toFixed(2)}%</td><td>${fmtUSD(base.basePayment)}</td><td>${fmtUSD(base.totalInterest)}</td><td>—</td><td>—</td></tr>
-      <tr><td>Scenario</td><td>${aprNew.toFixed(2)}%</td><td>${fmtUSD(next.basePayment)}</td><td>${fmtUSD(next.totalInterest)}</td>
+      <tr><td>Baseline</td><td>${apr.toFixed(2)}%</td><td>${fmtUSD(base.basePayment)}</td><td>${fmtUSD(baseInterest)}</td><td>—</td><td>—</td></tr>
+      <tr><td>Scenario</td><td>${aprNew.toFixed(2)}%</td><td>${fmtUSD(next.basePayment)}</td><td>${fmtUSD(nextInterest)}</td>
       <td>${fmtUSD(next.basePayment - base.basePayment)}</td>
-      <td>${fmtUSD(next.totalInterest - base.totalInterest)}</td></tr>
+      <td>${fmtUSD(nextInterest - baseInterest)}</td></tr>
     `;
   }
 
   buildChart(base);
   lastSchedule = base;
+  lastReport = {
+    loanType: els.loanType.value,
+    principal: P,
+    years,
+    apr,
+    aprNew,
+    extra: safeNum(els.extraPayment.value, 0),
+    cc,
+    calendar,
+    structure,
+    base,
+    next,
+    rateSource: els.rateSource?.value || "",
+    tax: safeNum(els.annualTax.value, 0),
+    ins: safeNum(els.annualIns.value, 0),
+    hoa: safeNum(els.monthlyHOA.value, 0),
+    pmi,
+    escrow: lastEscrow,
+    plan,
+    prepay
+  };
+  updatePrintReport();
+
+  const termLine = isCard
+    ? `Payment style: ${cc.mode === "fixed" ? `fixed ${fmtUSD(cc.fixedPayment)}/month` : `minimum (${cc.minPct}% of balance + interest, ${fmtUSD(cc.minFloor)} floor)`}`
+    : `Loan length: ${years} years`;
+  const dateLine = calendar ? `First payment: ${fmtDate(calendar.firstPaymentDate)}\n` : "";
+  const structureLine = !base.structure ? ""
+    : base.structure.type === "interestOnly"
+      ? `\nInterest-only for ${base.structure.ioMonths} months, then ${fmtUSD(base.recastPayment)} (${fmtSignedUSD(base.paymentJump)}); scenario ${fmtUSD(next.recastPayment)}\n`
+      : base.balloonMonth
+        ? `\nBalloon due: ${fmtUSD(base.balloon)} (${monthText(base.rows, base.balloonMonth)}); scenario ${fmtUSD(next.balloon)}\n`
+        : "\nPaid off before the balloon comes due\n";
 
   lastSummary =
 `RateSense Summary
 Loan balance: ${fmtUSD(P)}
-Loan length: ${years} years
-Baseline APR: ${apr.toFixed(2)}%
+${termLine}
+${dateLine}Baseline APR: ${apr.toFixed(2)}%
 Scenario APR: ${aprNew.toFixed(2)}%
 
 Baseline payment: ${fmtUSD(base.basePayment)}
 Scenario payment: ${fmtUSD(next.basePayment)}
 
-Baseline interest: ${fmtUSD(base.totalInterest)}
-Scenario interest: ${fmtUSD(next.totalInterest)}
-
+Baseline interest: ${fmtUSD(baseInterest)}
+Scenario interest: ${fmtUSD(nextInterest)}
+${structureLine}${prepay?.withPlan.totalPrepaid > 0 ? `\nPrepayments save ${fmtUSD(prepay.interestSaved)} interest and ${prepay.monthsSaved} months\n` : ""}${pmi?.base.total > 0 ? `\nPMI: ${fmtUSD(pmi.base.firstPayment)}/month, ${fmtUSD(pmi.base.total)} total\nPMI ends: ${monthText(base.rows, pmi.base.endMonth)}\n` : ""}${isCard || calendar ? `\nBaseline: ${payoffNote(base)}\nScenario: ${payoffNote(next)}\n` : ""}
 Educational use only.`;
 
   els.status.textContent = "";
 }
 
+/* =========================================================
+   Rate sensitivity
+   ========================================================= */
+const SENSITIVITY_METRICS = {
+  payment: { label: "Monthly payment", of: (c) => c.payment, fmt: fmtUSD },
+  paymentChange: { label: "Change in payment", of: (c) => c.paymentChange, fmt: fmtSignedUSD, diverging: true },
+  totalInterest: { label: "Total interest", of: (c) => c.totalInterest, fmt: fmtUSD }
+};
+
+let lastSensitivity = null;   // { loan, grid } for the current calculation
+
+// Green (cheaper) to red (costlier); a diverging scale puts 0 in the middle.
+function heatColor(value, min, max, diverging) {
+  let t;
+  if (diverging) {
+    const span = Math.max(Math.abs(min), Math.abs(max)) || 1;
+    t = 0.5 + value / span / 2;
+  } else {
+    t = max > min ? (value - min) / (max - min) : 0.5;
+  }
+  return `hsla(${Math.round(140 - 140 * t)}, 70%, 45%, 0.35)`;
+}
+
+function sensitivityAxisLabel(axis) {
+  return axis === "principal" ? "Loan balance" : "Loan length (years)";
+}
+
+const SENSITIVITY_EMPTY = els.sensTable?.innerHTML ?? "";
+
+// loan: null for credit cards, which have no grid; the last loan's grid
+// is cleared so it can't be shown or exported with stale numbers.
+function runSensitivity(loan) {
+  const card = els.sensTable?.closest("section");
+  if (els.sensCsvBtn) els.sensCsvBtn.disabled = !loan;
+  if (!loan) {
+    lastSensitivity = null;
+    if (els.sensTable) els.sensTable.innerHTML = SENSITIVITY_EMPTY;
+    if (card) card.style.display = "none";
+    return;
+  }
+  if (card) card.style.display = "";
+  const delta = getDelta();
+  const aprSteps = delta && !SENSITIVITY_APR_STEPS.includes(delta) ? [...SENSITIVITY_APR_STEPS, delta] : SENSITIVITY_APR_STEPS;
+  lastSensitivity = { loan, grid: sensitivityGrid(loan, { axis: els.sensAxis.value, aprSteps }) };
+  renderSensitivity();
+}
+
+function renderSensitivity() {
+  if (!lastSensitivity || !els.sensTable) return;
+  const { loan, grid } = lastSensitivity;
+  const metric = SENSITIVITY_METRICS[els.sensMetric.value];
+  const delta = getDelta();
+
+  const values = grid.rows.flatMap(r => r.cells.map(metric.of));
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+
+  els.sensTable.querySelector("thead").innerHTML = `
+    <tr>
+      <th>${sensitivityAxisLabel(grid.axis)}</th>
+      ${grid.steps.map(d => `<th>${d > 0 ? "+" : ""}${d.toFixed(2)}%${d && d === delta ? " (scenario)" : ""}<br><span class="muted">${(loan.apr + d).toFixed(2)}%</span></th>`).join("")}
+    </tr>`;
+
+  els.sensTable.querySelector("tbody").innerHTML = grid.rows.map(r => `
+    <tr>
+      <th>${grid.axis === "principal" ? fmtUSD(r.value) : r.value}</th>
+      ${r.cells.map(c => {
+        const v = metric.of(c);
+        const base = r.value === grid.baseline.value && c.delta === 0;
+        return `<td${base ? ' class="heatBase"' : ""} style="background:${heatColor(v, min, max, metric.diverging)}">${metric.fmt(v)}</td>`;
+      }).join("")}
+    </tr>`).join("");
+}
+
+function exportSensitivityCSV() {
+  if (!lastSensitivity) return;
+  const { loan, grid } = lastSensitivity;
+  const metric = SENSITIVITY_METRICS[els.sensMetric.value];
+  let csv = `${sensitivityAxisLabel(grid.axis)} / APR (%),${grid.steps.map(d => (loan.apr + d).toFixed(3)).join(",")}\n`;
+  grid.rows.forEach(r => {
+    csv += `${r.value},${r.cells.map(c => metric.of(c).toFixed(2)).join(",")}\n`;
+  });
+  downloadCSV(csv, `ratesense_sensitivity_${els.sensMetric.value}.csv`);
+}
+
+/* =========================================================
+   Refinance
+   ========================================================= */
+let refiChart = null;
+
+function buildRefiChart(analysis) {
+  if (!els.refiChart) return;
+
+  const pts = analysis.points;
+  if (refiChart) refiChart.destroy();
+
+  refiChart = new Chart(els.refiChart, {
+    type: "line",
+    data: {
+      labels: pts.map(p => p.month),
+      datasets: [
+        { label: "Keep current loan", data: pts.map(p => p.keepCost), borderWidth: 2, tension: 0.25, pointRadius: 0 },
+        { label: "Refinance", data: pts.map(p => p.refiCost), borderWidth: 2, tension: 0.25, pointRadius: 0 }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: { labels: { boxWidth: 12 } },
+        tooltip: {
+          callbacks: {
+            title: (i) => `Month ${i[0].label}`,
+            label: (i) => `${i.dataset.label}: ${fmtUSD(i.raw)}`
+          }
+        }
+      },
+      scales: {
+        y: {
+          title: { display: true, text: "Paid so far + balance owed" },
+          ticks: { callback: v => fmtUSD(v) }
+        }
+      }
+    }
+  });
+}
+
+function runRefinance() {
+  const setRefiStatus = (msg) => { if (els.refiStatus) els.refiStatus.textContent = msg; };
+
+  if (els.loanType.value === "creditcard") {
+    setRefiStatus("Refinance analysis applies to amortized loans.");
+    return;
+  }
+
+  const P = safeNum(els.principal.value, NaN);
+  const apr = safeNum(els.apr.value, NaN);
+  const years = safeNum(els.termYears.value, NaN);
+  const extra = safeNum(els.extraPayment.value, 0);
+  const newApr = safeNum(els.refiApr.value, NaN);
+  const newYears = safeNum(els.refiTermYears.value, NaN);
+  const closingCosts = safeNum(els.refiClosingCosts.value, 0);
+  const keepYears = safeNum(els.refiKeepYears.value, NaN);
+
+  if (!(P > 0 && apr >= 0 && years > 0)) {
+    setRefiStatus("Enter the current loan above first.");
+    return;
+  }
+  if (!(newApr >= 0 && newYears > 0 && keepYears > 0 && closingCosts >= 0)) {
+    setRefiStatus("Enter the new rate, new term, closing costs, and how long you'll keep the loan.");
+    return;
+  }
+
+  const a = refinanceAnalysis({
+    principal: P,
+    apr,
+    years,
+    extra,
+    newApr,
+    newYears,
+    closingCosts,
+    costMode: els.refiCostMode.value,
+    keepMonths: keepYears * 12
+  });
+
+  els.refiPayment.textContent = fmtUSD(a.refi.basePayment);
+  els.refiSavings.textContent = `${fmtUSD(a.monthlySavings)} / month vs current ${fmtUSD(a.keep.basePayment)}`;
+
+  els.refiBreakEven.textContent = a.breakEvenMonth === null ? "Never" : `Month ${a.breakEvenMonth}`;
+  els.refiBreakEvenNote.textContent = isFinite(a.simpleBreakEven)
+    ? `Simple estimate (costs ÷ monthly savings): ${Math.ceil(a.simpleBreakEven)} months`
+    : "New payment is not lower than the current payment.";
+
+  els.refiNet.textContent = fmtUSD(a.netSavingsAtHorizon);
+  els.refiNetNote.textContent = a.netSavingsAtHorizon >= 0
+    ? `Saved by refinancing if you keep it ${keepYears} years`
+    : `Lost by refinancing if you keep it ${keepYears} years`;
+
+  els.refiInterest.textContent = fmtUSD(a.lifetimeInterestChange);
+  els.refiInterestNote.textContent = `New loan interest: ${fmtUSD(a.refi.totalInterest)}`;
+
+  buildRefiChart(a);
+  lastRefi = { newApr, newYears, closingCosts, costMode: els.refiCostMode.value, keepYears, analysis: a };
+  updatePrintReport();
+  setRefiStatus("");
+}
+
+/* =========================================================
+   Affordability
+   ========================================================= */
+const AFFORDABILITY_STEPS = [0.25, 0.5, 0.75, 1];
+
+function runAffordability() {
+  const setAffStatus = (msg) => { if (els.affStatus) els.affStatus.textContent = msg; };
+
+  const apr = safeNum(els.apr.value, NaN);
+  const years = safeNum(els.termYears.value, NaN);
+  const budget = safeNum(els.affBudget.value, 0);
+  const grossIncome = safeNum(els.affIncome.value, 0);
+  const frontDti = safeNum(els.affFrontDti.value, 28);
+  const backDti = safeNum(els.affBackDti.value, 36);
+
+  if (!(apr >= 0 && years > 0)) {
+    setAffStatus("Enter the interest rate and loan length above first.");
+    return;
+  }
+  if (!(budget > 0 || grossIncome > 0)) {
+    setAffStatus("Enter a monthly housing budget, a gross income, or both.");
+    return;
+  }
+  if (!(frontDti > 0 && backDti > 0)) {
+    setAffStatus("DTI limits must be above 0%.");
+    return;
+  }
+
+  const delta = getDelta();
+  const deltas = delta && !AFFORDABILITY_STEPS.includes(delta) ? [...AFFORDABILITY_STEPS, delta] : AFFORDABILITY_STEPS;
+  const rows = affordabilityByRate({
+    apr,
+    years,
+    budget,
+    grossIncome,
+    frontDti,
+    backDti,
+    otherDebts: safeNum(els.affOtherDebts.value, 0),
+    annualTax: safeNum(els.annualTax.value, 0),
+    annualIns: safeNum(els.annualIns.value, 0),
+    monthlyHOA: safeNum(els.monthlyHOA.value, 0),
+    downPayment: safeNum(els.downPayment.value, 0),
+    pmiRate: safeNum(els.pmiRate.value, 0)
+  }, deltas);
+
+  const today = rows.find(r => r.delta === 0);
+  const step = rows.find(r => r.delta === 0.25);
+
+  els.affLoan.textContent = fmtUSD(today.loan);
+  els.affLoanNote.textContent = `At ${apr.toFixed(2)}% over ${years} years`;
+  els.affPrice.textContent = fmtUSD(today.homePrice);
+  els.affPriceNote.textContent = today.downPayment > 0
+    ? `With ${fmtUSD(today.downPayment)} down (${fmtPct(1 - today.ltv)})`
+    : "No down payment entered";
+  els.affHousing.textContent = fmtUSD(today.housing);
+  els.affHousingNote.textContent = [
+    `Limited by ${AFFORDABILITY_LIMITS[today.binding].toLowerCase()}`,
+    `P&I ${fmtUSD(today.principalAndInterest)}`,
+    today.pmi > 0 ? `PMI ${fmtUSD(today.pmi)}` : "",
+    today.escrow > 0 ? `taxes/ins/HOA ${fmtUSD(today.escrow)}` : ""
+  ].filter(Boolean).join(" · ");
+  els.affStep.textContent = fmtSignedUSD(-step.stepDrop);
+  els.affStepNote.textContent = today.homePrice > 0
+    ? `${fmtPct(step.stepDrop / today.homePrice)} less home for the first +0.25%`
+    : "";
+
+  els.affBody.innerHTML = rows.map(r => `
+    <tr>
+      <td>${r.delta === 0 ? "Today" : `${r.delta > 0 ? "+" : ""}${r.delta.toFixed(2)}%`}${delta && r.delta === delta ? " (scenario)" : ""}</td>
+      <td>${r.apr.toFixed(2)}%</td>
+      <td>${fmtUSD(r.principalAndInterest)}</td>
+      <td>${fmtUSD(r.loan)}</td>
+      <td>${fmtUSD(r.homePrice)}</td>
+      <td>${r.delta === 0 ? "—" : fmtSignedUSD(-r.priceDrop)}</td>
+      <td>${r.delta === 0 ? "—" : fmtSignedUSD(-r.stepDrop)}</td>
+    </tr>
+  `).join("");
+
+  setAffStatus(today.shortfall > 0
+    ? `Taxes, insurance and HOA alone exceed the allowance by ${fmtUSD(today.shortfall)} / month.`
+    : "");
+}
+
+/* =========================================================
+   Goal seek
+   ========================================================= */
+// Search range, rounding step and display for each input the solver can change.
+const GOAL_INPUTS = {
+  apr: {
+    label: "Interest rate",
+    field: "apr",
+    range: () => ({ lo: 0, hi: 30, step: 0.001 }),
+    fmt: (x) => `${x.toFixed(3)}%`,
+    value: (x) => x.toFixed(3)
+  },
+  principal: {
+    label: "Loan balance",
+    field: "principal",
+    range: () => ({ lo: 0, hi: 10000000, step: 1 }),
+    fmt: fmtUSD,
+    value: (x) => x.toFixed(0)
+  },
+  years: {
+    label: "Loan length",
+    field: "termYears",
+    range: () => ({ lo: 1 / 12, hi: 50, step: 1 / 12 }),
+    fmt: (x) => `${Math.round(x * 12)} months (${x.toFixed(2)} years)`,
+    value: (x) => String(+x.toFixed(4))
+  },
+  extra: {
+    label: "Extra monthly payment",
+    field: "extraPayment",
+    range: (loan) => ({ lo: 0, hi: loan.principal, step: 0.01 }),
+    fmt: fmtUSD2,
+    value: (x) => x.toFixed(2)
+  }
+};
+
+const GOAL_OUTPUTS = {
+  payment: { label: "monthly payment", fmt: fmtUSD2 },
+  totalInterest: { label: "total interest", fmt: fmtUSD },
+  payoffMonth: { label: "payoff month", fmt: (m) => `month ${Math.round(m)}` }
+};
+
+let lastGoal = null;    // { vary, x } from the latest successful solve
+
+function goalSeekMessage(result, input, output) {
+  const { lo, hi } = result;
+  if (result.reason === "invalid") {
+    return `The loan can't be figured between ${input.fmt(lo.x)} and ${input.fmt(hi.x)}.`;
+  }
+  if (lo.value === hi.value) {
+    return `The ${output.label} doesn't depend on the ${input.label.toLowerCase()} (it stays ${output.fmt(lo.value)}).`;
+  }
+  return `No ${input.label.toLowerCase()} from ${input.fmt(lo.x)} to ${input.fmt(hi.x)} reaches it: ` +
+    `the ${output.label} only runs from ${output.fmt(lo.value)} to ${output.fmt(hi.value)}.`;
+}
+
+function runGoalSeek() {
+  const setGsStatus = (msg) => { if (els.gsStatus) els.gsStatus.textContent = msg; };
+  lastGoal = null;
+  els.gsApplyBtn.disabled = true;
+  els.gsResult.textContent = "—";
+  els.gsResultNote.textContent = "";
+
+  const loan = {
+    principal: safeNum(els.principal.value, NaN),
+    apr: safeNum(els.apr.value, NaN),
+    years: safeNum(els.termYears.value, NaN),
+    extra: safeNum(els.extraPayment.value, 0),
+    plan: getPrepaymentPlan(),
+    calendar: getCalendar(),
+    structure: getStructure()
+  };
+  const vary = els.gsVary.value;
+  const outputKey = els.gsOutput.value;
+  const target = safeNum(els.gsTarget.value, NaN);
+  const input = GOAL_INPUTS[vary];
+  const output = GOAL_OUTPUTS[outputKey];
+
+  const known = { principal: loan.principal > 0, apr: loan.apr >= 0, years: loan.years > 0 };
+  delete known[vary];
+  if (Object.values(known).some(ok => !ok)) {
+    setGsStatus("Enter the rest of the loan above first.");
+    return;
+  }
+  if (!(target > 0)) {
+    setGsStatus("Enter a target above 0.");
+    return;
+  }
+  if (vary !== "years") {
+    const problem = structureCheck(loan.structure, loan.years);
+    if (problem) {
+      setGsStatus(problem);
+      return;
+    }
+  }
+
+  const result = solveSchedule(loan, vary, outputKey, target, input.range(loan));
+  els.gsResultLabel.textContent = input.label;
+  if (!result.ok) {
+    setGsStatus(goalSeekMessage(result, input, output));
+    return;
+  }
+
+  els.gsResult.textContent = input.fmt(result.x);
+  els.gsResultNote.textContent = result.alreadyMet
+    ? `Already met at the lowest ${input.label.toLowerCase()} tried`
+    : `Gives a ${output.label} of ${output.fmt(result.value)}`;
+  lastGoal = { vary, x: result.x };
+  els.gsApplyBtn.disabled = false;
+  setGsStatus("");
+}
+
+function applyGoalSeek() {
+  if (!lastGoal) return;
+  const input = GOAL_INPUTS[lastGoal.vary];
+  els[input.field].value = input.value(lastGoal.x);
+  if (input.field === "apr") showRateSource("");
+  calculate();
+}
+
+/* =========================================================
+   Rate source (APR sent from the Rates page)
+   ========================================================= */
+const RATE_SOURCE_TIP = els.rateSourceNote?.innerHTML ?? "";
+
+// Records where the APR came from (kept in share links and reports);
+// "" when it was typed in.
+function showRateSource(source) {
+  if (!els.rateSource) return;
+  els.rateSource.value = source;
+  if (source) els.rateSourceNote.textContent = `From ${source}`;
+  else els.rateSourceNote.innerHTML = RATE_SOURCE_TIP;
+}
+
+/* =========================================================
+   Report (print view + PDF)
+   ========================================================= */
+function currentReport() {
+  if (!lastReport) return null;
+  return reportSections({
+    ...lastReport,
+    generated: new Date(),
+    preparer: els.reportPreparer?.value,
+    note: els.reportNote?.value,
+    refi: lastReport.loanType === "creditcard" ? null : lastRefi
+  });
+}
+
+function updatePrintReport() {
+  const r = currentReport();
+  if (!r || !els.reportInputs) return;
+  els.reportDate.textContent = r.date;
+  els.reportMeta.textContent = [r.preparer && `Prepared by ${r.preparer}`, r.note].filter(Boolean).join(" — ");
+  els.reportInputs.textContent = sectionText(r.inputs);
+  els.reportResults.textContent = [sectionText(r.results), sectionText(r.piti)].filter(Boolean).join("\n\n");
+  els.reportRefi.textContent = sectionText(r.refi);
+}
+
+const CHART_TITLES = {
+  balance: "Remaining balance (baseline)",
+  split: "Interest vs principal (baseline)",
+  housing: "Monthly housing cost (baseline)"
+};
+
+function chartImage(c, title) {
+  if (!c) return null;
+  return { title, dataUrl: c.toBase64Image("image/png", 1), width: c.width, height: c.height };
+}
+
+function downloadPDF() {
+  const r = currentReport();
+  if (!r) {
+    els.status.textContent = "Calculate first, then download the PDF.";
+    return;
+  }
+  if (!window.jspdf?.jsPDF) {
+    els.status.textContent = "PDF library didn't load. Check your connection and reload.";
+    return;
+  }
+
+  const doc = new window.jspdf.jsPDF({ unit: "pt", format: "letter" });
+  const images = [
+    chartImage(chart, CHART_TITLES[chartMode === "housing" && !lastEscrow ? "balance" : chartMode]),
+    r.refi ? chartImage(refiChart, "Cumulative cost: keep vs refinance") : null
+  ].filter(Boolean);
+
+  writeReportPDF(doc, r, images);
+  doc.save("ratesense_report.pdf");
+  els.status.textContent = "PDF downloaded.";
+}
+
 /* =========================================================
    CSV + Share
    ========================================================= */
 function exportCSV() {
   if (!lastSchedule) return;
-  let csv = "Month,Payment,Interest,Principal,Balance\n";
-  lastSchedule.rows.forEach(r => {
-    csv += `${r.month},${r.payment.toFixed(2)},${r.interest.toFixed(2)},${r.principal.toFixed(2)},${r.balance.toFixed(2)}\n`;
+  // Optional escrow columns: tax, insurance, HOA, PMI, escrow deposit/balance, housing cost.
+  const escrow = els.csvEscrowCols?.checked ? lastEscrow?.rows : null;
+  const dated = lastSchedule.rows.some(r => r.date);
+  let csv = `Month,${dated ? "Date," : ""}Payment,Interest,Principal,Balance,Prepayment`;
+  if (escrow) csv += ",Tax,Insurance,HOA,PMI,Escrow deposit,Escrow balance,Housing cost";
+  csv += "\n";
+  lastSchedule.rows.forEach((r, i) => {
+    csv += `${r.month},${dated ? `${r.date},` : ""}${r.payment.toFixed(2)},${r.interest.toFixed(2)},${r.principal.toFixed(2)},${r.balance.toFixed(2)},${(r.extra ?? 0).toFixed(2)}`;
+    if (escrow) {
+      const e = escrow[i];
+      csv += `,${e.tax.toFixed(2)},${e.insurance.toFixed(2)},${e.hoa.toFixed(2)},${e.pmi.toFixed(2)},${e.deposit.toFixed(2)},${e.balance.toFixed(2)},${e.housing.toFixed(2)}`;
+    }
+    csv += "\n";
   });
+  downloadCSV(csv, "ratesense_schedule.csv");
+}
+
+function downloadCSV(csv, filename) {
   const blob = new Blob([csv], { type: "text/csv" });
   const a = document.createElement("a");
   a.href = URL.createObjectURL(blob);
-  a.download = "ratesense_schedule.csv";
+  a.download = filename;
   a.click();
 }
 
 function shareLink() {
-  const url = new URL(window.location.href);
-  url.search = "";
-  url.searchParams.set("p", els.principal.value);
-  url.searchParams.set("apr", els.apr.value);
-  url.searchParams.set("term", els.termYears.value);
-  url.searchParams.set("delta", els.delta.value);
-  copyText(url.toString(), els.status, "Share link copied.");
+  const query = encodeState("calculator", readFields(PAGE_SCHEMAS.calculator));
+  copyText(pageURL(query), els.status, "Share link copied.");
+}
+
+// Same inputs as the share link, kept in the scenario library.
+function saveScenario() {
+  try {
+    const entry = saveToLibrary("calculator", readFields(PAGE_SCHEMAS.calculator));
+    els.status.textContent = `Saved “${entry.name}” to your library. Rename, tag or reopen it on the Scenarios page.`;
+  } catch {
+    els.status.textContent = "Couldn't save: this browser's storage is full or turned off.";
+  }
 }
 
 /* =========================================================
    Events
    ========================================================= */
 els.loanType.addEventListener("change", showHideFields);
-els.delta.addEventListener("change", () => {
+els.loanStructure?.addEventListener("change", showHideFields);
+function showHideCustomDelta() {
   els.customDeltaWrap.style.display =
     els.delta.value === "custom" ? "" : "none";
-});
+}
+els.delta.addEventListener("change", showHideCustomDelta);
 
 els.calcBtn.addEventListener("click", calculate);
 els.resetBtn.addEventListener("click", () => location.reload());
@@ -354,8 +1244,20 @@ els.copyBtn.addEventListener("click", () => {
   copyText(lastSummary, els.status, "Summary copied.");
 });
 els.shareBtn.addEventListener("click", shareLink);
+els.libSaveBtn?.addEventListener("click", saveScenario);
 els.csvBtn.addEventListener("click", exportCSV);
 els.printBtn.addEventListener("click", () => window.print());
+els.pdfBtn?.addEventListener("click", downloadPDF);
+els.apr.addEventListener("input", () => showRateSource(""));
+els.reportPreparer?.addEventListener("input", updatePrintReport);
+els.reportNote?.addEventListener("input", updatePrintReport);
+els.refiBtn?.addEventListener("click", runRefinance);
+els.sensAxis?.addEventListener("change", () => runSensitivity(lastSensitivity?.loan));
+els.sensMetric?.addEventListener("change", renderSensitivity);
+els.sensCsvBtn?.addEventListener("click", exportSensitivityCSV);
+els.affBtn?.addEventListener("click", runAffordability);
+els.gsBtn?.addEventListener("click", runGoalSeek);
+els.gsApplyBtn?.addEventListener("click", applyGoalSeek);
 
 els.chartBalanceBtn.addEventListener("click", () => {
   chartMode = "balance";
@@ -365,11 +1267,36 @@ els.chartSplitBtn.addEventListener("click", () => {
   chartMode = "split";
   if (lastSchedule) buildChart(lastSchedule);
 });
+els.chartHousingBtn?.addEventListener("click", () => {
+  chartMode = "housing";
+  if (lastSchedule) buildChart(lastSchedule);
+});
 
 /* =========================================================
    Init
    ========================================================= */
 
+// ===== Restore inputs from a share link =====
+(function restoreFromURL(){
+  const state = decodeState("calculator", window.location.search);
+  if (!state.present) return;
+
+  writeFields(state.values);
+  showRateSource(state.values.rateSource);
+  showHideFields();
+  showHideCustomDelta();
+  if (state.migrated) {
+    history.replaceState(null, "", pageURL(encodeState("calculator", state.values)));
+  }
+
+  calculate();
+  if (state.values.refiApr !== "") runRefinance();
+  if (state.values.affBudget !== "" || state.values.affIncome !== "") runAffordability();
+  if (state.invalid.length) {
+    els.status.textContent = `Some link values were invalid and reset to defaults: ${state.invalid.join(", ")}.`;
+  }
+})();
+
 // ===== Scenario preload from Scenarios page =====
 (function preloadScenario(){
   try{
@@ -380,7 +1307,16 @@ els.chartSplitBtn.addEventListener("click", () => {
 
     if (s.loanType && els.loanType) els.loanType.value = s.loanType;
     if (isFinite(s.principal) && els.principal) els.principal.value = s.principal;
-    if (isFinite(s.apr) && els.apr) els.apr.value = s.apr;
+    if (isFinite(s.apr) && els.apr) {
+      els.apr.value = s.apr;
+      showRateSource(s.rateSource || "");
+    }
+    // Rates page spread: the scenario APR is the live rate + spread.
+    if (isFinite(s.delta) && els.delta) {
+      els.delta.value = s.delta ? "custom" : "0";
+      if (els.customDelta) els.customDelta.value = s.delta ? s.delta.toFixed(2) : "";
+      showHideCustomDelta();
+    }
 
     if (s.loanType === "creditcard"){
       if (els.ccMode && s.ccMode) els.ccMode.value = s.ccMode;
@@ -397,7 +1333,14 @@ els.chartSplitBtn.addEventListener("click", () => {
     }
 
     showHideFields();
-    if (els.status) els.status.textContent = "Scenario loaded. Click Calculate.";
+    if (els.status) {
+      const scenario = s.delta
+        ? ` Scenario APR ${(Number(s.apr) + s.delta).toFixed(2)}% (${s.delta > 0 ? "+" : "−"}${Math.abs(s.delta).toFixed(2)} pts).`
+        : "";
+      els.status.textContent = s.rateSource
+        ? `APR set to ${Number(s.apr).toFixed(2)}% from ${s.rateSource}.${scenario} Click Calculate.`
+        : "Scenario loaded. Click Calculate.";
+    }
   } catch(e){
     // ignore
   }
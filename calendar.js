@@ -0,0 +1,109 @@
+/* =========================================================
+   Calendar dates and day-count conventions
+   =========================================================
+   Dates are ISO strings ("2025-03-01") throughout; all math is
+   done in UTC so time zones and DST never shift a day.
+
+   Day counts (year fraction between two dates):
+     30/360         — US (bond basis): every month is 30 days
+     actual/365     — actual days / 365
+     actual/actual  — actual days, each calendar year's share
+                      divided by that year's length (ISDA)
+========================================================= */
+
+export const DAY_COUNTS = ["30/360", "actual/365", "actual/actual"];
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+function parts(iso) {
+  return iso.split("-").map(Number);
+}
+
+export function isISODate(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s || "")) return false;
+  const [y, m, d] = parts(s);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+// Calendar month arithmetic on ISO dates; clamps to month end (Jan 31 + 1 → Feb 28/29).
+export function addMonthsISO(iso, months) {
+  const [y, m, d] = parts(iso);
+  const total = (y * 12 + (m - 1)) + months;
+  const ny = Math.floor(total / 12);
+  const nm = total - ny * 12;
+  const lastDay = new Date(Date.UTC(ny, nm + 1, 0)).getUTCDate();
+  const nd = Math.min(d, lastDay);
+  return `${String(ny).padStart(4, "0")}-${String(nm + 1).padStart(2, "0")}-${String(nd).padStart(2, "0")}`;
+}
+
+export function addDaysISO(iso, days) {
+  return new Date(Date.parse(iso + "T00:00:00Z") + days * 86400000).toISOString().slice(0, 10);
+}
+
+export function daysBetweenISO(a, b) {
+  return (Date.parse(b + "T00:00:00Z") - Date.parse(a + "T00:00:00Z")) / 86400000;
+}
+
+function isLeap(y) {
+  return (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+}
+
+export function dayCountFraction(convention, from, to) {
+  if (convention === "actual/365") return daysBetweenISO(from, to) / 365;
+
+  if (convention === "actual/actual") {
+    const y1 = parts(from)[0];
+    const y2 = parts(to)[0];
+    let frac = 0;
+    for (let y = y1; y <= y2; y++) {
+      const a = y === y1 ? from : `${y}-01-01`;
+      const b = y === y2 ? to : `${y + 1}-01-01`;
+      frac += daysBetweenISO(a, b) / (isLeap(y) ? 366 : 365);
+    }
+    return frac;
+  }
+
+  // 30/360 US
+  let [y1, m1, d1] = parts(from);
+  let [y2, m2, d2] = parts(to);
+  if (d1 === 31) d1 = 30;
+  if (d2 === 31 && d1 === 30) d2 = 30;
+  return (360 * (y2 - y1) + 30 * (m2 - m1) + (d2 - d1)) / 360;
+}
+
+// Days in a convention's year, for per-diem interest.
+export function dayCountBasis(convention) {
+  return convention === "30/360" ? 360 : 365;
+}
+
+// Payment n (1-based) falls n - 1 months after the first payment date.
+export function paymentDate(firstPaymentISO, n) {
+  return addMonthsISO(firstPaymentISO, n - 1);
+}
+
+// Copies rows with a `date` for each month number (no-op without a date).
+export function withDates(rows, firstPaymentISO) {
+  if (!isISODate(firstPaymentISO)) return rows;
+  return rows.map(r => ({ ...r, date: paymentDate(firstPaymentISO, r.month) }));
+}
+
+// "2025-03-01" → "Mar 2025"
+export function fmtMonthYear(iso) {
+  if (!iso) return "";
+  const [y, m] = parts(iso);
+  return `${MONTHS[m - 1]} ${y}`;
+}
+
+// "2025-03-01" → "Mar 1, 2025"
+export function fmtDate(iso) {
+  if (!iso) return "";
+  const [y, m, d] = parts(iso);
+  return `${MONTHS[m - 1]} ${d}, ${y}`;
+}
+
+// "Mar 2031 (month 75)" when the schedule is dated, else "Month 75".
+export function monthText(rows, month) {
+  const date = rows?.[month - 1]?.date;
+  return date ? `${fmtMonthYear(date)} (month ${month})` : `Month ${month}`;
+}
@@ -0,0 +1,200 @@
+import { $, fmtUSD, fmtSignedUSD, copyText, readFields, writeFields, pageURL } from "./ui.js";
+import { safeNum, compareLoans } from "./finance.js";
+import { PAGE_SCHEMAS, encodeState, decodeState } from "./urlstate.js";
+import { saveToLibrary } from "./library.js";
+
+/* =========================================================
+   Elements
+   ========================================================= */
+const FIELDS = ["Type", "P", "Term", "Apr", "Extra", "Tax", "Ins", "Hoa"];
+
+function loanInputs(prefix) {
+  const el = {};
+  FIELDS.forEach(f => (el[f] = $(prefix + f)));
+  return el;
+}
+
+const els = {
+  a: loanInputs("a"),
+  b: loanInputs("b"),
+
+  compareBtn: $("compareBtn"),
+  compareCopyBtn: $("compareCopyBtn"),
+  compareShareBtn: $("compareShareBtn"),
+  compareLibSaveBtn: $("compareLibSaveBtn"),
+  compareStatus: $("compareStatus"),
+  compareBody: $("compareTable")?.querySelector("tbody"),
+  compareChart: $("compareChart"),
+};
+
+function setStatus(msg) {
+  if (!els.compareStatus) return;
+  els.compareStatus.textContent = msg || "";
+}
+
+function readLoan(el) {
+  return {
+    type: el.Type.value,
+    principal: safeNum(el.P.value, NaN),
+    years: safeNum(el.Term.value, NaN),
+    apr: safeNum(el.Apr.value, NaN),
+    extra: safeNum(el.Extra.value, 0),
+    annualTax: safeNum(el.Tax.value, 0),
+    annualIns: safeNum(el.Ins.value, 0),
+    monthlyHOA: safeNum(el.Hoa.value, 0),
+  };
+}
+
+function validLoan(l) {
+  return l.principal > 0 && l.years > 0 && l.apr >= 0;
+}
+
+/* =========================================================
+   Chart (overlaid balances)
+   ========================================================= */
+let chart = null;
+
+function buildChart(A, B) {
+  if (!els.compareChart) return;
+
+  const months = Math.max(A.schedule.months, B.schedule.months);
+  const labels = Array.from({ length: months }, (_, i) => i + 1);
+  const balanceAt = (loan) => labels.map(m => loan.schedule.rows[m - 1]?.balance ?? 0);
+
+  if (chart) chart.destroy();
+
+  chart = new Chart(els.compareChart, {
+    type: "line",
+    data: {
+      labels,
+      datasets: [
+        { label: "Loan A balance", data: balanceAt(A), borderWidth: 2, tension: 0.25, pointRadius: 0 },
+        { label: "Loan B balance", data: balanceAt(B), borderWidth: 2, tension: 0.25, pointRadius: 0 },
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: { labels: { boxWidth: 12 } },
+        tooltip: {
+          callbacks: {
+            title: (i) => `Month ${i[0].label}`,
+            label: (i) => `${i.dataset.label}: ${fmtUSD(i.raw)}`
+          }
+        }
+      },
+      scales: {
+        y: { ticks: { callback: v => fmtUSD(v) } }
+      }
+    }
+  });
+}
+
+/* =========================================================
+   Table + summary
+   ========================================================= */
+let lastSummary = "";
+
+function crossoverText(result) {
+  if (result.crossoverMonth === null) return "No crossover (one loan stays cheaper)";
+  return `Month ${result.crossoverMonth}`;
+}
+
+function renderTable(result) {
+  if (!els.compareBody) return;
+  const { A, B } = result;
+
+  const money = (label, fa, fb) => ({ label, a: fmtUSD(fa), b: fmtUSD(fb), d: fmtSignedUSD(fb - fa) });
+  const rows = [
+    { label: "APR", a: `${A.apr.toFixed(2)}%`, b: `${B.apr.toFixed(2)}%`, d: `${(B.apr - A.apr >= 0 ? "+" : "")}${(B.apr - A.apr).toFixed(2)}%` },
+    money("Monthly payment (P&I)", A.schedule.basePayment, B.schedule.basePayment),
+    money("Add-ons (tax + insurance + fees)", A.addons, B.addons),
+    money("Total monthly cost", A.monthlyTotal, B.monthlyTotal),
+    money("Total interest", A.schedule.totalInterest, B.schedule.totalInterest),
+    money("Total cost (incl. add-ons)", A.totalCost, B.totalCost),
+    {
+      label: "Payoff month",
+      a: String(A.schedule.months),
+      b: String(B.schedule.months),
+      d: `${B.schedule.months - A.schedule.months >= 0 ? "+" : ""}${B.schedule.months - A.schedule.months} months`
+    },
+    { label: "Cumulative cost crossover", a: "", b: "", d: crossoverText(result) },
+  ];
+
+  els.compareBody.innerHTML = rows.map(r => `
+    <tr><td>${r.label}</td><td>${r.a}</td><td>${r.b}</td><td>${r.d}</td></tr>
+  `).join("");
+}
+
+function buildSummary(result) {
+  const { A, B } = result;
+  const line = (name, L) =>
+    `${name}: ${L.type}, ${fmtUSD(L.principal)} at ${L.apr.toFixed(2)}% for ${L.years} years` +
+    (L.extra > 0 ? ` (+${fmtUSD(L.extra)}/month extra)` : "");
+
+  return `RateSense Comparison
+${line("Loan A", A)}
+${line("Loan B", B)}
+
+Monthly payment (P&I): A ${fmtUSD(A.schedule.basePayment)} | B ${fmtUSD(B.schedule.basePayment)} | B − A ${fmtSignedUSD(B.schedule.basePayment - A.schedule.basePayment)}
+Total monthly cost: A ${fmtUSD(A.monthlyTotal)} | B ${fmtUSD(B.monthlyTotal)} | B − A ${fmtSignedUSD(B.monthlyTotal - A.monthlyTotal)}
+Total interest: A ${fmtUSD(A.schedule.totalInterest)} | B ${fmtUSD(B.schedule.totalInterest)} | B − A ${fmtSignedUSD(B.schedule.totalInterest - A.schedule.totalInterest)}
+Total cost: A ${fmtUSD(A.totalCost)} | B ${fmtUSD(B.totalCost)} | B − A ${fmtSignedUSD(B.totalCost - A.totalCost)}
+Payoff: A month ${A.schedule.months} | B month ${B.schedule.months}
+Cumulative cost crossover: ${crossoverText(result)}
+
+Educational use only.`;
+}
+
+/* =========================================================
+   Run
+   ========================================================= */
+function runCompare() {
+  const a = readLoan(els.a);
+  const b = readLoan(els.b);
+
+  if (!validLoan(a) || !validLoan(b)) {
+    setStatus("Enter balance, years, and APR for both loans.");
+    return;
+  }
+
+  const result = compareLoans(a, b);
+  renderTable(result);
+  buildChart(result.A, result.B);
+  lastSummary = buildSummary(result);
+  setStatus("");
+}
+
+els.compareBtn?.addEventListener("click", runCompare);
+els.compareCopyBtn?.addEventListener("click", () => {
+  if (!lastSummary) return setStatus("Run a comparison first.");
+  copyText(lastSummary, els.compareStatus, "Comparison copied.");
+});
+els.compareShareBtn?.addEventListener("click", () => {
+  const query = encodeState("compare", readFields(PAGE_SCHEMAS.compare));
+  copyText(pageURL(query), els.compareStatus, "Share link copied.");
+});
+els.compareLibSaveBtn?.addEventListener("click", () => {
+  try {
+    const entry = saveToLibrary("compare", readFields(PAGE_SCHEMAS.compare));
+    setStatus(`Saved “${entry.name}” to your library. Rename, tag or reopen it on the Scenarios page.`);
+  } catch {
+    setStatus("Couldn't save: this browser's storage is full or turned off.");
+  }
+});
+
+/* =========================================================
+   Restore from a share link
+   ========================================================= */
+(function restoreFromURL() {
+  const state = decodeState("compare", window.location.search);
+  if (!state.present) return;
+
+  writeFields(state.values);
+  runCompare();
+  if (state.invalid.length) {
+    setStatus(`Some link values were invalid and reset to defaults: ${state.invalid.join(", ")}.`);
+  }
+})();
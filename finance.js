@@ -0,0 +1,1285 @@
+/* =========================================================
+   RateSense finance math
+   =========================================================
+   Pure calculations shared by every page. No DOM access here:
+   page scripts import what they need, and test/ runs the same
+   functions under node:test.
+========================================================= */
+import { addMonthsISO, dayCountFraction, dayCountBasis, daysBetweenISO, paymentDate, isISODate } from "./calendar.js";
+
+export function safeNum(v, d = NaN) {
+  const x = parseFloat(v);
+  return isFinite(x) ? x : d;
+}
+
+export function clamp(v, lo, hi) {
+  if (isFinite(lo)) v = Math.max(lo, v);
+  if (isFinite(hi)) v = Math.min(hi, v);
+  return v;
+}
+
+/* =========================================================
+   Core finance math
+   ========================================================= */
+export function monthlyPayment(P, apr, years) {
+  const r = apr / 100 / 12;
+  const n = years * 12;
+  if (r === 0) return P / n;
+  const pow = Math.pow(1 + r, n);
+  return P * (r * pow) / (pow - 1);
+}
+
+/*
+  Prepayment plan (all optional):
+    extraStartMonth — the monthly `extra` begins in this month (default 1)
+    lumpSums        — [{ month, amount }] one-time prepayments
+    yearly          — { amount, monthOfYear } every 12 months, in loan
+                      month monthOfYear, 12 + monthOfYear, ...
+    biweekly        — half the monthly payment every 14 days, i.e. 26
+                      half-payments a year; months with a third half-
+                      payment act as a prepayment (interest stays monthly)
+*/
+const AVG_MONTH_DAYS = 365 / 12;
+
+// Half-payments (days 14, 28, 42, ...) that land in loan month m.
+export function biweeklyHalvesInMonth(m) {
+  return Math.floor(m * AVG_MONTH_DAYS / 14) - Math.floor((m - 1) * AVG_MONTH_DAYS / 14);
+}
+
+function plannedPrepayment(plan, extra, month, base) {
+  const events = [];
+  let amount = 0;
+
+  if (extra > 0 && month >= (plan?.extraStartMonth ?? 1)) amount += extra;
+
+  if (plan?.biweekly) {
+    const bonus = (biweeklyHalvesInMonth(month) - 2) * base / 2;
+    if (bonus > 0) {
+      amount += bonus;
+      events.push("Biweekly extra half-payment");
+    }
+  }
+
+  if (plan?.yearly?.amount > 0 && month >= plan.yearly.monthOfYear &&
+      (month - plan.yearly.monthOfYear) % 12 === 0) {
+    amount += plan.yearly.amount;
+    events.push("Yearly prepayment");
+  }
+
+  (plan?.lumpSums || []).forEach(l => {
+    if (l.amount > 0 && l.month === month) {
+      amount += l.amount;
+      events.push("Lump sum");
+    }
+  });
+
+  return { amount, events };
+}
+
+/*
+  Calendar (optional) dates the schedule:
+    startDate        — loan funding date
+    firstPaymentDate — default one month after startDate
+    convention       — "30/360" (default), "actual/365", "actual/actual"
+  The first period accrues per-diem interest from startDate to the first
+  payment date. Later periods run payment date to payment date; under
+  30/360 each one is a full 30-day month, so a schedule whose first period
+  is exactly one month matches the undated schedule to the cent. The last
+  scheduled payment settles whatever the odd days left over.
+*/
+function scheduleCalendar(calendar) {
+  if (!isISODate(calendar?.startDate)) return null;
+  const convention = calendar.convention || "30/360";
+  const firstPaymentDate = isISODate(calendar.firstPaymentDate) && calendar.firstPaymentDate > calendar.startDate
+    ? calendar.firstPaymentDate
+    : addMonthsISO(calendar.startDate, 1);
+  return { startDate: calendar.startDate, firstPaymentDate, convention };
+}
+
+function periodFraction(cal, month) {
+  const to = paymentDate(cal.firstPaymentDate, month);
+  if (month === 1) return dayCountFraction(cal.convention, cal.startDate, to);
+  if (cal.convention === "30/360") return 1 / 12;
+  return dayCountFraction(cal.convention, paymentDate(cal.firstPaymentDate, month - 1), to);
+}
+
+/*
+  Loan structure (optional; default fully amortizing):
+    type        — "amortizing", "interestOnly" or "balloon"
+    ioMonths    — interestOnly: months of interest-only payments, after
+                  which the loan recasts to amortize over what's left
+    recastShock — interestOnly: APR change (pts) from the recast on,
+                  e.g. a teaser rate that ends with the interest-only period
+    amortMonths — balloon: payments are figured on this longer schedule
+                  and the balance still owed at the end of the term is
+                  due in the last month
+*/
+export const LOAN_STRUCTURES = ["amortizing", "interestOnly", "balloon"];
+
+export function loanStructure(structure, termMonths) {
+  const type = LOAN_STRUCTURES.includes(structure?.type) ? structure.type : "amortizing";
+  const io = type === "interestOnly";
+  return {
+    type,
+    ioMonths: io ? clamp(Math.round(safeNum(structure.ioMonths, 0)), 0, termMonths - 1) : 0,
+    recastShock: io ? safeNum(structure.recastShock, 0) : 0,
+    amortMonths: type === "balloon" ? Math.max(termMonths, Math.round(safeNum(structure.amortMonths, 0))) : termMonths
+  };
+}
+
+export function amortSchedule(P, apr, years, extra = 0, plan = null, calendar = null, structure = null) {
+  const cal = scheduleCalendar(calendar);
+  const n = Math.round(years * 12);
+  const st = loanStructure(structure, n);
+  const rateIn = (month) => (month > st.ioMonths && st.ioMonths > 0 ? apr + st.recastShock : apr);
+  const base = st.ioMonths > 0 ? P * apr / 100 / 12 : monthlyPayment(P, apr, st.amortMonths / 12);
+  let scheduled = base;
+  let recastPayment = null;
+  let bal = P;
+  let month = 0;
+  let totalInterest = 0;
+  let totalPrepaid = 0;
+  let balloon = 0;
+  const rows = [];
+
+  while (bal > 0.01 && month < 1200) {
+    month++;
+    const rate = rateIn(month);
+    if (st.ioMonths > 0 && month === st.ioMonths + 1) {
+      scheduled = monthlyPayment(bal, rate, (n - st.ioMonths) / 12);
+      recastPayment = scheduled;
+    }
+    const interest = rate === 0 ? 0 : cal ? bal * (rate / 100) * periodFraction(cal, month) : bal * (rate / 100 / 12);
+    const due = month <= st.ioMonths ? interest : scheduled;
+    const planned = plannedPrepayment(plan, extra, month, due);
+    let pay = Math.min(due + planned.amount, bal + interest);
+    const prepaid = Math.max(0, pay - due);
+    let rowBalloon = 0;
+    if (month === n && (cal || st.type === "balloon")) {
+      if (st.type === "balloon") rowBalloon = Math.max(0, bal + interest - pay);
+      pay = bal + interest;
+    }
+    const principal = pay - interest;
+    bal -= principal;
+    totalInterest += interest;
+    totalPrepaid += prepaid;
+    balloon += rowBalloon;
+
+    const row = {
+      month,
+      payment: pay,
+      interest,
+      principal,
+      balance: Math.max(0, bal),
+      extra: prepaid,
+      events: prepaid > 0 ? planned.events : []
+    };
+    if (rowBalloon > 0) row.balloon = rowBalloon;
+    if (cal) row.date = paymentDate(cal.firstPaymentDate, month);
+    rows.push(row);
+  }
+
+  const out = {
+    rows,
+    months: rows.length,
+    basePayment: base,
+    totalInterest,
+    totalPaid: P + totalInterest,
+    totalPrepaid,
+    paysOff: true
+  };
+  if (st.type !== "amortizing") {
+    out.structure = st;
+    out.recastMonth = st.ioMonths > 0 ? st.ioMonths + 1 : null;
+    out.recastPayment = recastPayment;
+    out.paymentJump = recastPayment === null ? 0 : recastPayment - base;
+    out.balloon = balloon;
+    out.balloonMonth = balloon > 0 ? n : null;
+  }
+  if (cal) {
+    out.calendar = cal;
+    out.payoffDate = rows.length ? rows[rows.length - 1].date : cal.firstPaymentDate;
+    out.firstPeriodDays = daysBetweenISO(cal.startDate, cal.firstPaymentDate);
+    out.perDiem = P * (apr / 100) / dayCountBasis(cal.convention);
+  }
+  return out;
+}
+
+// What the extra payments and prepayment plan buy vs. paying only the
+// scheduled payment.
+export function prepaymentImpact(P, apr, years, extra = 0, plan = null, calendar = null, structure = null) {
+  const withPlan = amortSchedule(P, apr, years, extra, plan, calendar, structure);
+  const without = amortSchedule(P, apr, years, 0, null, calendar, structure);
+  return {
+    withPlan,
+    without,
+    interestSaved: without.totalInterest - withPlan.totalInterest,
+    monthsSaved: without.months - withPlan.months
+  };
+}
+
+// First payment, post-recast payment and balloon for a structured loan at
+// several APRs (offsets in percentage points from `apr`).
+export function structureSensitivity(P, apr, years, structure, offsets = [-1, 0, 1, 2]) {
+  return offsets
+    .filter(d => apr + d >= 0)
+    .map(d => {
+      const s = amortSchedule(P, apr + d, years, 0, null, null, structure);
+      return {
+        offset: d,
+        apr: apr + d,
+        firstPayment: s.basePayment,
+        recastPayment: s.recastPayment ?? null,
+        paymentJump: s.paymentJump ?? 0,
+        balloon: s.balloon ?? 0
+      };
+    });
+}
+
+/* =========================================================
+   Private mortgage insurance (PMI)
+   =========================================================
+   - LTV for month m = balance owed going into that month /
+     original home value
+   - the premium is re-figured from that balance every month:
+       pmi = balance * annualRate / 12
+   - PMI is charged while LTV is above the removal point:
+       0.78 = automatic termination, 0.80 = borrower request
+     and never past the loan's midpoint (final termination)
+   - extra payments lower the balance sooner, so PMI ends
+     earlier with no other change
+========================================================= */
+export const PMI_AUTO_LTV = 0.78;
+
+// Home value from either input; down payment only counts when no value is given.
+export function homeValueFrom(principal, homeValue, downPayment) {
+  if (homeValue > 0) return homeValue;
+  if (downPayment >= 0 && isFinite(downPayment)) return principal + downPayment;
+  return NaN;
+}
+
+/*
+  schedule: amortSchedule() result (uses rows[].balance)
+  cfg: { principal, homeValue, annualRate (%), removeAtLtv?, termMonths }
+*/
+export function pmiSchedule(schedule, cfg) {
+  const removeAt = cfg.removeAtLtv ?? PMI_AUTO_LTV;
+  const rate = cfg.annualRate / 100 / 12;
+  const midpoint = Math.ceil((cfg.termMonths ?? schedule.months) / 2);
+  const monthly = [];
+  let total = 0;
+  let endMonth = 0;
+
+  if (!(cfg.homeValue > 0) || !(rate > 0)) {
+    return { monthly: schedule.rows.map(() => 0), firstPayment: 0, total: 0, endMonth: 0, startLtv: NaN };
+  }
+
+  let opening = cfg.principal;
+  schedule.rows.forEach(r => {
+    const ltv = opening / cfg.homeValue;
+    const pmi = (ltv > removeAt && r.month <= midpoint) ? opening * rate : 0;
+    if (pmi > 0) {
+      total += pmi;
+      endMonth = r.month;
+    }
+    monthly.push(pmi);
+    opening = r.balance;
+  });
+
+  return {
+    monthly,
+    firstPayment: monthly[0] ?? 0,
+    total,
+    endMonth,
+    startLtv: cfg.principal / cfg.homeValue
+  };
+}
+
+/* =========================================================
+   Escrow (taxes + insurance) with yearly growth
+   =========================================================
+   - year y bills: annualTax * (1 + taxGrowth)^y, same for
+     insurance; HOA is paid directly and grows the same way
+   - the account opens with a cushion of cushionMonths of the
+     first year's bills (RESPA allows up to 2 months)
+   - each escrow year's bills are paid in its 12th month
+   - the yearly analysis projects next year from the bills just
+     paid (the servicer doesn't know next year's increase):
+       deposit  = projected / 12 + shortage / 12
+       shortage = cushion target - balance after the bills
+       surplus  = anything above the target, refunded
+     so rising taxes show up as shortages a year late
+   - housing cost = P&I + escrow deposit + HOA (+ PMI)
+========================================================= */
+/*
+  schedule: amortSchedule() result
+  cfg: { annualTax, annualIns, monthlyHOA, taxGrowth, insGrowth, hoaGrowth (%/yr),
+         cushionMonths = 2, pmiMonthly? (array aligned with schedule.rows) }
+*/
+export function escrowSchedule(schedule, cfg) {
+  const grow = (amount, pct, year) => (amount || 0) * Math.pow(1 + (pct || 0) / 100, year);
+  const cushionMonths = cfg.cushionMonths ?? 2;
+  const billFor = (y) => grow(cfg.annualTax, cfg.taxGrowth, y) + grow(cfg.annualIns, cfg.insGrowth, y);
+
+  let projected = billFor(0);
+  let deposit = projected / 12;
+  let balance = cushionMonths * projected / 12;
+  const initialBalance = balance;
+
+  const rows = [];
+  const analyses = [];
+
+  schedule.rows.forEach((r, i) => {
+    const year = Math.floor((r.month - 1) / 12);
+    const tax = grow(cfg.annualTax, cfg.taxGrowth, year) / 12;
+    const insurance = grow(cfg.annualIns, cfg.insGrowth, year) / 12;
+    const hoa = grow(cfg.monthlyHOA, cfg.hoaGrowth, year);
+    const pmi = cfg.pmiMonthly?.[i] ?? 0;
+    const thisDeposit = deposit;
+
+    balance += thisDeposit;
+    let disbursement = 0;
+
+    if (r.month % 12 === 0) {
+      disbursement = billFor(year);
+      balance -= disbursement;
+
+      // Next year's projection is this year's actual bills.
+      projected = disbursement;
+      const target = cushionMonths * projected / 12;
+      const shortage = Math.max(0, target - balance);
+      const surplus = Math.max(0, balance - target);
+      if (surplus > 0) balance -= surplus;
+      deposit = projected / 12 + shortage / 12;
+
+      analyses.push({
+        year: year + 1,
+        month: r.month,
+        bills: disbursement,
+        balanceAfterBills: balance + surplus,
+        shortage,
+        surplus,
+        newDeposit: deposit
+      });
+    }
+
+    rows.push({
+      month: r.month,
+      tax,
+      insurance,
+      hoa,
+      pmi,
+      deposit: thisDeposit,
+      disbursement,
+      balance,
+      housing: r.payment + thisDeposit + hoa + pmi
+    });
+  });
+
+  return { rows, analyses, initialBalance };
+}
+
+/* =========================================================
+   Credit card (revolving balance) math
+   =========================================================
+   - interest accrues at the daily periodic rate (APR / 365)
+     over an average billing cycle (365 / 12 days)
+   - minimum payment = balance * minPct + that month's interest,
+     never below minFloor (and never above what is owed)
+   - fixed payment = the same dollar amount every month
+   - if a payment stops reducing the balance, the card never
+     pays off; we keep simulating for a display horizon so the
+     chart shows the balance stalling (or growing)
+========================================================= */
+const CC_CYCLE_DAYS = 365 / 12;
+const CC_NEVER_PAYS_OFF_MONTHS = 120;
+
+export function ccMinimumPayment(balance, interest, minPct, minFloor) {
+  const formula = balance * (minPct / 100) + interest;
+  return Math.min(Math.max(formula, minFloor), balance + interest);
+}
+
+export function creditCardSchedule(P, apr, opts = {}) {
+  const mode = opts.mode === "fixed" ? "fixed" : "minimum";
+  const fixedPayment = opts.fixedPayment ?? 0;
+  const minPct = opts.minPct ?? 1;
+  const minFloor = opts.minFloor ?? 25;
+  const maxMonths = opts.maxMonths ?? 1200;
+
+  const dpr = apr / 100 / 365;
+  let bal = P;
+  let month = 0;
+  let limit = maxMonths;
+  let totalInterest = 0;
+  let paysOff = true;
+  const rows = [];
+
+  while (bal > 0.01 && month < limit) {
+    month++;
+    const interest = bal * dpr * CC_CYCLE_DAYS;
+    const pay = mode === "fixed"
+      ? Math.min(fixedPayment, bal + interest)
+      : ccMinimumPayment(bal, interest, minPct, minFloor);
+    const principal = pay - interest;
+
+    if (principal <= 0 && paysOff) {
+      paysOff = false;
+      limit = Math.min(maxMonths, CC_NEVER_PAYS_OFF_MONTHS);
+    }
+
+    bal -= principal;
+    totalInterest += interest;
+
+    rows.push({
+      month,
+      payment: pay,
+      interest,
+      principal,
+      balance: Math.max(0, bal)
+    });
+  }
+  if (bal > 0.01) paysOff = false;
+
+  return {
+    rows,
+    months: rows.length,
+    basePayment: rows[0]?.payment ?? 0,
+    totalInterest,
+    totalPaid: P + totalInterest,
+    paysOff
+  };
+}
+
+/* =========================================================
+   Refinance math
+   =========================================================
+   Compares keeping the current loan against refinancing the
+   same balance. Each month's "cost" is everything paid so far
+   plus the balance still owed (what it would take to walk away
+   that month), so a longer new term can't look cheaper just
+   because its payment is smaller.
+
+   - closing costs are either paid upfront (cash at month 0)
+     or rolled into the new balance
+   - break-even = first month refinancing costs no more than
+     keeping the loan
+========================================================= */
+export function refinanceAnalysis(cfg) {
+  const keep = amortSchedule(cfg.principal, cfg.apr, cfg.years, cfg.extra);
+  const rolled = cfg.costMode === "rolled";
+  const upfront = rolled ? 0 : cfg.closingCosts;
+  const refiP = cfg.principal + (rolled ? cfg.closingCosts : 0);
+  const refi = amortSchedule(refiP, cfg.newApr, cfg.newYears, cfg.extra);
+
+  const horizon = Math.max(1, Math.round(cfg.keepMonths));
+  const months = Math.max(keep.months, refi.months, horizon);
+
+  const points = [{ month: 0, keepCost: cfg.principal, refiCost: upfront + refiP }];
+  let keepPaid = 0;
+  let refiPaid = upfront;
+  let breakEvenMonth = null;
+
+  for (let m = 1; m <= months; m++) {
+    const k = keep.rows[m - 1];
+    const r = refi.rows[m - 1];
+    keepPaid += k ? k.payment : 0;
+    refiPaid += r ? r.payment : 0;
+
+    const keepCost = keepPaid + (k ? k.balance : 0);
+    const refiCost = refiPaid + (r ? r.balance : 0);
+    points.push({ month: m, keepCost, refiCost });
+
+    if (breakEvenMonth === null && refiCost <= keepCost) breakEvenMonth = m;
+  }
+
+  const atHorizon = points[Math.min(horizon, points.length - 1)];
+  const monthlySavings = keep.basePayment - refi.basePayment;
+
+  return {
+    keep,
+    refi,
+    points,
+    horizon,
+    monthlySavings,
+    breakEvenMonth,
+    simpleBreakEven: monthlySavings > 0 ? cfg.closingCosts / monthlySavings : NaN,
+    netSavingsAtHorizon: atHorizon.keepCost - atHorizon.refiCost,
+    lifetimeInterestChange: refi.totalInterest - keep.totalInterest
+  };
+}
+
+/* =========================================================
+   Affordability (maximum loan)
+   =========================================================
+   Works backward from what the household can pay each month.
+   The housing allowance is the tightest of:
+     - budget  — the target monthly housing payment
+     - front   — gross monthly income × front-end DTI (e.g. 28%)
+     - back    — gross monthly income × back-end DTI (e.g. 36%)
+                 minus other monthly debt payments
+   Taxes, insurance and HOA come off first; what's left pays
+   principal & interest, plus PMI while the loan is over 80%
+   of the price (the down payment is fixed, so price = loan +
+   down payment).
+========================================================= */
+export const AFFORDABILITY_LIMITS = {
+  budget: "Housing budget",
+  front: "Front-end DTI",
+  back: "Back-end DTI"
+};
+
+// Largest balance `payment` pays off over `years` (inverse of monthlyPayment).
+export function maxLoanForPayment(payment, apr, years) {
+  if (!(payment > 0 && years > 0)) return 0;
+  const r = apr / 100 / 12;
+  const n = years * 12;
+  if (r === 0) return payment * n;
+  return payment * (1 - Math.pow(1 + r, -n)) / r;
+}
+
+/*
+  cfg: { apr, years, budget?, grossIncome? (annual), frontDti (%), backDti (%),
+         otherDebts (monthly), annualTax, annualIns, monthlyHOA,
+         downPayment, pmiRate? (% of balance per year) }
+  Returns null when neither a budget nor an income is given.
+*/
+export function affordability(cfg) {
+  const income = (cfg.grossIncome || 0) / 12;
+  const limits = [];
+  if (cfg.budget > 0) limits.push({ limit: "budget", housing: cfg.budget });
+  if (income > 0) {
+    limits.push({ limit: "front", housing: income * (cfg.frontDti ?? 28) / 100 });
+    limits.push({ limit: "back", housing: income * (cfg.backDti ?? 36) / 100 - (cfg.otherDebts || 0) });
+  }
+  if (!limits.length) return null;
+
+  const binding = limits.reduce((a, b) => (b.housing < a.housing ? b : a));
+  const housing = Math.max(0, binding.housing);
+  const escrow = (cfg.annualTax || 0) / 12 + (cfg.annualIns || 0) / 12 + (cfg.monthlyHOA || 0);
+  const available = Math.max(0, housing - escrow);
+  const down = Math.max(0, cfg.downPayment || 0);
+  const pmiRate = cfg.pmiRate || 0;
+
+  let loan = maxLoanForPayment(available, cfg.apr, cfg.years);
+  if (pmiRate > 0 && loan > 4 * down) {
+    // Over 80% LTV, PMI shares the allowance with P&I. If that pushes the
+    // loan under 80% LTV, stop at exactly 80% (no PMI, still affordable).
+    const perDollar = monthlyPayment(1, cfg.apr, cfg.years) + pmiRate / 100 / 12;
+    loan = Math.max(available / perDollar, 4 * down);
+  }
+
+  const pmi = pmiRate > 0 && loan > 4 * down ? loan * pmiRate / 100 / 12 : 0;
+  const principalAndInterest = loan > 0 ? monthlyPayment(loan, cfg.apr, cfg.years) : 0;
+  const homePrice = loan + down;
+
+  return {
+    apr: cfg.apr,
+    years: cfg.years,
+    limits,
+    binding: binding.limit,
+    housing,
+    escrow,
+    principalAndInterest,
+    pmi,
+    loan,
+    downPayment: down,
+    homePrice,
+    ltv: homePrice > 0 ? loan / homePrice : 0,
+    shortfall: escrow > housing ? escrow - housing : 0
+  };
+}
+
+/*
+  Re-solves at apr + each delta (sorted, 0 included). Each row adds the
+  drop in loan and price vs today's rate and vs the previous row.
+*/
+export function affordabilityByRate(cfg, deltas) {
+  const list = [...new Set([0, ...deltas])].sort((a, b) => a - b);
+  const rows = [];
+  for (const delta of list) {
+    const a = affordability({ ...cfg, apr: Math.max(0, cfg.apr + delta) });
+    if (!a) return [];
+    const base = rows[0] ?? a;
+    const prev = rows[rows.length - 1] ?? a;
+    rows.push({
+      ...a,
+      delta,
+      loanDrop: base.loan - a.loan,
+      priceDrop: base.homePrice - a.homePrice,
+      stepDrop: prev.homePrice - a.homePrice
+    });
+  }
+  return rows;
+}
+
+/* =========================================================
+   Goal seek
+   =========================================================
+   Finds the smallest input x in [lo, hi] at which an output
+   reaches a target, by bisection. "Reaches" means the output
+   has crossed the target coming from x = lo, so it works for
+   outputs that rise (payment vs APR) and fall (payoff month vs
+   extra payment), including step-shaped ones like payoff month.
+
+   The answer is rounded up to `step` (e.g. 0.001% or $0.01) and
+   re-checked, so the reported value always meets the target.
+
+   Returns one of:
+     { ok: true, x, value, iterations }
+     { ok: true, x: lo, value, alreadyMet: true }
+     { ok: false, reason: "unreachable" | "invalid", lo, hi }
+       (lo / hi = { x, value } at each end of the range)
+========================================================= */
+const GOAL_SEEK_MAX_ITER = 100;
+
+export function goalSeek(f, target, { lo, hi, step = 0 }) {
+  const gap = (x) => f(x) - target;
+  const ends = () => ({ lo: { x: lo, value: f(lo) }, hi: { x: hi, value: f(hi) } });
+
+  const gLo = gap(lo);
+  const gHi = gap(hi);
+  if (!isFinite(gLo) || !isFinite(gHi)) return { ok: false, reason: "invalid", ...ends() };
+  if (gLo === 0) return { ok: true, x: lo, value: f(lo), alreadyMet: true, iterations: 0 };
+
+  const side = Math.sign(gLo);
+  const reached = (g) => Math.sign(g) !== side;
+  if (!reached(gHi)) return { ok: false, reason: "unreachable", ...ends() };
+
+  let a = lo;
+  let b = hi;
+  let iterations = 0;
+  const tol = step > 0 ? step / 2 : 1e-9 * Math.max(1, Math.abs(hi - lo));
+  while (b - a > tol && iterations < GOAL_SEEK_MAX_ITER) {
+    const mid = (a + b) / 2;
+    if (reached(gap(mid))) b = mid;
+    else a = mid;
+    iterations++;
+  }
+
+  let x = b;
+  if (step > 0) {
+    // The crossing is in (a, b]; the step multiple just below b may still reach.
+    x = Math.min(hi, Math.ceil(b / step - 1e-9) * step);
+    if (x - step >= lo && reached(gap(x - step))) x -= step;
+    if (!reached(gap(x))) x = b;
+  }
+  return { ok: true, x, value: f(x), iterations };
+}
+
+/*
+  What goal seek can target. Schedule outputs read an amortSchedule()
+  result; stress outputs read a stress engine result.
+*/
+export const SCHEDULE_GOALS = {
+  payment: (s) => s.basePayment,
+  totalInterest: (s) => s.totalInterest,
+  payoffMonth: (s) => s.months
+};
+
+export const STRESS_GOALS = {
+  worstPayment: (o) => o.worstPayment,
+  totalInterest: (o) => o.totalInterest,
+  payoffMonth: (o) => o.rows.length,
+  paymentJump: (o) => paymentJump(o.rows[0]?.payment, o.worstPayment)
+};
+
+/*
+  loan: { principal, apr, years, extra, plan?, calendar?, structure? }
+  vary: "principal" | "apr" | "years" | "extra"
+*/
+function scheduleFor(l) {
+  return amortSchedule(l.principal, l.apr, l.years, l.extra || 0, l.plan ?? null, l.calendar ?? null, l.structure ?? null);
+}
+
+export function solveSchedule(loan, vary, output, target, range) {
+  const read = SCHEDULE_GOALS[output];
+  return goalSeek((x) => read(scheduleFor({ ...loan, [vary]: x })), target, range);
+}
+
+// engine: runStressSteps / runStressARM / runStressPath; vary: any numeric cfg key.
+export function solveStress(engine, cfg, vary, output, target, range) {
+  const read = STRESS_GOALS[output];
+  return goalSeek((x) => read(engine({ ...cfg, [vary]: x })), target, range);
+}
+
+/* =========================================================
+   Rate sensitivity grid
+   =========================================================
+   Two-way what-if: APR changes across the columns, loan length
+   or balance down the rows. Every cell is a full amortSchedule()
+   with the rest of the loan (extra, plan, dates, structure) as
+   entered, and its payment change is measured against the loan
+   exactly as entered (no rate change, own term and balance).
+========================================================= */
+export const SENSITIVITY_APR_STEPS = [-2, -1.5, -1, -0.5, 0, 0.5, 1, 1.5, 2, 2.5, 3];
+export const SENSITIVITY_AXES = ["years", "principal"];
+
+const SENSITIVITY_TERMS = [10, 15, 20, 25, 30, 40];
+const SENSITIVITY_BALANCE_FACTORS = [0.7, 0.8, 0.9, 1, 1.1, 1.2, 1.3];
+
+// Row values around the current loan; the current value is always one of them.
+export function sensitivityAxisValues(axis, current) {
+  if (axis === "principal") {
+    return SENSITIVITY_BALANCE_FACTORS.map(f => (f === 1 ? current : Math.round(current * f / 1000) * 1000));
+  }
+  return [...new Set([...SENSITIVITY_TERMS, current])].sort((a, b) => a - b);
+}
+
+/*
+  loan: { principal, apr, years, extra?, plan?, calendar?, structure? }
+  opts: { axis: "years" | "principal", values?, aprSteps? }
+  Steps that would take the APR below 0 are dropped.
+*/
+export function sensitivityGrid(loan, opts = {}) {
+  const axis = SENSITIVITY_AXES.includes(opts.axis) ? opts.axis : "years";
+  const values = opts.values ?? sensitivityAxisValues(axis, loan[axis]);
+  const steps = [...new Set(opts.aprSteps ?? SENSITIVITY_APR_STEPS)]
+    .filter(d => loan.apr + d >= 0)
+    .sort((a, b) => a - b);
+
+  const baseline = scheduleFor(loan);
+
+  const rows = values.map(value => ({
+    value,
+    cells: steps.map(delta => {
+      const s = scheduleFor({ ...loan, [axis]: value, apr: loan.apr + delta });
+      return {
+        delta,
+        apr: loan.apr + delta,
+        payment: s.basePayment,
+        paymentChange: s.basePayment - baseline.basePayment,
+        totalInterest: s.totalInterest
+      };
+    })
+  }));
+
+  return { axis, steps, baseline: { value: loan[axis], payment: baseline.basePayment }, rows };
+}
+
+/* =========================================================
+   Core amortization for a single month step
+   ========================================================= */
+export function paymentForRemainingMonths(balance, aprPercent, remainingMonths) {
+  const r = (aprPercent / 100) / 12;
+  const n = Math.max(1, remainingMonths);
+  if (r === 0) return balance / n;
+  const pow = Math.pow(1 + r, n);
+  return balance * (r * pow) / (pow - 1);
+}
+
+/* =========================================================
+   Stress modes
+   =========================================================
+   1) steps:
+      - increase APR by stStep every stEveryMonths
+      - for stDurationMonths
+      - optional cap (stCapApr)
+   2) arm:
+      - fixed period armFixedYears (APR stays at starting APR)
+      - after that, every armAdjustEveryMonths:
+          APR = clamp( index + margin , with periodic/lifetime caps + optional floor )
+      - index comes from:
+          - constant (armIndexValue)
+          - manual schedule (armIndexSchedule list)
+          - Treasury history (cfg.indexLookup, built from a yield-curve CSV)
+          - simulated paths (cfg.indexLookup, see montecarlo.js)
+
+   Extra principal (cfg.extraMonthly) works the same in both:
+      - "shorten" (default): the required payment stays what the
+        loan would need with no prepayments, so extra money pays
+        the loan off sooner
+      - "recast": the required payment is re-amortized from the
+        real (lower) balance every month, so extra money lowers
+        the payment instead
+   Row "payment" is the required payment; "extra" is on top.
+
+   Loan structure (cfg.structure, see loanStructure) applies to
+   every mode: interest-only months pay the interest at that
+   month's APR, and a balloon loan amortizes over amortMonths
+   and pays what's left in its last month (row "balloon",
+   result "balloon"). Rate paths replace recastShock here.
+========================================================= */
+
+function stressPaymentStep(state, apr, month) {
+  const r = apr / 100 / 12;
+  const interest = state.balance * r;
+  const owed = state.balance + interest;
+  const interestOnly = month <= state.ioMonths;
+  const remainingMonths = state.amortMonths - month + 1;
+  const required = (bal) => (interestOnly ? bal * r : paymentForRemainingMonths(bal, apr, remainingMonths));
+
+  const basis = state.recast ? state.balance : state.scheduledBalance;
+  const payment = Math.min(interestOnly ? interest : required(basis), owed);
+  const extra = Math.min(state.extra, owed - payment);
+
+  if (!state.recast) {
+    // Track the no-prepayment balance so the required payment ignores extras.
+    const schedPay = required(state.scheduledBalance);
+    state.scheduledBalance = Math.max(0, state.scheduledBalance - (schedPay - state.scheduledBalance * r));
+  }
+
+  let principal = Math.max(0, payment + extra - interest);
+  const balloon = month === state.balloonMonth ? Math.max(0, state.balance - principal) : 0;
+  principal += balloon;
+  state.balance = Math.max(0, state.balance - principal);
+
+  const step = { payment, extra, interest, principal, balance: state.balance };
+  if (balloon > 0) step.balloon = balloon;
+  return step;
+}
+
+function newStressState(cfg) {
+  const st = loanStructure(cfg.structure, cfg.termMonths);
+  return {
+    balance: cfg.principal,
+    scheduledBalance: cfg.principal,
+    extra: Math.max(0, cfg.extraMonthly || 0),
+    recast: cfg.extraMode === "recast",
+    ioMonths: st.ioMonths,
+    amortMonths: st.amortMonths,
+    balloonMonth: st.type === "balloon" ? cfg.termMonths : null,
+  };
+}
+
+function balloonDue(rows) {
+  return rows.reduce((sum, r) => sum + (r.balloon || 0), 0);
+}
+
+export function runStressSteps(cfg) {
+  const rows = [];
+  const state = newStressState(cfg);
+  let apr = cfg.startApr;
+  let totalInterest = 0;
+  let totalExtra = 0;
+  let worstPayment = 0;
+  let worstMonth = 1;
+
+  const maxMonths = cfg.termMonths;
+
+  for (let m = 1; m <= maxMonths && state.balance > 0.01; m++) {
+    // Apply step increases within duration
+    if (cfg.everyMonths > 0 && m <= cfg.durationMonths && (m % cfg.everyMonths === 0)) {
+      apr += cfg.stepSize;
+      if (isFinite(cfg.capApr)) apr = Math.min(apr, cfg.capApr);
+    }
+
+    const step = stressPaymentStep(state, apr, m);
+
+    totalInterest += step.interest;
+    totalExtra += step.extra;
+
+    if (step.payment > worstPayment) {
+      worstPayment = step.payment;
+      worstMonth = m;
+    }
+
+    rows.push({ month: m, apr, ...step });
+  }
+
+  return { rows, totalInterest, totalExtra, worstPayment, worstMonth, balloon: balloonDue(rows) };
+}
+
+export function parseManualSchedule(text) {
+  if (!text) return [];
+  return text
+    .split(/[, \n\r\t]+/)
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(v => safeNum(v, NaN))
+    .filter(v => isFinite(v));
+}
+
+export function runStressARM(cfg) {
+  const rows = [];
+  const resets = [];
+  const state = newStressState(cfg);
+  let totalInterest = 0;
+  let totalExtra = 0;
+
+  const maxMonths = cfg.simMonths ?? cfg.termMonths;
+  const fixedMonths = Math.max(0, Math.round(cfg.fixedYears * 12));
+  const adjustEvery = Math.max(1, Math.round(cfg.adjustEveryMonths));
+
+  const startApr = cfg.startApr;
+  const lifetimeCapAbs = isFinite(cfg.lifetimeCapAboveStart) ? (startApr + cfg.lifetimeCapAboveStart) : Infinity;
+  const floorAbs = isFinite(cfg.floorApr) ? cfg.floorApr : -Infinity;
+
+  const manual = cfg.indexMode === "manual_schedule" ? cfg.manualSchedule : [];
+  let manualIdx = 0;
+
+  let currentApr = startApr;
+
+  let worstPayment = 0;
+  let worstMonth = 1;
+  let peakRate = startApr;
+  let peakMonth = 1;
+
+  for (let m = 1; m <= maxMonths && state.balance > 0.01; m++) {
+    // Fixed period: keep starting APR
+    if (m <= fixedMonths) {
+      currentApr = startApr;
+    } else {
+      // Adjustment month?
+      const monthsAfterFixed = m - fixedMonths;
+      const isReset = (monthsAfterFixed % adjustEvery === 1); // reset at first month after fixed, then every adjustEvery
+
+      if (isReset) {
+        let indexRate = startApr; // fallback
+        let observed = null;
+
+        if (cfg.indexMode === "constant") {
+          indexRate = cfg.indexValue;
+        } else if (cfg.indexMode === "manual_schedule") {
+          indexRate = (manualIdx < manual.length) ? manual[manualIdx] : manual[manual.length - 1];
+          manualIdx++;
+        } else {
+          // treasury_history / simulated: cfg.indexLookup(month) → { value, date?, ... }
+          // (see treasuryIndexLookup, runMonteCarlo). Without data we use constant indexValue if available.
+          observed = cfg.indexLookup ? cfg.indexLookup(m) : null;
+          indexRate = isFinite(observed?.value)
+            ? observed.value
+            : (isFinite(cfg.indexValue) ? cfg.indexValue : startApr);
+        }
+
+        const targetApr = indexRate + cfg.margin;
+
+        // Apply caps:
+        // periodic cap: limit change from previous APR
+        let nextApr = targetApr;
+
+        if (isFinite(cfg.periodicCap)) {
+          nextApr = clamp(nextApr, currentApr - cfg.periodicCap, currentApr + cfg.periodicCap);
+        }
+
+        // lifetime cap
+        nextApr = Math.min(nextApr, lifetimeCapAbs);
+
+        // floor
+        nextApr = Math.max(nextApr, floorAbs);
+
+        currentApr = nextApr;
+        resets.push({
+          month: m,
+          index: indexRate,
+          apr: nextApr,
+          date: observed?.date ?? null,
+          observedDate: observed?.observedDate ?? null,
+          stale: !!observed?.stale,
+        });
+      }
+    }
+
+    // First month at the peak ("peak reached in month N"), as the steps and
+    // path engines report it; the pre-module code kept the last one.
+    if (currentApr > peakRate) {
+      peakRate = currentApr;
+      peakMonth = m;
+    }
+
+    const step = stressPaymentStep(state, currentApr, m);
+
+    totalInterest += step.interest;
+    totalExtra += step.extra;
+
+    if (step.payment > worstPayment) {
+      worstPayment = step.payment;
+      worstMonth = m;
+    }
+
+    const reset = resets.length > 0 && resets[resets.length - 1].month === m;
+    rows.push({ month: m, apr: currentApr, reset, ...step });
+  }
+
+  return { rows, resets, totalInterest, totalExtra, worstPayment, worstMonth, peakRate, peakMonth, balloon: balloonDue(rows) };
+}
+
+// 3) path: a month-by-month APR list (e.g. a historical replay, see
+//    replay.js). Month m uses aprPath[m - 1]; after the list ends the
+//    last rate holds for the rest of the loan.
+export function runStressPath(cfg) {
+  const rows = [];
+  const state = newStressState(cfg);
+  const path = cfg.aprPath?.length ? cfg.aprPath : [cfg.startApr];
+  let totalInterest = 0;
+  let totalExtra = 0;
+  let worstPayment = 0;
+  let worstMonth = 1;
+  let peakRate = -Infinity;
+  let peakMonth = 1;
+
+  const maxMonths = cfg.termMonths;
+
+  for (let m = 1; m <= maxMonths && state.balance > 0.01; m++) {
+    const apr = path[Math.min(m, path.length) - 1];
+    if (apr > peakRate) {
+      peakRate = apr;
+      peakMonth = m;
+    }
+
+    const step = stressPaymentStep(state, apr, m);
+
+    totalInterest += step.interest;
+    totalExtra += step.extra;
+
+    if (step.payment > worstPayment) {
+      worstPayment = step.payment;
+      worstMonth = m;
+    }
+
+    rows.push({ month: m, apr, ...step });
+  }
+
+  return { rows, totalInterest, totalExtra, worstPayment, worstMonth, peakRate, peakMonth, balloon: balloonDue(rows) };
+}
+
+// Runs a stress engine with and without the extra principal so the
+// page can report what the prepayments bought under the same rate path.
+export function stressExtraImpact(engine, cfg) {
+  const withExtra = engine(cfg);
+  const without = engine({ ...cfg, extraMonthly: 0 });
+  return {
+    withExtra,
+    without,
+    worstPaymentCut: without.worstPayment - withExtra.worstPayment,
+    interestSaved: without.totalInterest - withExtra.totalInterest,
+    monthsSaved: without.rows.length - withExtra.rows.length,
+  };
+}
+
+/* =========================================================
+   Risk score
+   ========================================================= */
+// Each level covers payment jumps up to maxJump (0.25 = +25% over the starting payment).
+export const RISK_LEVELS = [
+  { label: "Low", maxJump: 0.10 },
+  { label: "Moderate", maxJump: 0.25 },
+  { label: "High", maxJump: 0.45 },
+  { label: "Severe", maxJump: Infinity }
+];
+
+export function paymentJump(startPay, worstPay) {
+  if (!(startPay > 0) || !(worstPay > 0)) return NaN;
+  return (worstPay - startPay) / startPay;
+}
+
+export function riskScore(startPay, worstPay) {
+  const jump = paymentJump(startPay, worstPay);
+  if (!isFinite(jump)) return "—";
+  return RISK_LEVELS.find(l => jump <= l.maxJump).label;
+}
+
+// Smallest payment jump that scores `label` (above the previous level's cap).
+export function riskThreshold(label) {
+  const i = RISK_LEVELS.findIndex(l => l.label === label);
+  return i > 0 ? RISK_LEVELS[i - 1].maxJump : 0;
+}
+
+/* =========================================================
+   Household payoff (several debts, one budget)
+   =========================================================
+   debts: [{ name, type, balance, apr, years?, variable?, priority?,
+             minPct?, minFloor? }]
+     - mortgage / auto / student owe their level payment over
+       `years`; credit cards owe the minimum (minPct % of balance
+       + interest, minFloor floor; default 1% and $25) at the
+       card's daily periodic rate
+     - variable-rate debts move by opts.rateShock (pts) from
+       month 1; amortized ones re-figure their payment for it
+
+   Each month every open debt gets its required payment. Whatever
+   is left of opts.budget (default: the month-1 requirements) goes
+   to the first open debt in strategy order, then the next, so a
+   paid-off debt's payment rolls into the one after it:
+     avalanche — highest APR first
+     snowball  — smallest starting balance first
+     custom    — lowest `priority` number first
+     minimum   — required payments only, nothing rolls over
+========================================================= */
+export const PAYOFF_STRATEGIES = ["avalanche", "snowball", "custom", "minimum"];
+const HOUSEHOLD_MAX_MONTHS = 600;
+
+function payoffOrder(strategy, debts) {
+  const order = debts.map((d, i) => i);
+  const by = {
+    avalanche: (a, b) => debts[b].apr - debts[a].apr || debts[a].balance - debts[b].balance,
+    snowball: (a, b) => debts[a].balance - debts[b].balance || debts[b].apr - debts[a].apr,
+    custom: (a, b) => safeNum(debts[a].priority, Infinity) - safeNum(debts[b].priority, Infinity),
+  }[strategy];
+  return by ? order.sort((a, b) => by(a, b) || a - b) : [];
+}
+
+export function householdPayoff(debts, opts = {}) {
+  const strategy = PAYOFF_STRATEGIES.includes(opts.strategy) ? opts.strategy : "avalanche";
+  const shock = opts.rateShock || 0;
+
+  const state = debts.map(d => {
+    const apr = Math.max(0, d.apr + (d.variable ? shock : 0));
+    const card = d.type === "creditcard";
+    return {
+      name: d.name,
+      type: d.type,
+      apr,
+      card,
+      priority: d.priority,
+      minPct: safeNum(d.minPct, 1),
+      minFloor: safeNum(d.minFloor, 25),
+      balance: d.balance,
+      payment: card ? null : monthlyPayment(d.balance, apr, d.years),
+      interest: 0,
+      paid: 0,
+      payoffMonth: d.balance > 0.01 ? null : 0
+    };
+  });
+  const order = payoffOrder(strategy, state);
+
+  const due = (d) => {
+    const interest = d.card ? d.balance * (d.apr / 100 / 365) * CC_CYCLE_DAYS : d.balance * (d.apr / 100 / 12);
+    const required = d.card
+      ? ccMinimumPayment(d.balance, interest, d.minPct, d.minFloor)
+      : Math.min(d.payment, d.balance + interest);
+    return { interest, required };
+  };
+
+  const startRequired = state.reduce((sum, d) => sum + (d.balance > 0.01 ? due(d).required : 0), 0);
+  const budget = isFinite(opts.budget) ? opts.budget : startRequired;
+
+  const rows = [];
+  let totalInterest = 0;
+  let shortMonths = 0;
+  let month = 0;
+
+  while (state.some(d => d.balance > 0.01) && month < HOUSEHOLD_MAX_MONTHS) {
+    month++;
+    const open = state.filter(d => d.balance > 0.01);
+    const bills = new Map(open.map(d => [d, due(d)]));
+
+    const required = open.reduce((sum, d) => sum + bills.get(d).required, 0);
+    if (required > budget + 0.005) shortMonths++;
+
+    let leftover = strategy === "minimum" ? 0 : Math.max(0, budget - required);
+    const pay = new Map(open.map(d => [d, bills.get(d).required]));
+    for (const i of order) {
+      const d = state[i];
+      if (leftover <= 0 || !pay.has(d)) continue;
+      const room = d.balance + bills.get(d).interest - pay.get(d);
+      const add = Math.min(leftover, room);
+      pay.set(d, pay.get(d) + add);
+      leftover -= add;
+    }
+
+    let paidThisMonth = 0;
+    let interestThisMonth = 0;
+    open.forEach(d => {
+      const { interest } = bills.get(d);
+      const amount = pay.get(d);
+      d.balance = Math.max(0, d.balance + interest - amount);
+      d.interest += interest;
+      d.paid += amount;
+      paidThisMonth += amount;
+      interestThisMonth += interest;
+      if (d.balance <= 0.01) {
+        d.balance = 0;
+        d.payoffMonth = month;
+      }
+    });
+    totalInterest += interestThisMonth;
+
+    rows.push({
+      month,
+      payment: paidThisMonth,
+      interest: interestThisMonth,
+      balance: state.reduce((sum, d) => sum + d.balance, 0),
+      balances: state.map(d => d.balance)
+    });
+  }
+
+  return {
+    strategy,
+    budget,
+    startRequired,
+    rows,
+    months: rows.length,
+    totalInterest,
+    totalPaid: state.reduce((sum, d) => sum + d.paid, 0),
+    shortMonths,
+    paysOff: state.every(d => d.balance <= 0.01),
+    debts: state.map(d => ({
+      name: d.name,
+      type: d.type,
+      apr: d.apr,
+      payoffMonth: d.payoffMonth,
+      interest: d.interest,
+      paid: d.paid
+    }))
+  };
+}
+
+// Every strategy, with and without the rate change on variable-rate debts.
+export function householdStrategies(debts, opts = {}) {
+  const strategies = opts.strategies ?? PAYOFF_STRATEGIES;
+  return strategies.map(strategy => {
+    const base = householdPayoff(debts, { ...opts, strategy, rateShock: 0 });
+    const shocked = opts.rateShock
+      ? householdPayoff(debts, { ...opts, strategy, budget: opts.budget ?? base.budget })
+      : base;
+    return {
+      strategy,
+      base,
+      shocked,
+      interestChange: shocked.totalInterest - base.totalInterest,
+      monthsChange: shocked.months - base.months,
+      requiredChange: shocked.startRequired - base.startRequired
+    };
+  });
+}
+
+/* =========================================================
+   Comparison engine
+   =========================================================
+   - each loan runs through amortSchedule()
+   - mortgages add PITI add-ons (tax/12 + insurance/12 + fees)
+     to every month until payoff
+   - cumulative cost = loan payments + add-ons paid so far
+   - crossover = first month where the cheaper-so-far loan
+     changes (e.g. a 15-year costs more each month but less
+     in total once the 30-year keeps running)
+========================================================= */
+export function analyzeLoan(loan) {
+  const schedule = amortSchedule(loan.principal, loan.apr, loan.years, loan.extra);
+  const addons = loan.type === "mortgage"
+    ? loan.annualTax / 12 + loan.annualIns / 12 + loan.monthlyHOA
+    : 0;
+
+  let cum = 0;
+  const cumulative = schedule.rows.map(r => (cum += r.payment + addons));
+
+  return {
+    ...loan,
+    schedule,
+    addons,
+    monthlyTotal: schedule.basePayment + addons,
+    totalCost: schedule.totalPaid + addons * schedule.months,
+    cumulative
+  };
+}
+
+export function findCrossover(a, b) {
+  const months = Math.max(a.cumulative.length, b.cumulative.length);
+  const costAt = (loan, m) =>
+    loan.cumulative[Math.min(m, loan.cumulative.length) - 1] ?? 0;
+
+  let prevSign = 0;
+  for (let m = 1; m <= months; m++) {
+    const sign = Math.sign(costAt(b, m) - costAt(a, m));
+    if (sign === 0) continue;
+    if (prevSign !== 0 && sign !== prevSign) return m;
+    prevSign = sign;
+  }
+  return null;
+}
+
+export function compareLoans(a, b) {
+  const A = analyzeLoan(a);
+  const B = analyzeLoan(b);
+  return { A, B, crossoverMonth: findCrossover(A, B) };
+}
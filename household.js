@@ -0,0 +1,320 @@
+import { $, fmtUSD, fmtSignedUSD, copyText } from "./ui.js";
+import { safeNum, householdStrategies } from "./finance.js";
+import { addMonthsISO, isISODate, paymentDate, fmtMonthYear } from "./calendar.js";
+
+/* =========================================================
+   Elements
+   ========================================================= */
+const els = {
+  debtBody: $("debtBody"),
+  hhBudget: $("hhBudget"),
+  hhBudgetNote: $("hhBudgetNote"),
+  hhRateShock: $("hhRateShock"),
+  hhFirstPayment: $("hhFirstPayment"),
+  hhDetailStrategy: $("hhDetailStrategy"),
+  hhAddBtn: $("hhAddBtn"),
+  hhRunBtn: $("hhRunBtn"),
+  hhCopyBtn: $("hhCopyBtn"),
+  hhStatus: $("hhStatus"),
+
+  hhBudgetOut: $("hhBudgetOut"),
+  hhRequiredOut: $("hhRequiredOut"),
+  hhBest: $("hhBest"),
+  hhBestNote: $("hhBestNote"),
+  hhDebtFree: $("hhDebtFree"),
+  hhDebtFreeNote: $("hhDebtFreeNote"),
+  hhShock: $("hhShock"),
+  hhShockNote: $("hhShockNote"),
+  hhStrategyBody: $("hhStrategyBody"),
+  hhDebtTitle: $("hhDebtTitle"),
+  hhDebtResultBody: $("hhDebtResultBody"),
+  hhChart: $("hhChart"),
+};
+
+function setStatus(msg) {
+  if (!els.hhStatus) return;
+  els.hhStatus.textContent = msg || "";
+}
+
+const STRATEGY_LABELS = {
+  avalanche: "Avalanche (highest APR first)",
+  snowball: "Snowball (smallest balance first)",
+  custom: "Custom priority",
+  minimum: "Minimums only",
+};
+
+/* =========================================================
+   Debt list
+   ========================================================= */
+const STARTER_DEBTS = [
+  { name: "Mortgage", type: "mortgage" },
+  { name: "Car loan", type: "auto" },
+  { name: "Credit card", type: "creditcard", variable: true },
+];
+
+function addDebtRow(d = {}) {
+  if (!els.debtBody) return;
+  const tr = document.createElement("tr");
+  tr.innerHTML = `
+    <td><div class="field"><input data-k="name" placeholder="e.g., Visa" /></div></td>
+    <td><div class="field"><select data-k="type">
+      <option value="mortgage">Mortgage</option>
+      <option value="auto">Auto loan</option>
+      <option value="student">Student loan</option>
+      <option value="creditcard">Credit card</option>
+    </select></div></td>
+    <td><div class="field"><input data-k="balance" inputmode="decimal" placeholder="e.g., 6000" /></div></td>
+    <td><div class="field"><input data-k="apr" inputmode="decimal" placeholder="e.g., 24.99" /></div></td>
+    <td><div class="field"><input data-k="years" inputmode="decimal" placeholder="e.g., 5" /></div></td>
+    <td><input data-k="variable" type="checkbox" aria-label="Variable rate" /></td>
+    <td><div class="field"><input data-k="minPct" inputmode="decimal" placeholder="1" /></div></td>
+    <td><div class="field"><input data-k="minFloor" inputmode="decimal" placeholder="25" /></div></td>
+    <td><div class="field"><input data-k="priority" inputmode="numeric" placeholder="—" /></div></td>
+    <td><button class="btn small" data-remove>Remove</button></td>
+  `;
+  const field = (k) => tr.querySelector(`[data-k="${k}"]`);
+  field("name").value = d.name ?? "";
+  field("type").value = d.type ?? "creditcard";
+  field("variable").checked = !!d.variable;
+  const syncType = () => {
+    const card = field("type").value === "creditcard";
+    field("years").disabled = card;
+    field("minPct").disabled = !card;
+    field("minFloor").disabled = !card;
+  };
+  field("type").addEventListener("change", syncType);
+  syncType();
+  tr.querySelector("[data-remove]").addEventListener("click", () => tr.remove());
+  els.debtBody.appendChild(tr);
+}
+
+// Rows with a balance become debts; returns { debts, problem }.
+function readDebts() {
+  const debts = [];
+  const rows = [...(els.debtBody?.querySelectorAll("tr") ?? [])];
+  for (const [i, tr] of rows.entries()) {
+    const v = (k) => tr.querySelector(`[data-k="${k}"]`);
+    const balance = safeNum(v("balance").value, NaN);
+    if (!(balance > 0)) continue;
+
+    const d = {
+      name: v("name").value.trim() || `Debt ${i + 1}`,
+      type: v("type").value,
+      balance,
+      apr: safeNum(v("apr").value, NaN),
+      years: safeNum(v("years").value, NaN),
+      variable: v("variable").checked,
+      priority: safeNum(v("priority").value, NaN),
+      minPct: safeNum(v("minPct").value, NaN),
+      minFloor: safeNum(v("minFloor").value, NaN),
+    };
+    if (!(d.apr >= 0)) return { debts, problem: `Enter an APR for ${d.name}.` };
+    if (d.minPct < 0 || d.minFloor < 0) return { debts, problem: `Minimum payment settings for ${d.name} can't be negative.` };
+    if (d.type !== "creditcard" && !(d.years > 0)) return { debts, problem: `Enter the years left on ${d.name}.` };
+    debts.push(d);
+  }
+  if (!debts.length) return { debts, problem: "Enter a balance for at least one debt." };
+  return { debts, problem: "" };
+}
+
+/* =========================================================
+   Dates
+   ========================================================= */
+function nextMonthFirst() {
+  const now = new Date();
+  const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-01`;
+  return addMonthsISO(today, 1);
+}
+
+function firstPayment() {
+  const v = els.hhFirstPayment?.value;
+  return isISODate(v) ? v : nextMonthFirst();
+}
+
+function whenPaid(month, first) {
+  if (month === null) return "Not within 50 years";
+  if (month === 0) return "—";
+  return `${fmtMonthYear(paymentDate(first, month))} (${month} mo)`;
+}
+
+/* =========================================================
+   Chart
+   ========================================================= */
+let chart = null;
+
+function buildChart(results, first) {
+  if (!els.hhChart) return;
+
+  const months = Math.max(...results.map(r => r.base.months));
+  const labels = Array.from({ length: months }, (_, i) => fmtMonthYear(paymentDate(first, i + 1)));
+  const datasets = results.map(r => ({
+    label: STRATEGY_LABELS[r.strategy],
+    data: labels.map((_, i) => r.base.rows[i]?.balance ?? 0),
+    borderWidth: 2,
+    tension: 0.25,
+    pointRadius: 0
+  }));
+
+  if (chart) chart.destroy();
+
+  chart = new Chart(els.hhChart, {
+    type: "line",
+    data: { labels, datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: { labels: { boxWidth: 12 } },
+        tooltip: {
+          callbacks: {
+            label: (i) => `${i.dataset.label}: ${fmtUSD(i.raw)}`
+          }
+        }
+      },
+      scales: {
+        y: { ticks: { callback: v => fmtUSD(v) } }
+      }
+    }
+  });
+}
+
+/* =========================================================
+   Tables + summary
+   ========================================================= */
+let lastSummary = "";
+
+function renderStrategies(results, first) {
+  if (!els.hhStrategyBody) return;
+  els.hhStrategyBody.innerHTML = results.map(r => `
+    <tr>
+      <td>${STRATEGY_LABELS[r.strategy]}</td>
+      <td>${r.base.paysOff ? whenPaid(r.base.months, first) : whenPaid(null)}</td>
+      <td>${fmtUSD(r.base.totalInterest)}</td>
+      <td>${r.shocked.paysOff ? whenPaid(r.shocked.months, first) : whenPaid(null)}</td>
+      <td>${fmtUSD(r.shocked.totalInterest)}</td>
+      <td>${fmtSignedUSD(r.interestChange)}</td>
+    </tr>
+  `).join("");
+}
+
+function renderDebts(result, first) {
+  if (!els.hhDebtResultBody) return;
+  if (els.hhDebtTitle) els.hhDebtTitle.textContent = `Each debt — ${STRATEGY_LABELS[result.strategy]}`;
+  els.hhDebtResultBody.innerHTML = result.base.debts.map((d, i) => {
+    const s = result.shocked.debts[i];
+    const apr = s.apr !== d.apr ? `${d.apr.toFixed(2)}% → ${s.apr.toFixed(2)}%` : `${d.apr.toFixed(2)}%`;
+    return `
+      <tr>
+        <td data-name></td>
+        <td>${apr}</td>
+        <td>${whenPaid(d.payoffMonth, first)}</td>
+        <td>${fmtUSD(d.interest)}</td>
+        <td>${whenPaid(s.payoffMonth, first)}</td>
+        <td>${fmtUSD(s.interest)}</td>
+      </tr>
+    `;
+  }).join("");
+  // Names are typed by the user, so they go in as text, not markup.
+  els.hhDebtResultBody.querySelectorAll("[data-name]").forEach((td, i) => {
+    td.textContent = result.base.debts[i].name;
+  });
+}
+
+function buildSummary(results, debts, shock, first) {
+  const lines = debts.map(d =>
+    `- ${d.name}: ${fmtUSD(d.balance)} at ${d.apr.toFixed(2)}%${d.variable ? " (variable)" : ""}`
+  );
+  const strategies = results.map(r =>
+    `${STRATEGY_LABELS[r.strategy]}: debt-free ${r.base.paysOff ? whenPaid(r.base.months, first) : "not within 50 years"}, ` +
+    `interest ${fmtUSD(r.base.totalInterest)} (${fmtSignedUSD(r.interestChange)} with ${shock >= 0 ? "+" : ""}${shock.toFixed(2)}% on variable debts)`
+  );
+  return `RateSense Household
+Monthly budget: ${fmtUSD(results[0].base.budget)}
+${lines.join("\n")}
+
+${strategies.join("\n")}
+
+Educational use only.`;
+}
+
+/* =========================================================
+   Run
+   ========================================================= */
+let lastResults = null;
+
+function run() {
+  const { debts, problem } = readDebts();
+  if (problem) {
+    setStatus(problem);
+    return;
+  }
+
+  const budgetIn = safeNum(els.hhBudget.value, NaN);
+  const shock = safeNum(els.hhRateShock.value, 0);
+  const first = firstPayment();
+
+  const results = householdStrategies(debts, {
+    budget: budgetIn > 0 ? budgetIn : undefined,
+    rateShock: shock
+  });
+  const avalanche = results[0].base;
+
+  els.hhBudgetOut.textContent = fmtUSD(avalanche.budget);
+  els.hhRequiredOut.textContent = `Required payments in month 1: ${fmtUSD(avalanche.startRequired)}`;
+  if (els.hhBudgetNote) {
+    els.hhBudgetNote.textContent = budgetIn > 0 ? "" : `Using the required payments (${fmtUSD(avalanche.startRequired)}).`;
+  }
+
+  const rolling = results.filter(r => r.strategy !== "minimum" && r.base.paysOff);
+  const best = rolling.reduce((b, r) => (!b || r.base.totalInterest < b.base.totalInterest ? r : b), null);
+  const minimum = results.find(r => r.strategy === "minimum");
+  if (best) {
+    els.hhBest.textContent = STRATEGY_LABELS[best.strategy].split(" (")[0];
+    els.hhBestNote.textContent = minimum.base.paysOff
+      ? `Saves ${fmtUSD(minimum.base.totalInterest - best.base.totalInterest)} vs minimums only`
+      : `${fmtUSD(best.base.totalInterest)} total interest`;
+    els.hhDebtFree.textContent = fmtMonthYear(paymentDate(first, best.base.months));
+    els.hhDebtFreeNote.textContent = `${best.base.months} months`;
+    els.hhShock.textContent = fmtSignedUSD(best.interestChange);
+    els.hhShockNote.textContent =
+      `${shock >= 0 ? "+" : ""}${shock.toFixed(2)}% on variable debts • required payments ${fmtSignedUSD(best.requiredChange)}/month` +
+      (best.monthsChange ? ` • ${best.monthsChange > 0 ? "+" : ""}${best.monthsChange} months` : "");
+  } else {
+    els.hhBest.textContent = "—";
+    els.hhBestNote.textContent = "No strategy clears these debts within 50 years.";
+    els.hhDebtFree.textContent = "—";
+    els.hhDebtFreeNote.textContent = "";
+    els.hhShock.textContent = "—";
+    els.hhShockNote.textContent = "";
+  }
+
+  renderStrategies(results, first);
+  renderDebts(results.find(r => r.strategy === els.hhDetailStrategy.value) ?? results[0], first);
+  buildChart(results, first);
+
+  lastResults = { results, first };
+  lastSummary = buildSummary(results, debts, shock, first);
+
+  setStatus(avalanche.shortMonths
+    ? `The budget is below the required payments for ${avalanche.shortMonths} month(s); those months pay the required amounts anyway.`
+    : "");
+}
+
+/* =========================================================
+   Events + init
+   ========================================================= */
+els.hhAddBtn?.addEventListener("click", () => addDebtRow());
+els.hhRunBtn?.addEventListener("click", run);
+els.hhCopyBtn?.addEventListener("click", () => {
+  if (!lastSummary) return setStatus("Simulate first.");
+  copyText(lastSummary, els.hhStatus, "Summary copied.");
+});
+els.hhDetailStrategy?.addEventListener("change", () => {
+  if (!lastResults) return;
+  const { results, first } = lastResults;
+  renderDebts(results.find(r => r.strategy === els.hhDetailStrategy.value) ?? results[0], first);
+});
+
+STARTER_DEBTS.forEach(addDebtRow);
+if (els.hhFirstPayment && !els.hhFirstPayment.value) els.hhFirstPayment.value = nextMonthFirst();
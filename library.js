@@ -0,0 +1,205 @@
+/* =========================================================
+   Scenario library
+   =========================================================
+   Named scenarios saved from the Calculator, Stress Test and
+   Compare pages, kept in this browser (localStorage). Each entry
+   stores its page's share-link query (see urlstate.js), so it
+   reopens on that page exactly like a share link:
+
+     { id, name, page, query, tags, summary, createdAt, updatedAt }
+
+   The library exports as JSON ({ format, version, scenarios })
+   and imports from the same file; imported queries are re-checked
+   against the page schemas.
+========================================================= */
+import { fmtUSD, fmtPct2 } from "./ui.js";
+import { safeNum } from "./finance.js";
+import { defaultState, encodeState, decodeState } from "./urlstate.js";
+
+export const LIBRARY_PAGES = {
+  calculator: { label: "Calculator", href: "./index.html" },
+  stress: { label: "Stress Test", href: "./stress.html" },
+  compare: { label: "Compare", href: "./compare.html" }
+};
+
+export const LIBRARY_FORMAT = "ratesense-library";
+export const LIBRARY_VERSION = 1;
+
+const LIBRARY_KEY = "ratesense_library";
+const NAME_MAX = 120;
+
+const LOAN_LABELS = { mortgage: "Mortgage", auto: "Auto loan", student: "Student loan", creditcard: "Credit card" };
+const STRESS_MODES = { steps: "Rate steps", arm: "ARM", montecarlo: "Monte Carlo" };
+
+function makeId() {
+  return `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// "Mortgage • $350,000 • 30 years • 6.50%" from a page's field values.
+export function describeState(page, v) {
+  const money = (x) => (x === "" || x === undefined ? null : fmtUSD(safeNum(x)));
+  const rate = (x) => (x === "" || x === undefined ? null : fmtPct2(safeNum(x)));
+  const years = (x) => (x === "" || x === undefined ? null : `${x} years`);
+  const loan = (type, p, term, apr) => [LOAN_LABELS[type] ?? type, money(p), type === "creditcard" ? null : years(term), rate(apr)];
+
+  let parts;
+  if (page === "stress") parts = [`${STRESS_MODES[v.stMode] ?? v.stMode} stress`, money(v.stPrincipal), years(v.stTermYears), rate(v.stBaseApr)];
+  else if (page === "compare") parts = [`${LOAN_LABELS[v.aType]} ${rate(v.aApr) ?? "?"} vs ${LOAN_LABELS[v.bType]} ${rate(v.bApr) ?? "?"}`];
+  else parts = loan(v.loanType, v.principal, v.termYears, v.apr);
+  return parts.filter(Boolean).join(" • ");
+}
+
+// "first-time buyer, ARM , arm" → ["first-time buyer", "ARM"]
+export function parseTags(text) {
+  const seen = new Set();
+  return String(text ?? "")
+    .split(",")
+    .map(t => t.trim())
+    .filter(t => t && !seen.has(t.toLowerCase()) && seen.add(t.toLowerCase()));
+}
+
+export function createEntry({ page, values, name = "", tags = [], now = new Date() }) {
+  const summary = describeState(page, { ...defaultState(page), ...values });
+  const stamp = now.toISOString();
+  return {
+    id: makeId(),
+    name: String(name).trim().slice(0, NAME_MAX) || summary || LIBRARY_PAGES[page].label,
+    page,
+    query: encodeState(page, values),
+    tags,
+    summary,
+    createdAt: stamp,
+    updatedAt: stamp
+  };
+}
+
+export function entryURL(entry) {
+  return `${LIBRARY_PAGES[entry.page].href}?${entry.query}`;
+}
+
+export function duplicateEntry(entry, now = new Date()) {
+  const stamp = now.toISOString();
+  return { ...entry, id: makeId(), name: `${entry.name} (copy)`.slice(0, NAME_MAX), tags: [...entry.tags], createdAt: stamp, updatedAt: stamp };
+}
+
+// changes: { name?, tags? }
+export function updateEntry(entries, id, changes, now = new Date()) {
+  return entries.map(e => {
+    if (e.id !== id) return e;
+    const name = changes.name === undefined ? e.name : String(changes.name).trim().slice(0, NAME_MAX) || e.name;
+    return { ...e, ...changes, name, updatedAt: now.toISOString() };
+  });
+}
+
+export function deleteEntry(entries, id) {
+  return entries.filter(e => e.id !== id);
+}
+
+export function libraryTags(entries) {
+  return parseTags(entries.flatMap(e => e.tags).join(",")).sort((a, b) => a.localeCompare(b));
+}
+
+/*
+  Entries matching every word of `query` (in the name, summary, tags or
+  page) and, when given, carrying `tag`. Newest first.
+*/
+export function searchEntries(entries, query = "", tag = "") {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return entries
+    .filter(e => !tag || e.tags.some(t => t.toLowerCase() === tag.toLowerCase()))
+    .filter(e => {
+      const haystack = [e.name, e.summary, LIBRARY_PAGES[e.page].label, ...e.tags].join(" ").toLowerCase();
+      return words.every(w => haystack.includes(w));
+    })
+    .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : a.updatedAt > b.updatedAt ? -1 : 0));
+}
+
+/* =========================================================
+   Import / export
+   ========================================================= */
+export function exportLibrary(entries, now = new Date()) {
+  return JSON.stringify({ format: LIBRARY_FORMAT, version: LIBRARY_VERSION, exported: now.toISOString(), scenarios: entries }, null, 2);
+}
+
+// A stored or imported entry with its query re-validated, or null.
+function cleanEntry(raw) {
+  if (!raw || typeof raw !== "object" || !LIBRARY_PAGES[raw.page] || typeof raw.query !== "string") return null;
+  const state = decodeState(raw.page, raw.query);
+  const stamp = typeof raw.createdAt === "string" ? raw.createdAt : new Date(0).toISOString();
+  const summary = describeState(raw.page, state.values);
+  return {
+    id: typeof raw.id === "string" && raw.id ? raw.id : makeId(),
+    name: String(raw.name ?? "").trim().slice(0, NAME_MAX) || summary,
+    page: raw.page,
+    query: encodeState(raw.page, state.values),
+    tags: parseTags(Array.isArray(raw.tags) ? raw.tags.join(",") : raw.tags),
+    summary,
+    createdAt: stamp,
+    updatedAt: typeof raw.updatedAt === "string" ? raw.updatedAt : stamp
+  };
+}
+
+/*
+  Merges an exported library (or a bare array of entries) into `existing`.
+  Entries already present (same page, query and name) are skipped; an id
+  clash with different content gets a new id. Unreadable entries count as
+  invalid. Throws if the text isn't a library at all.
+*/
+export function importLibrary(text, existing = []) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("That file isn't valid JSON.");
+  }
+  const list = Array.isArray(data) ? data : data?.format === LIBRARY_FORMAT ? data.scenarios : null;
+  if (!Array.isArray(list)) throw new Error("That file isn't a RateSense scenario library.");
+
+  const entries = [...existing];
+  const ids = new Set(entries.map(e => e.id));
+  const same = (a, b) => a.page === b.page && a.query === b.query && a.name === b.name;
+  let added = 0;
+  let skipped = 0;
+  let invalid = 0;
+
+  for (const raw of list) {
+    const entry = cleanEntry(raw);
+    if (!entry) {
+      invalid++;
+      continue;
+    }
+    if (entries.some(e => same(e, entry))) {
+      skipped++;
+      continue;
+    }
+    if (ids.has(entry.id)) entry.id = makeId();
+    ids.add(entry.id);
+    entries.push(entry);
+    added++;
+  }
+  return { entries, added, skipped, invalid };
+}
+
+/* =========================================================
+   Storage
+   ========================================================= */
+export function loadLibrary(storage = globalThis.localStorage) {
+  try {
+    const list = JSON.parse(storage?.getItem(LIBRARY_KEY));
+    return Array.isArray(list) ? list.map(cleanEntry).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Throws when storage is full or unavailable.
+export function saveLibrary(entries, storage = globalThis.localStorage) {
+  storage.setItem(LIBRARY_KEY, JSON.stringify(entries));
+}
+
+// Adds one page's current inputs to the stored library; returns the entry.
+export function saveToLibrary(page, values, storage = globalThis.localStorage) {
+  const entry = createEntry({ page, values });
+  saveLibrary([...loadLibrary(storage), entry], storage);
+  return entry;
+}
@@ -0,0 +1,199 @@
+/* =========================================================
+   Monte Carlo rate paths
+   =========================================================
+   Generates monthly index paths from a mean-reverting short-rate
+   model (Vasicek with an extra drift term):
+
+     dr = [ speed * (mean - r) + drift ] dt + vol * sqrt(dt) * Z
+
+   with dt = 1/12, rates and vol in % per year. Each path is fed
+   to runStressARM() as its index, so caps, floor and margin work
+   exactly as in ARM mode. Results are summarized as per-month
+   5th/50th/95th percentile bands plus the chance the required
+   payment ever exceeds an affordability limit.
+
+   Pure module: runs on the main thread or in
+   montecarlo.worker.js.
+========================================================= */
+import { runStressARM } from "./finance.js";
+
+export const MC_PERCENTILES = [5, 50, 95];
+
+// Every path's payment and APR for every month is kept until the bands
+// are taken (16 bytes a cell), so paths are capped: 5,000 × 360 months
+// is about 29 MB.
+export const MC_MAX_PATHS = 5000;
+
+// Small seeded PRNG so a given seed always reproduces the same run.
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal via Box–Muller.
+export function gaussian(rng) {
+  let u = 0;
+  while (u === 0) u = rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+export function simulateShortRatePath(model, months, rng) {
+  const dt = 1 / 12;
+  const path = new Float64Array(months);
+  let r = model.start;
+  for (let m = 0; m < months; m++) {
+    path[m] = r;
+    const dr = (model.speed * (model.mean - r) + model.drift) * dt
+      + model.vol * Math.sqrt(dt) * gaussian(rng);
+    r = Math.max(model.minRate ?? 0, r + dr);
+  }
+  return path;
+}
+
+// Linear-interpolated percentile of an ascending-sorted array.
+export function percentile(sorted, p) {
+  if (!sorted.length) return NaN;
+  const idx = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+function bands(values) {
+  const sorted = Float64Array.from(values).sort();
+  const out = {};
+  MC_PERCENTILES.forEach(p => (out[`p${p}`] = percentile(sorted, p)));
+  return out;
+}
+
+/*
+  cfg:   runStressARM config (principal, startApr, termMonths, caps, margin, ...)
+  model: { start, mean, speed, drift, vol, minRate? }
+  opts:  { paths, seed, limit, onProgress? }
+*/
+export function runMonteCarlo(cfg, model, opts = {}) {
+  const paths = Math.max(1, Math.round(opts.paths ?? 1000));
+  const months = cfg.simMonths ?? cfg.termMonths;
+  const rng = mulberry32(opts.seed ?? 1);
+  const limit = opts.limit;
+
+  // Column-major per month so each month's distribution is contiguous.
+  const payments = new Float64Array(paths * months);
+  const aprs = new Float64Array(paths * months);
+  const worstPayments = new Float64Array(paths);
+  const peakRates = new Float64Array(paths);
+  const totalInterest = new Float64Array(paths);
+  let overLimit = 0;
+
+  for (let i = 0; i < paths; i++) {
+    const path = simulateShortRatePath(model, months, rng);
+    const out = runStressARM({
+      ...cfg,
+      indexMode: "simulated",
+      indexLookup: (m) => ({ value: path[m - 1] }),
+    });
+
+    let lastApr = cfg.startApr;
+    for (let m = 0; m < months; m++) {
+      const row = out.rows[m];
+      if (row) lastApr = row.apr;
+      payments[m * paths + i] = row ? row.payment : 0;
+      aprs[m * paths + i] = lastApr;
+    }
+
+    worstPayments[i] = out.worstPayment;
+    peakRates[i] = out.peakRate;
+    totalInterest[i] = out.totalInterest;
+    if (isFinite(limit) && out.worstPayment > limit) overLimit++;
+
+    if (opts.onProgress && (i + 1) % 250 === 0) opts.onProgress((i + 1) / paths);
+  }
+
+  const monthly = [];
+  for (let m = 0; m < months; m++) {
+    monthly.push({
+      month: m + 1,
+      payment: bands(payments.subarray(m * paths, (m + 1) * paths)),
+      apr: bands(aprs.subarray(m * paths, (m + 1) * paths)),
+    });
+  }
+
+  return {
+    paths,
+    months,
+    monthly,
+    startPayment: monthly[0]?.payment.p50 ?? NaN,
+    worstPayment: bands(worstPayments),
+    peakRate: bands(peakRates),
+    totalInterest: bands(totalInterest),
+    probOverLimit: isFinite(limit) ? overLimit / paths : NaN,
+  };
+}
+
+/* =========================================================
+   Worker runner
+   =========================================================
+   One simulation at a time. makeWorker() returns a worker
+   speaking montecarlo.worker.js's messages; without one, runs
+   happen on the main thread. Starting a run or calling cancel()
+   terminates the current worker and rejects its promise with
+   err.reason = "superseded". A worker is terminated as soon as
+   its run settles.
+========================================================= */
+export function createMonteCarloRunner(makeWorker) {
+  let worker = null;
+  let supersede = null;
+
+  function release() {
+    worker?.terminate();
+    worker = null;
+    supersede = null;
+  }
+
+  function cancel() {
+    const reject = supersede;
+    release();
+    if (reject) {
+      const err = new Error("Replaced by a newer run.");
+      err.reason = "superseded";
+      reject(err);
+    }
+  }
+
+  // opts as runMonteCarlo(); onProgress stays on this side of the worker.
+  function run(cfg, model, opts = {}) {
+    cancel();
+    if (!makeWorker) return Promise.resolve(runMonteCarlo(cfg, model, opts));
+
+    const { onProgress, ...workerOpts } = opts;
+    const current = makeWorker();
+    worker = current;
+
+    return new Promise((resolve, reject) => {
+      const settle = (fn, value) => {
+        if (worker !== current) return;
+        release();
+        fn(value);
+      };
+      supersede = reject;
+      current.onmessage = (e) => {
+        const msg = e.data;
+        if (worker !== current) return;
+        if (msg.type === "progress") onProgress?.(msg.value);
+        else if (msg.type === "done") settle(resolve, msg.result);
+        else if (msg.type === "error") settle(reject, new Error(msg.message));
+      };
+      current.onerror = (e) => settle(reject, new Error(e.message || "Simulation worker failed."));
+      current.postMessage({ cfg, model, opts: workerOpts });
+    });
+  }
+
+  return { run, cancel };
+}
@@ -0,0 +1,22 @@
+/* =========================================================
+   Monte Carlo worker
+   =========================================================
+   Runs runMonteCarlo() off the main thread so the stress page
+   stays responsive. Message in: { cfg, model, opts }.
+   Messages out: { type: "progress", value } and
+   { type: "done", result } or { type: "error", message }.
+========================================================= */
+import { runMonteCarlo } from "./montecarlo.js";
+
+self.addEventListener("message", (e) => {
+  const { cfg, model, opts } = e.data;
+  try {
+    const result = runMonteCarlo(cfg, model, {
+      ...opts,
+      onProgress: (value) => self.postMessage({ type: "progress", value }),
+    });
+    self.postMessage({ type: "done", result });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+});
@@ -0,0 +1,182 @@
+/* =========================================================
+   Local rate history
+   =========================================================
+   Every PMMS and Treasury fetch on the Rates page is saved in
+   the browser (IndexedDB), so trends build up over time and
+   still show offline.
+
+   Series keys:
+     pmms30, pmms15 — Freddie Mac PMMS 30/15-year fixed (weekly)
+     tsy:<maturity> — one per Treasury yield-curve column
+                      ("tsy:10 Yr"), daily
+
+   Stores:
+     observations — { series, date, value, source, fetchedAt },
+                    keyed by [series, date]; the first value saved
+                    for a date is kept, so refetching never duplicates
+     fetches      — { id, source, fetchedAt, series, received, added },
+                    one per save
+
+   The pure helpers (observations, windows, changes) are what
+   test/ratehistory.test.js covers; the store functions are thin
+   promise wrappers over IndexedDB.
+========================================================= */
+import { safeNum } from "./finance.js";
+import { treasurySeries, toISODate, indexOnOrBefore } from "./treasury.js";
+import { addDaysISO, addMonthsISO } from "./calendar.js";
+
+export const PMMS_SERIES = {
+  pmms30: "30-year fixed (PMMS)",
+  pmms15: "15-year fixed (PMMS)"
+};
+
+const TREASURY_PREFIX = "tsy:";
+
+export function treasuryKey(maturity) {
+  return TREASURY_PREFIX + maturity;
+}
+
+export function seriesLabel(key) {
+  if (PMMS_SERIES[key]) return PMMS_SERIES[key];
+  if (key.startsWith(TREASURY_PREFIX)) return `${key.slice(TREASURY_PREFIX.length)} Treasury`;
+  return key;
+}
+
+/* =========================================================
+   Observations
+   ========================================================= */
+
+// Every maturity column of a parsed Treasury CSV.
+export function treasuryObservations(parsed) {
+  if (!parsed?.headers) return [];
+  return parsed.headers
+    .filter(h => h !== "Date")
+    .flatMap(maturity => treasurySeries(parsed, maturity)
+      .map(p => ({ series: treasuryKey(maturity), date: p.date, value: p.value })));
+}
+
+// points: [{ date, value }] in any date format toISODate reads.
+export function seriesObservations(series, points) {
+  return (points || [])
+    .map(p => ({ series, date: toISODate(p.date), value: safeNum(p.value, NaN) }))
+    .filter(o => o.date && isFinite(o.value));
+}
+
+// One observation per series and date (the last one wins).
+export function uniqueObservations(observations) {
+  const byKey = new Map();
+  observations.forEach(o => byKey.set(`${o.series}|${o.date}`, o));
+  return [...byKey.values()];
+}
+
+/* =========================================================
+   Trends
+   ========================================================= */
+
+// The trailing `years` of an ascending series, ending at its latest date.
+export function windowSeries(series, years) {
+  if (!series.length) return [];
+  const from = addMonthsISO(series[series.length - 1].date, -12 * years);
+  return series.filter(p => p.date >= from);
+}
+
+const bps = (a, b) => (a && b ? Math.round((a.value - b.value) * 100) : null);
+
+/*
+  Latest value and its change vs one week and one year earlier, in basis
+  points (1 bp = 0.01%). The comparison uses the last observation on or
+  before that date, so weekends and holidays fall back a business day.
+*/
+export function rateChanges(series) {
+  const latest = series[series.length - 1] ?? null;
+  if (!latest) return { latest: null, weekAgo: null, yearAgo: null, wowBps: null, yoyBps: null };
+  const earlier = (iso) => {
+    const p = indexOnOrBefore(series, iso);
+    return p === latest ? null : p;
+  };
+  const weekAgo = earlier(addDaysISO(latest.date, -7));
+  const yearAgo = earlier(addMonthsISO(latest.date, -12));
+  return { latest, weekAgo, yearAgo, wowBps: bps(latest, weekAgo), yoyBps: bps(latest, yearAgo) };
+}
+
+/* =========================================================
+   IndexedDB store
+   ========================================================= */
+const DB_NAME = "ratesense";
+const DB_VERSION = 1;
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Resolves to the database, or null where IndexedDB isn't available
+// (old browsers, some private modes).
+export async function openRateHistory(idb = globalThis.indexedDB) {
+  if (!idb) return null;
+  const req = idb.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    if (!db.objectStoreNames.contains("observations")) {
+      const obs = db.createObjectStore("observations", { keyPath: ["series", "date"] });
+      obs.createIndex("series", "series");
+    }
+    if (!db.objectStoreNames.contains("fetches")) {
+      db.createObjectStore("fetches", { keyPath: "id", autoIncrement: true });
+    }
+  };
+  try {
+    return await request(req);
+  } catch {
+    return null;
+  }
+}
+
+// Adds what's new, then logs the fetch. Resolves to { received, added }.
+export async function saveFetch(db, { source, fetchedAt = new Date().toISOString(), observations }) {
+  const list = uniqueObservations(observations);
+  const tx = db.transaction("observations", "readwrite");
+  const store = tx.objectStore("observations");
+  let added = 0;
+
+  list.forEach(o => {
+    const req = store.add({ ...o, source, fetchedAt });
+    req.onsuccess = () => { added++; };
+    // Already stored: keep the first value and don't abort the transaction.
+    req.onerror = (e) => { e.preventDefault(); e.stopPropagation(); };
+  });
+  await transactionDone(tx);
+
+  const log = db.transaction("fetches", "readwrite");
+  const series = [...new Set(list.map(o => o.series))];
+  log.objectStore("fetches").add({ source, fetchedAt, series, received: list.length, added });
+  await transactionDone(log);
+  return { received: list.length, added };
+}
+
+// Ascending [{ date, value, source, fetchedAt }] for one series.
+export async function loadSeries(db, series) {
+  const tx = db.transaction("observations", "readonly");
+  const rows = await request(tx.objectStore("observations").index("series").getAll(series));
+  return rows.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+// How many observations are stored, and the latest fetch logged.
+export async function historySummary(db) {
+  const tx = db.transaction(["observations", "fetches"], "readonly");
+  const [count, cursor] = await Promise.all([
+    request(tx.objectStore("observations").count()),
+    request(tx.objectStore("fetches").openCursor(null, "prev"))
+  ]);
+  return { count, lastFetch: cursor?.value ?? null };
+}
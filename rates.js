@@ -1,36 +1,46 @@
-"use strict";
+import { $, fmtPct2, copyText } from "./ui.js";
+import { safeNum } from "./finance.js";
+import { findLastValidTreasuryRow, treasuryYield, treasurySeries, toISODate } from "./treasury.js";
+import { fmtDate } from "./calendar.js";
+import {
+  seriesLabel,
+  treasuryKey,
+  treasuryObservations,
+  seriesObservations,
+  windowSeries,
+  rateChanges,
+  openRateHistory,
+  saveFetch,
+  loadSeries,
+  historySummary
+} from "./ratehistory.js";
+import {
+  CURVE_MATURITIES,
+  CURVE_OVERLAYS,
+  curveSnapshots,
+  curveSpreads,
+  mortgageSpread,
+  estimateMortgageRate
+} from "./yieldcurve.js";
+import {
+  RATE_SOURCES,
+  loadSource,
+  pmmsLatest,
+  describeSourceError,
+  sourceSettings,
+  loadSourceSettings,
+  saveSourceSettings,
+  createStorageCache
+} from "./ratesources.js";
 
 /* =========================================================
    Small helpers
    ========================================================= */
-const $ = (id) => document.getElementById(id);
-
 function setStatus(el, msg) {
   if (!el) return;
   el.textContent = msg || "";
 }
 
-function copyText(text, statusEl, ok = "Copied.") {
-  navigator.clipboard.writeText(text).then(() => {
-    if (statusEl) {
-      statusEl.textContent = ok;
-      setTimeout(() => (statusEl.textContent = ""), 1400);
-    }
-  }).catch(() => {
-    if (statusEl) statusEl.textContent = "Copy failed (clipboard blocked).";
-  });
-}
-
-function safeNum(v, d = NaN) {
-  const x = parseFloat(v);
-  return isFinite(x) ? x : d;
-}
-
-function fmtPct2(x) {
-  if (!isFinite(x)) return "—";
-  return x.toFixed(2) + "%";
-}
-
 /* =========================================================
    Mobile menu (same behavior as other pages)
    ========================================================= */
@@ -51,47 +61,34 @@ function fmtPct2(x) {
 })();
 
 /* =========================================================
-   Fetch with fallback (GitHub Pages often blocks CORS)
+   Sources (see ratesources.js)
    ========================================================= */
-async function fetchJSONWithFallback(url, opts = {}) {
-  // 1) Try direct
-  try {
-    const r = await fetch(url, opts);
-    if (!r.ok) throw new Error(`HTTP ${r.status}`);
-    return await r.json();
-  } catch (e1) {
-    // 2) Try CORS proxy
-    // NOTE: Public proxies can be rate-limited. This is best-effort.
-    const proxied = "https://cors.isomorphic-git.org/" + url;
-    const r2 = await fetch(proxied, opts);
-    if (!r2.ok) throw new Error(`Proxy HTTP ${r2.status}`);
-    return await r2.json();
-  }
+const sourceCache = createStorageCache();
+let sourceConfig = loadSourceSettings();
+
+function sourceOptions(id, params = {}) {
+  return { settings: sourceSettings(sourceConfig, id), params, cache: sourceCache };
 }
 
-async function fetchTextWithFallback(url, opts = {}) {
-  try {
-    const r = await fetch(url, opts);
-    if (!r.ok) throw new Error(`HTTP ${r.status}`);
-    return await r.text();
-  } catch (e1) {
-    const proxied = "https://cors.isomorphic-git.org/" + url;
-    const r2 = await fetch(proxied, opts);
-    if (!r2.ok) throw new Error(`Proxy HTTP ${r2.status}`);
-    return await r2.text();
-  }
+// " • Cached 12 min ago" for results that didn't come off the network.
+function cacheNote(result) {
+  if (result.from === "network") return "";
+  const mins = Math.max(0, Math.round((Date.now() - result.fetchedAt) / 60000));
+  const age = mins < 60 ? `${mins} min` : mins < 48 * 60 ? `${Math.round(mins / 60)} h` : `${Math.round(mins / 1440)} days`;
+  return ` • Cached ${age} ago`;
+}
+
+// Status for a stale result: refreshing in the background, or served because the fetch failed.
+function staleStatus(result) {
+  if (result.error) return `Showing a cached copy. ${describeSourceError(result.error)}`;
+  return result.revalidated ? "Refreshing in the background…" : "";
 }
 
 /* =========================================================
    PMMS (Freddie Mac Primary Mortgage Market Survey)
    =========================================================
-   Freddie Mac provides PMMS data in several formats. The most
-   consistent machine-friendly endpoint (as of past years) is
-   a JSON-like feed used by their pages.
-
-   We do a robust parse:
-   - fetch a known PMMS JSON endpoint if available
-   - otherwise fetch HTML and regex the most recent values
+   The PMMS adapter tries Freddie Mac's JSON feed, then the
+   PMMS page's HTML (see ratesources.js).
 ========================================================= */
 
 const pmms = {
@@ -105,103 +102,59 @@ const pmms = {
 
 let lastPMMS = { rate: null, date: null, product: "30" };
 
-async function fetchPMMS() {
-  setStatus(pmms.statusEl, "Fetching…");
-  pmms.valueEl.textContent = "—";
-  pmms.metaEl.textContent = "";
-
+async function showPMMS(result) {
   const product = pmms.productSel.value; // "30" or "15"
-
-  // Strategy A: Try Freddie Mac JSON endpoint used by their PMMS page
-  // If this changes, Strategy B below still works.
-  const jsonUrl = "https://www.freddiemac.com/pmms/data.json";
-
-  try {
-    const data = await fetchJSONWithFallback(jsonUrl);
-
-    // data structure commonly contains: data.pmms or series arrays
-    // We will search arrays for latest "30-year" or "15-year" fixed rate.
-    // If format differs, fallback to HTML parse.
-    const { rate, date } = parsePMMSFromJSON(data, product);
-    if (!(rate && date)) throw new Error("PMMS JSON format not recognized");
-
-    lastPMMS = { rate, date, product };
-    pmms.valueEl.textContent = fmtPct2(rate);
-    pmms.metaEl.textContent = `As of ${date} • Source: Freddie Mac PMMS`;
-    setStatus(pmms.statusEl, "");
+  const { rate, date } = pmmsLatest(result.data, product);
+  if (!(rate && date)) {
+    setStatus(pmms.statusEl, `This PMMS data has no ${product}-year rate.`);
     return;
-  } catch (e) {
-    // fallback
   }
 
-  // Strategy B: HTML parse from the PMMS landing page
-  const htmlUrl = "https://www.freddiemac.com/pmms";
-  try {
-    const html = await fetchTextWithFallback(htmlUrl);
-    const { rate, date } = parsePMMSFromHTML(html, product);
-    if (!(rate && date)) throw new Error("Could not parse PMMS page");
-
-    lastPMMS = { rate, date, product };
-    pmms.valueEl.textContent = fmtPct2(rate);
-    pmms.metaEl.textContent = `As of ${date} • Source: Freddie Mac PMMS`;
-    setStatus(pmms.statusEl, "");
-  } catch (err) {
-    setStatus(pmms.statusEl, "Could not fetch PMMS (blocked or format changed). Try again later.");
-    pmms.metaEl.textContent = "Tip: if this keeps failing on GitHub Pages, it’s usually CORS/proxy rate limiting.";
+  lastPMMS = { rate, date, product };
+  updateUsePreview();
+  pmms.valueEl.textContent = fmtPct2(rate);
+  pmms.metaEl.textContent = `As of ${date} • Source: Freddie Mac PMMS${cacheNote(result)}`;
+  setStatus(pmms.statusEl, staleStatus(result));
+
+  if (result.from === "network") {
+    await recordHistory(RATE_SOURCES.pmms.label, [
+      ...seriesObservations("pmms30", result.data["30"]),
+      ...seriesObservations("pmms15", result.data["15"])
+    ]);
+    renderCurve();
   }
 }
 
-function parsePMMSFromJSON(data, product) {
-  // We try a few patterns safely.
-  // Expected: a "series" or "data" structure containing dates and rates.
-  // We'll normalize by scanning for keys that look like "30-year" and "15-year".
-
-  const want = product === "30" ? "30" : "15";
-
-  // Case 1: data.pmms is an array of objects like { date: "...", rate_30: ..., rate_15: ... }
-  if (data && Array.isArray(data.pmms) && data.pmms.length) {
-    const last = data.pmms[data.pmms.length - 1];
-    const rate = want === "30" ? safeNum(last.rate_30, null) : safeNum(last.rate_15, null);
-    const date = last.date || last.week || null;
-    return { rate, date };
-  }
+async function fetchPMMS() {
+  setStatus(pmms.statusEl, "Fetching…");
+  pmms.valueEl.textContent = "—";
+  pmms.metaEl.textContent = "";
 
-  // Case 2: data might have series arrays keyed by name
-  // e.g., data.series["30yrFRM"] = [{ date, value }, ...]
-  if (data && data.series && typeof data.series === "object") {
-    const key30 = Object.keys(data.series).find(k => /30/i.test(k) && /(fixed|frm|rate)/i.test(k));
-    const key15 = Object.keys(data.series).find(k => /15/i.test(k) && /(fixed|frm|rate)/i.test(k));
-    const key = want === "30" ? key30 : key15;
-    const arr = key ? data.series[key] : null;
-    if (Array.isArray(arr) && arr.length) {
-      const last = arr[arr.length - 1];
-      const rate = safeNum(last.value ?? last.rate, null);
-      const date = last.date ?? last.week ?? null;
-      return { rate, date };
+  try {
+    const result = await loadSource(RATE_SOURCES.pmms, sourceOptions("pmms"));
+    await showPMMS(result);
+    result.revalidated?.then(fresh => (fresh ? showPMMS(fresh) : setStatus(pmms.statusEl, "Couldn't refresh; showing the cached copy.")))
+      .catch(() => setStatus(pmms.statusEl, "The refreshed PMMS data couldn't be shown."));
+  } catch (err) {
+    // Stand in with 10-year Treasury + mortgage spread when there's a yield to use.
+    const product = pmms.productSel.value;
+    let est = null;
+    try {
+      est = mortgageEstimate(await loadCurveData(), Number(product));
+    } catch {
+      // No curve to estimate from; fall through to the PMMS error.
+    }
+    if (est) {
+      lastPMMS = { rate: est.rate, date: null, product, estimated: true };
+      updateUsePreview();
+      pmms.valueEl.textContent = `≈ ${fmtPct2(est.rate)}`;
+      pmms.metaEl.textContent = `Estimate: ${estimateNote(est)}`;
+      setStatus(pmms.statusEl, `Could not fetch PMMS, so this is an estimate from the 10-year Treasury yield. ${describeSourceError(err)}`);
+      return;
     }
+    setStatus(pmms.statusEl, `Could not fetch PMMS. ${describeSourceError(err)}`);
+    pmms.metaEl.textContent = "Tip: if this keeps failing, set a proxy or a local endpoint under Data sources.";
   }
-
-  // Case 3: Search deep for last numeric rate + date string near "30" or "15"
-  // If this fails, HTML fallback will handle it.
-  return { rate: null, date: null };
-}
-
-function parsePMMSFromHTML(html, product) {
-  // Best-effort regex:
-  // We look for the most prominent displayed rates on the page.
-  // Patterns often include "30-year fixed-rate mortgage (FRM) averaged X.XX percent"
-  const want = product === "30" ? "30" : "15";
-
-  const rateRe = new RegExp(`${want}\\s*-?year[^\\d]{0,80}(\\d\\.\\d\\d)\\s*percent`, "i");
-  const m = html.match(rateRe);
-  const rate = m ? safeNum(m[1], null) : null;
-
-  // Date often shown like "Week of December 25, 2025" or similar
-  const dateRe = /Week of\s+([A-Za-z]+\s+\d{1,2},\s+\d{4})/i;
-  const d = html.match(dateRe);
-  const date = d ? d[1] : null;
-
-  return { rate, date };
 }
 
 /* =========================================================
@@ -221,89 +174,493 @@ const tsy = {
 
 let lastTSY = { yield: null, date: null, maturity: "10 Yr" };
 
+let lastTsyParsed = null;  // this year's CSV, for the curve when there's no local history
+let lastTsyRow = null;     // its latest complete row (the whole curve)
+
+// Treasury files hold one calendar year each.
+function fetchTreasuryYear(year) {
+  return loadSource(RATE_SOURCES.treasury, sourceOptions("treasury", { year }));
+}
+
+// Shows the selected maturity from the latest row; false if it's blank there.
+function showTreasuryYield() {
+  const maturity = tsy.maturitySel.value; // matches CSV header names
+  const y = treasuryYield(lastTsyRow, maturity);
+  if (!isFinite(y)) return false;
+
+  lastTSY = { yield: y, date: lastTsyRow.Date, maturity };
+  tsy.valueEl.textContent = fmtPct2(y);
+  tsy.metaEl.textContent = `As of ${lastTsyRow.Date} • Source: U.S. Treasury`;
+  updateUsePreview();
+  return true;
+}
+
+async function showTreasury(result) {
+  const parsed = result.data;
+
+  // Use last valid row (some rows may have blank yields)
+  const row = findLastValidTreasuryRow(parsed.rows);
+  if (!row) throw new Error("The Treasury file has no rows with yields yet.");
+
+  lastTsyParsed = parsed;
+  lastTsyRow = row;
+  if (!showTreasuryYield()) throw new Error(`The Treasury file has no ${tsy.maturitySel.value} yield yet.`);
+  tsy.metaEl.textContent += cacheNote(result);
+  setStatus(tsy.statusEl, staleStatus(result));
+
+  if (result.from === "network") {
+    await recordHistory(RATE_SOURCES.treasury.label, treasuryObservations(parsed));
+    renderCurve();
+  }
+}
+
 async function fetchTreasuryYield() {
   setStatus(tsy.statusEl, "Fetching…");
   tsy.valueEl.textContent = "—";
   tsy.metaEl.textContent = "";
 
-  // Treasury publishes the daily yield curve data as CSV.
-  // Endpoint:
-  // https://home.treasury.gov/resource-center/data-chart-center/interest-rates/Datasets/yield.csv?type=daily_treasury_yield_curve&field_tdr_date_value=2025
-  // We'll fetch the current year CSV and use the last row with values.
+  // We fetch the current year's CSV and use the last row with values.
+  try {
+    const result = await fetchTreasuryYear(new Date().getFullYear());
+    await showTreasury(result);
+    result.revalidated?.then(fresh => (fresh ? showTreasury(fresh) : setStatus(tsy.statusEl, "Couldn't refresh; showing the cached copy.")))
+      .catch(err => setStatus(tsy.statusEl, `Couldn't show the refreshed Treasury file. ${err.message}`));
+  } catch (err) {
+    // Source errors carry a reason; anything else (a file without the
+    // chosen maturity, a failed history save) says what went wrong itself.
+    if (!err.reason) return setStatus(tsy.statusEl, err.message);
+    setStatus(tsy.statusEl, `Could not fetch Treasury yields. ${describeSourceError(err)}`);
+    tsy.metaEl.textContent = "Tip: if this keeps failing, set a proxy or a local endpoint under Data sources.";
+  }
+}
+
+/* =========================================================
+   Rate history (IndexedDB, see ratehistory.js)
+   ========================================================= */
+const hist = {
+  seriesSel: $("histSeries"),
+  windowSel: $("histWindow"),
+  latestEl: $("histLatest"),
+  latestMeta: $("histLatestMeta"),
+  wowEl: $("histWow"),
+  wowMeta: $("histWowMeta"),
+  yoyEl: $("histYoy"),
+  yoyMeta: $("histYoyMeta"),
+  storedEl: $("histStored"),
+  storedMeta: $("histStoredMeta"),
+  chartEl: $("histChart"),
+  backfillBtn: $("histBackfillBtn"),
+  statusEl: $("histStatus"),
+};
 
-  const year = new Date().getFullYear();
-  const url = `https://home.treasury.gov/resource-center/data-chart-center/interest-rates/Datasets/yield.csv?type=daily_treasury_yield_curve&field_tdr_date_value=${year}`;
+const HISTORY_BACKFILL_YEARS = 10;
 
-  try {
-    const csv = await fetchTextWithFallback(url);
-    const parsed = parseTreasuryCSV(csv);
-    if (!parsed?.rows?.length) throw new Error("No Treasury rows");
+let historyDb = null;
+let historyChart = null;
+
+function fmtBps(n) {
+  if (n === null) return "—";
+  return `${n > 0 ? "+" : ""}${n} bps`;
+}
 
-    // Use last valid row (some rows may have blank yields)
-    const last = findLastValidTreasuryRow(parsed.rows);
-    if (!last) throw new Error("No valid row found");
+async function recordHistory(source, observations) {
+  if (!historyDb || !observations.length) return;
+  try {
+    const { received, added } = await saveFetch(historyDb, { source, observations });
+    setStatus(hist.statusEl, `Saved ${added} new of ${received} values from ${source}.`);
+    await renderHistory();
+  } catch {
+    setStatus(hist.statusEl, "Could not save to local history.");
+  }
+}
 
-    const maturity = tsy.maturitySel.value; // matches CSV header names
-    const y = safeNum(last[maturity], null);
+function buildHistoryChart(points, key) {
+  if (!hist.chartEl || typeof Chart === "undefined") return;
+  if (historyChart) historyChart.destroy();
+
+  historyChart = new Chart(hist.chartEl, {
+    type: "line",
+    data: {
+      labels: points.map(p => p.date),
+      datasets: [
+        { label: seriesLabel(key), data: points.map(p => p.value), borderWidth: 2, tension: 0.25, pointRadius: 0 }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: { labels: { boxWidth: 12 } },
+        tooltip: {
+          callbacks: {
+            title: (i) => fmtDate(points[i[0].dataIndex].date),
+            label: (ctx) => `${ctx.dataset.label}: ${fmtPct2(ctx.raw)}`
+          }
+        }
+      },
+      scales: {
+        x: { ticks: { maxTicksLimit: 8 } },
+        y: { ticks: { callback: v => `${Number(v).toFixed(2)}%` } }
+      }
+    }
+  });
+}
 
-    if (!isFinite(y)) throw new Error("Yield missing for selected maturity");
+async function renderHistory() {
+  if (!historyDb) return;
+  const key = hist.seriesSel.value;
+  const all = await loadSeries(historyDb, key);
+  const years = safeNum(hist.windowSel.value, 1);
+  const changes = rateChanges(all);
+
+  hist.latestEl.textContent = changes.latest ? fmtPct2(changes.latest.value) : "—";
+  hist.latestMeta.textContent = changes.latest
+    ? `${fmtDate(changes.latest.date)} • ${changes.latest.source}`
+    : "Nothing saved for this series yet. Fetch it above.";
+  hist.wowEl.textContent = fmtBps(changes.wowBps);
+  hist.wowMeta.textContent = changes.weekAgo ? `vs ${fmtPct2(changes.weekAgo.value)} on ${fmtDate(changes.weekAgo.date)}` : "";
+  hist.yoyEl.textContent = fmtBps(changes.yoyBps);
+  hist.yoyMeta.textContent = changes.yearAgo ? `vs ${fmtPct2(changes.yearAgo.value)} on ${fmtDate(changes.yearAgo.date)}` : "";
+
+  const summary = await historySummary(historyDb);
+  hist.storedEl.textContent = all.length ? all.length.toLocaleString() : "—";
+  hist.storedMeta.textContent = [
+    all.length ? `Since ${fmtDate(all[0].date)}` : "",
+    `${summary.count.toLocaleString()} values across all series`,
+    summary.lastFetch ? `last saved ${new Date(summary.lastFetch.fetchedAt).toLocaleString()}` : ""
+  ].filter(Boolean).join(" • ");
+
+  buildHistoryChart(windowSeries(all, years), key);
+}
 
-    lastTSY = { yield: y, date: last.Date, maturity };
-    tsy.valueEl.textContent = fmtPct2(y);
-    tsy.metaEl.textContent = `As of ${last.Date} • Source: U.S. Treasury`;
-    setStatus(tsy.statusEl, "");
-  } catch (err) {
-    setStatus(tsy.statusEl, "Could not fetch Treasury yields (blocked or rate-limited).");
-    tsy.metaEl.textContent = "Tip: This can fail if a proxy is rate-limited. Try again later.";
+// Treasury files hold one calendar year each; walk back year by year.
+async function backfillTreasury() {
+  if (!historyDb) return;
+  hist.backfillBtn.disabled = true;
+  const thisYear = new Date().getFullYear();
+  let added = 0;
+  let failed = 0;
+  for (let year = thisYear; year > thisYear - HISTORY_BACKFILL_YEARS; year--) {
+    setStatus(hist.statusEl, `Loading ${year} Treasury yields…`);
+    try {
+      const { data } = await fetchTreasuryYear(year);
+      added += (await saveFetch(historyDb, { source: RATE_SOURCES.treasury.label, observations: treasuryObservations(data) })).added;
+    } catch {
+      failed++;
+    }
   }
+  hist.backfillBtn.disabled = false;
+  setStatus(hist.statusEl, `Saved ${added.toLocaleString()} new Treasury values${failed ? ` (${failed} year(s) could not be fetched)` : ""}.`);
+  await renderHistory();
+  await renderCurve();
 }
 
-function parseTreasuryCSV(csvText) {
-  const lines = csvText.split(/\r?\n/).filter(Boolean);
-  if (lines.length < 2) return null;
+async function initHistory() {
+  historyDb = await openRateHistory();
+  if (!historyDb) {
+    setStatus(hist.statusEl, "Local history isn't available in this browser (IndexedDB is off).");
+    if (hist.backfillBtn) hist.backfillBtn.disabled = true;
+    return;
+  }
+  await renderHistory();
+  await renderCurve();
+}
 
-  const headers = splitCSVLine(lines[0]);
-  const rows = [];
+/* =========================================================
+   Yield curve (see yieldcurve.js)
+   ========================================================= */
+const curve = {
+  dateEl: $("curveDate"),
+  dateMeta: $("curveDateMeta"),
+  s2s10El: $("curve2s10"),
+  s2s10Meta: $("curve2s10Meta"),
+  s3m10yEl: $("curve3m10y"),
+  s3m10yMeta: $("curve3m10yMeta"),
+  mortgageEl: $("curveMortgage"),
+  mortgageMeta: $("curveMortgageMeta"),
+  chartEl: $("curveChart"),
+  statusEl: $("curveStatus"),
+};
 
-  for (let i = 1; i < lines.length; i++) {
-    const cols = splitCSVLine(lines[i]);
-    if (cols.length !== headers.length) continue;
-    const obj = {};
-    headers.forEach((h, idx) => obj[h] = cols[idx]);
-    rows.push(obj);
+let curveChart = null;
+
+// Every maturity (and PMMS for the spread) from local history when it's
+// available, else just this year's fetched CSV.
+async function loadCurveData() {
+  if (historyDb) {
+    const [maturities, pmms30, pmms15] = await Promise.all([
+      Promise.all(CURVE_MATURITIES.map(m => loadSeries(historyDb, treasuryKey(m)))),
+      loadSeries(historyDb, "pmms30"),
+      loadSeries(historyDb, "pmms15")
+    ]);
+    return {
+      byMaturity: Object.fromEntries(CURVE_MATURITIES.map((m, i) => [m, maturities[i]])),
+      pmms: { 30: pmms30, 15: pmms15 }
+    };
   }
-  return { headers, rows };
-}
-
-function splitCSVLine(line) {
-  // basic CSV split that handles quoted commas
-  const out = [];
-  let cur = "";
-  let inQ = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      inQ = !inQ;
-    } else if (ch === "," && !inQ) {
-      out.push(cur.trim().replace(/^"|"$/g, ""));
-      cur = "";
-    } else {
-      cur += ch;
+  return {
+    byMaturity: Object.fromEntries(CURVE_MATURITIES.map(m => [m, lastTsyParsed ? treasurySeries(lastTsyParsed, m) : []])),
+    pmms: { 30: [], 15: [] }
+  };
+}
+
+// Adds `asOf`, the date of the 10-year yield the estimate starts from.
+function mortgageEstimate(data, term) {
+  const ten = data.byMaturity["10 Yr"];
+  if (!ten.length) return null;
+  const latest = ten[ten.length - 1];
+  return { ...estimateMortgageRate(latest.value, term, mortgageSpread(data.pmms[term], ten)), asOf: latest.date };
+}
+
+function estimateNote(est) {
+  const basis = est.basis === "saved"
+    ? `average gap over ${est.pairs} saved PMMS weeks`
+    : "long-run average gap";
+  return `10-year ${fmtPct2(est.tenYear)} on ${fmtDate(est.asOf)} + ${est.spread.toFixed(2)} pts (${basis})`;
+}
+
+function spreadNote(bps, inverted, short) {
+  if (bps === null) return "";
+  return inverted ? `Inverted: ${short} yields more than the 10-year` : `10-year above ${short}`;
+}
+
+function buildCurveChart(snaps) {
+  if (!curve.chartEl || typeof Chart === "undefined") return;
+  if (curveChart) curveChart.destroy();
+
+  const line = (label, c, extra = {}) => ({
+    label,
+    data: c.points.map(p => p.value),
+    borderWidth: 2,
+    tension: 0.25,
+    pointRadius: 2,
+    spanGaps: true,
+    ...extra
+  });
+
+  curveChart = new Chart(curve.chartEl, {
+    type: "line",
+    data: {
+      labels: CURVE_MATURITIES,
+      datasets: [
+        line(`Latest (${fmtDate(snaps.latest.date)})`, snaps.latest),
+        ...snaps.overlays.filter(Boolean).map(o => line(`${o.label} (${fmtDate(o.date)})`, o, { borderDash: [5, 4], borderWidth: 1.5 }))
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: { labels: { boxWidth: 12 } },
+        tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${fmtPct2(ctx.raw)}` } }
+      },
+      scales: {
+        x: { title: { display: true, text: "Maturity" } },
+        y: { ticks: { callback: v => `${Number(v).toFixed(2)}%` } }
+      }
     }
+  });
+}
+
+async function renderCurve() {
+  const data = await loadCurveData();
+  const snaps = curveSnapshots(data.byMaturity);
+  if (!snaps) {
+    setStatus(curve.statusEl, "Fetch Treasury yields to draw the curve.");
+    return;
+  }
+  const spreads = curveSpreads(snaps.latest);
+
+  curve.dateEl.textContent = fmtDate(snaps.latest.date);
+  const missing = snaps.overlays.map((o, i) => (o ? null : CURVE_OVERLAYS[i].label)).filter(Boolean);
+  curve.dateMeta.textContent = missing.length
+    ? `No saved curve for ${missing.join(", ")} yet`
+    : "Compared with 1 month, 3 months and 1 year ago";
+
+  curve.s2s10El.textContent = fmtBps(spreads.s2s10);
+  curve.s2s10Meta.textContent = spreadNote(spreads.s2s10, spreads.inverted2s10, "2-year");
+  curve.s3m10yEl.textContent = fmtBps(spreads.s3m10y);
+  curve.s3m10yMeta.textContent = spreadNote(spreads.s3m10y, spreads.inverted3m10y, "3-month");
+
+  const est = mortgageEstimate(data, 30);
+  curve.mortgageEl.textContent = est ? `≈ ${fmtPct2(est.rate)}` : "—";
+  curve.mortgageMeta.textContent = est ? estimateNote(est) : "";
+
+  buildCurveChart(snaps);
+  setStatus(curve.statusEl, spreads.inverted2s10 || spreads.inverted3m10y
+    ? "The curve is inverted: short-term Treasuries yield more than the 10-year."
+    : "");
+}
+
+/* =========================================================
+   Use a live rate (handoff to the calculator / stress test)
+   =========================================================
+   The calculator reads "ratesense_scenario" (preloadScenario in
+   app.js) and the stress test "ratesense_stress_scenario". Both
+   keep where the rate came from for their reports and exports.
+
+   The calculator gets the live rate as its base APR, so the APR
+   matches its source label exactly, and the spread as its scenario
+   increase: the scenario APR is live rate + spread.
+========================================================= */
+const use = {
+  rateSel: $("useRate"),
+  spreadEl: $("useSpread"),
+  aprEl: $("useApr"),
+  aprMeta: $("useAprMeta"),
+  calcBtn: $("useCalcBtn"),
+  armBtn: $("useArmBtn"),
+  statusEl: $("useStatus"),
+};
+
+// { rate, source } for the picked rate, or null until it's fetched.
+function liveRate() {
+  if (use.rateSel.value === "tsy") {
+    if (lastTSY.yield === null) return null;
+    return {
+      rate: lastTSY.yield,
+      source: `${lastTSY.maturity} Treasury yield ${fmtPct2(lastTSY.yield)} (${fmtDate(toISODate(lastTSY.date))})`
+    };
+  }
+  if (lastPMMS.rate === null) return null;
+  const name = `${lastPMMS.product}-year fixed`;
+  return {
+    rate: lastPMMS.rate,
+    source: lastPMMS.estimated
+      ? `estimated ${name} rate ${fmtPct2(lastPMMS.rate)} (10-year Treasury + mortgage spread)`
+      : `Freddie Mac PMMS ${name} ${fmtPct2(lastPMMS.rate)} (${fmtDate(toISODate(lastPMMS.date))})`
+  };
+}
+
+// Scenario APR = live rate + the spread, rounded to what the calculator shows.
+function calculatorRate(live) {
+  const spread = Math.round(safeNum(use.spreadEl.value, 0) * 100) / 100;
+  return {
+    apr: Math.round((live.rate + spread) * 100) / 100,
+    spread,
+    source: spread ? `${live.source} ${spread > 0 ? "+" : "-"} ${Math.abs(spread).toFixed(2)} pts` : live.source
+  };
+}
+
+function updateUsePreview() {
+  const live = liveRate();
+  if (!live) {
+    use.aprEl.textContent = "—";
+    use.aprMeta.textContent = "Fetch a rate above first.";
+    return;
   }
-  out.push(cur.trim().replace(/^"|"$/g, ""));
-  return out;
+  const { apr, source } = calculatorRate(live);
+  use.aprEl.textContent = fmtPct2(apr);
+  use.aprMeta.textContent = source;
 }
 
-function findLastValidTreasuryRow(rows) {
-  for (let i = rows.length - 1; i >= 0; i--) {
-    const r = rows[i];
-    // Check any common maturity exists to confirm row is usable
-    const y10 = safeNum(r["10 Yr"], NaN);
-    if (isFinite(y10) && r.Date) return r;
+function handOff(key, payload, page) {
+  try {
+    localStorage.setItem(key, JSON.stringify(payload));
+  } catch {
+    setStatus(use.statusEl, "This browser won't pass the rate along (storage is off). Copy it instead.");
+    return;
+  }
+  window.location.href = page;
+}
+
+function useInCalculator() {
+  const live = liveRate();
+  if (!live) return setStatus(use.statusEl, "Fetch a rate above first.");
+  const { apr, spread } = calculatorRate(live);
+  if (!(apr > 0)) return setStatus(use.statusEl, "That spread leaves no positive APR.");
+  handOff("ratesense_scenario", {
+    apr: Math.round(live.rate * 100) / 100,
+    delta: spread,
+    rateSource: live.source
+  }, "./index.html#calculator");
+}
+
+function useAsArmIndex() {
+  const live = liveRate();
+  if (!live) return setStatus(use.statusEl, "Fetch a rate above first.");
+  handOff("ratesense_stress_scenario", {
+    stMode: "arm",
+    armIndexMode: "constant",
+    armIndexValue: live.rate.toFixed(2),
+    armIndexRateSource: live.source
+  }, "./stress.html");
+}
+
+/* =========================================================
+   Data sources card
+   ========================================================= */
+// Settings key → input id, per source.
+const SOURCE_FIELDS = {
+  pmms: { endpoint: "srcPmmsEndpoint", proxy: "srcPmmsProxy", ttlMinutes: "srcPmmsTtl" },
+  treasury: { endpoint: "srcTsyEndpoint", proxy: "srcTsyProxy", ttlMinutes: "srcTsyTtl" },
+  custom: {
+    label: "srcCustomLabel",
+    endpoint: "srcCustomEndpoint",
+    format: "srcCustomFormat",
+    proxy: "srcCustomProxy",
+    ttlMinutes: "srcCustomTtl"
+  }
+};
+
+const src = {
+  saveBtn: $("srcSaveBtn"),
+  customFetchBtn: $("srcCustomFetchBtn"),
+  clearCacheBtn: $("srcClearCacheBtn"),
+  customValueEl: $("srcCustomValue"),
+  customMetaEl: $("srcCustomMeta"),
+  statusEl: $("srcStatus"),
+};
+
+function fillSourceFields() {
+  Object.entries(SOURCE_FIELDS).forEach(([id, fields]) => {
+    const settings = sourceSettings(sourceConfig, id);
+    Object.entries(fields).forEach(([key, elId]) => {
+      const el = $(elId);
+      if (el) el.value = settings[key];
+    });
+  });
+}
+
+// Reads the form into sourceConfig and keeps it for next time.
+function applySourceFields() {
+  sourceConfig = Object.fromEntries(Object.entries(SOURCE_FIELDS).map(([id, fields]) => [
+    id,
+    Object.fromEntries(Object.entries(fields).map(([key, elId]) => [key, ($(elId)?.value ?? "").trim()]))
+  ]));
+  try {
+    saveSourceSettings(sourceConfig);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function showCustomSource(result) {
+  const series = result.data;
+  const last = series[series.length - 1];
+  const name = sourceSettings(sourceConfig, "custom").label || RATE_SOURCES.custom.label;
+  src.customValueEl.textContent = fmtPct2(last.value);
+  src.customMetaEl.textContent = `As of ${fmtDate(last.date)} • ${name} • ${series.length} points${cacheNote(result)}`;
+  setStatus(src.statusEl, staleStatus(result));
+}
+
+async function fetchCustomSource() {
+  applySourceFields();
+  setStatus(src.statusEl, "Fetching…");
+  src.customValueEl.textContent = "—";
+  src.customMetaEl.textContent = "";
+
+  try {
+    const result = await loadSource(RATE_SOURCES.custom, sourceOptions("custom"));
+    showCustomSource(result);
+    result.revalidated?.then(fresh => (fresh ? showCustomSource(fresh) : setStatus(src.statusEl, "Couldn't refresh; showing the cached copy.")))
+      .catch(() => setStatus(src.statusEl, "The refreshed custom source has no usable values."));
+  } catch (err) {
+    setStatus(src.statusEl, `Could not fetch the custom source. ${describeSourceError(err)}`);
   }
-  return null;
 }
 
 /* =========================================================
@@ -315,7 +672,35 @@ pmms.copyBtn?.addEventListener("click", () => {
   copyText(lastPMMS.rate.toFixed(2), pmms.statusEl, "Rate copied.");
 });
 
+hist.seriesSel?.addEventListener("change", renderHistory);
+hist.windowSel?.addEventListener("change", renderHistory);
+hist.backfillBtn?.addEventListener("click", backfillTreasury);
+
+use.rateSel?.addEventListener("change", updateUsePreview);
+use.spreadEl?.addEventListener("input", updateUsePreview);
+use.calcBtn?.addEventListener("click", useInCalculator);
+use.armBtn?.addEventListener("click", useAsArmIndex);
+updateUsePreview();
+
+src.saveBtn?.addEventListener("click", () => {
+  setStatus(src.statusEl, applySourceFields()
+    ? "Sources saved. The next fetch uses them."
+    : "Sources apply to this visit only (this browser won't store them).");
+});
+src.customFetchBtn?.addEventListener("click", fetchCustomSource);
+src.clearCacheBtn?.addEventListener("click", () => {
+  sourceCache.clear();
+  setStatus(src.statusEl, "Cached responses cleared.");
+});
+fillSourceFields();
+
 tsy.fetchBtn?.addEventListener("click", fetchTreasuryYield);
+tsy.maturitySel?.addEventListener("change", () => {
+  if (!lastTsyRow) return;
+  if (showTreasuryYield()) return setStatus(tsy.statusEl, "");
+  tsy.valueEl.textContent = "—";
+  setStatus(tsy.statusEl, `No ${tsy.maturitySel.value} yield on ${lastTsyRow.Date}.`);
+});
 tsy.copyBtn?.addEventListener("click", () => {
   if (!isFinite(lastTSY.yield)) return setStatus(tsy.statusEl, "Fetch a Treasury yield first.");
   copyText(lastTSY.yield.toFixed(2), tsy.statusEl, "Yield copied.");
@@ -327,6 +712,9 @@ tsy.copyBtn?.addEventListener("click", () => {
 window.addEventListener("load", () => {
   // Don’t auto-fetch PMMS because it can be heavier; Treasury is quick.
   // If you want both, uncomment the PMMS line.
-  fetchTreasuryYield();
+  // A history failure shouldn't stop the Treasury fetch.
+  initHistory()
+    .catch(() => setStatus(hist.statusEl, "Could not load local history."))
+    .then(fetchTreasuryYield);
   // fetchPMMS();
 });
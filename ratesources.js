@@ -0,0 +1,364 @@
+/* =========================================================
+   Rate sources
+   =========================================================
+   One adapter per place the Rates page gets numbers from:
+
+     pmms      — Freddie Mac PMMS (the JSON feed, or the PMMS
+                 page's HTML when the feed isn't there)
+     treasury  — Treasury daily yield-curve CSV, one file a year
+     custom    — any CSV or JSON URL the user points at
+                 (date + value columns, or FRED-style observations)
+
+   Each source has settings (see SOURCE_DEFAULTS): an endpoint
+   that replaces the public URL (e.g. a local mirror), a proxy
+   tried when the direct request fails, and a cache TTL.
+
+   loadSource() caches the raw response text:
+     younger than the TTL      — served from cache
+     up to STALE_FACTOR × TTL  — served from cache right away while
+                                 a background refetch updates it
+     older                     — refetched; if that fails, any cached
+                                 copy is served (with the error)
+
+   Failures throw an Error with .reason (a SOURCE_ERRORS key) and
+   .attempts ([{ url, reason, status }]). Parsers are pure and run
+   offline against test/fixtures/.
+========================================================= */
+import { safeNum } from "./finance.js";
+import { parseTreasuryCSV, toISODate } from "./treasury.js";
+
+export const DEFAULT_PROXY = "https://cors.isomorphic-git.org/";
+
+const PMMS_URLS = [
+  "https://www.freddiemac.com/pmms/data.json",
+  "https://www.freddiemac.com/pmms"
+];
+const TREASURY_URL = "https://home.treasury.gov/resource-center/data-chart-center/interest-rates/Datasets/yield.csv?type=daily_treasury_yield_curve&field_tdr_date_value={year}";
+
+export const SOURCE_ERRORS = {
+  config: "No URL is set for this source.",
+  network: "The request didn't go through (offline, blocked by CORS, or the proxy is down).",
+  timeout: "The server took too long to answer.",
+  http: "The server answered with an error.",
+  parse: "The response isn't in a format this source understands."
+};
+
+function sourceError(reason, extra = {}) {
+  return Object.assign(new Error(SOURCE_ERRORS[reason]), { reason, ...extra });
+}
+
+// One line for a status message.
+export function describeSourceError(err) {
+  if (!err?.reason) return "Something went wrong while fetching.";
+  return err.status ? `${SOURCE_ERRORS[err.reason]} (HTTP ${err.status})` : SOURCE_ERRORS[err.reason];
+}
+
+/* =========================================================
+   Parsers
+   ========================================================= */
+
+// { "30": [{ date, value }], "15": [...] } in feed order, from either known layout.
+export function pmmsSeriesFromJSON(data) {
+  const clean = (points) => points.filter(p => p.date && isFinite(p.value));
+
+  // Case 1: data.pmms is an array of objects like { date: "...", rate_30: ..., rate_15: ... }
+  if (data && Array.isArray(data.pmms) && data.pmms.length) {
+    const points = (field) => clean(data.pmms.map(r => ({ date: r.date || r.week || null, value: safeNum(r[field]) })));
+    return { "30": points("rate_30"), "15": points("rate_15") };
+  }
+
+  // Case 2: series arrays keyed by name, e.g. data.series["30yrFRM"] = [{ date, value }, ...]
+  if (data && data.series && typeof data.series === "object") {
+    const points = (term) => {
+      const key = Object.keys(data.series).find(k => new RegExp(term).test(k) && /(fixed|frm|rate)/i.test(k));
+      const arr = key ? data.series[key] : null;
+      return Array.isArray(arr) ? clean(arr.map(p => ({ date: p.date ?? p.week ?? null, value: safeNum(p.value ?? p.rate) }))) : [];
+    };
+    return { "30": points("30"), "15": points("15") };
+  }
+
+  return { "30": [], "15": [] };
+}
+
+// Best-effort read of the PMMS landing page: one point per product.
+export function pmmsSeriesFromHTML(html) {
+  // Date is shown like "Week of December 25, 2025"
+  const d = html.match(/Week of\s+([A-Za-z]+\s+\d{1,2},\s+\d{4})/i);
+  const date = d ? d[1] : null;
+
+  // "30-year fixed-rate mortgage (FRM) averaged 6.85 percent"
+  const point = (term) => {
+    const m = html.match(new RegExp(`${term}\\s*-?year[^\\d]{0,80}(\\d\\.\\d\\d)\\s*percent`, "i"));
+    return m && date ? [{ date, value: safeNum(m[1]) }] : [];
+  };
+  return { "30": point("30"), "15": point("15") };
+}
+
+// JSON feed or HTML page; null when neither yields a rate.
+export function parsePMMS(text) {
+  let series;
+  try {
+    series = pmmsSeriesFromJSON(JSON.parse(text));
+  } catch {
+    series = pmmsSeriesFromHTML(text);
+  }
+  return series["30"].length || series["15"].length ? series : null;
+}
+
+// Latest { rate, date } for "30" or "15" (feed order, last entry).
+export function pmmsLatest(series, product) {
+  const points = series?.[product === "15" ? "15" : "30"] || [];
+  const last = points[points.length - 1];
+  return { rate: last?.value ?? null, date: last?.date ?? null };
+}
+
+function parseTreasury(text) {
+  const parsed = parseTreasuryCSV(text);
+  return parsed?.rows?.length && parsed.headers.includes("Date") ? parsed : null;
+}
+
+const DATE_FIELDS = ["date", "Date", "DATE", "week", "observation_date"];
+const VALUE_FIELDS = ["value", "rate", "yield", "Value", "Rate", "Yield"];
+
+function seriesFromRecords(records, dateField, valueField) {
+  return records
+    .map(r => ({ date: toISODate(r[dateField]), value: safeNum(r[valueField]) }))
+    .filter(p => p.date && isFinite(p.value))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+function customFromJSON(data) {
+  const records = Array.isArray(data) ? data : (data?.observations || data?.data || data?.values);
+  if (!Array.isArray(records) || !records.length) return [];
+  const first = records[0];
+  const dateField = DATE_FIELDS.find(f => f in first);
+  const valueField = VALUE_FIELDS.find(f => f in first);
+  return dateField && valueField ? seriesFromRecords(records, dateField, valueField) : [];
+}
+
+function customFromCSV(text) {
+  const parsed = parseTreasuryCSV(text);
+  if (!parsed) return [];
+  const dateField = parsed.headers.find(h => /date|week/i.test(h)) || parsed.headers[0];
+  // A named value column, else the first column that holds numbers.
+  const others = parsed.headers.filter(h => h !== dateField);
+  const valueField = others.find(h => /value|rate|yield/i.test(h))
+    || others.find(h => parsed.rows.some(r => isFinite(safeNum(r[h]))));
+  return valueField ? seriesFromRecords(parsed.rows, dateField, valueField) : [];
+}
+
+/*
+  User-supplied series → ascending [{ date: "YYYY-MM-DD", value }], or null.
+  format: "csv", "json" or "auto" (JSON if the text starts with { or [).
+  JSON: an array of records, or { observations | data | values: [...] }
+  (FRED's "." for missing values is skipped).
+*/
+export function parseCustomSeries(text, format = "auto") {
+  const trimmed = text.trim();
+  const asJSON = format === "json" || (format === "auto" && /^[[{]/.test(trimmed));
+  let series;
+  try {
+    series = asJSON ? customFromJSON(JSON.parse(trimmed)) : customFromCSV(trimmed);
+  } catch {
+    return null;
+  }
+  return series.length ? series : null;
+}
+
+/* =========================================================
+   Adapters and settings
+   ========================================================= */
+
+/*
+  urls(settings, params) — URLs to try in order; "{year}" etc. in a
+  custom endpoint is filled from params.
+  parse(text, settings) — data, or null if the body isn't usable.
+*/
+export const RATE_SOURCES = {
+  pmms: {
+    id: "pmms",
+    label: "Freddie Mac PMMS",
+    urls: (s) => (s.endpoint ? [s.endpoint] : PMMS_URLS),
+    parse: (text) => parsePMMS(text)
+  },
+  treasury: {
+    id: "treasury",
+    label: "U.S. Treasury daily yield curve",
+    urls: (s, params) => [fillTemplate(s.endpoint || TREASURY_URL, params)],
+    parse: (text) => parseTreasury(text)
+  },
+  custom: {
+    id: "custom",
+    label: "Custom source",
+    urls: (s, params) => (s.endpoint ? [fillTemplate(s.endpoint, params)] : []),
+    parse: (text, s) => parseCustomSeries(text, s.format)
+  }
+};
+
+export const SOURCE_DEFAULTS = {
+  pmms: { endpoint: "", proxy: DEFAULT_PROXY, ttlMinutes: 360 },
+  treasury: { endpoint: "", proxy: DEFAULT_PROXY, ttlMinutes: 60 },
+  custom: { endpoint: "", proxy: "", ttlMinutes: 60, format: "auto", label: "" }
+};
+
+// Past this multiple of the TTL a cached copy isn't served before refetching.
+export const STALE_FACTOR = 4;
+
+const SETTINGS_KEY = "ratesense_sources";
+
+function fillTemplate(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (whole, k) => (k in params ? encodeURIComponent(params[k]) : whole));
+}
+
+// "https://proxy/" is a prefix; "https://proxy/?url={url}" gets the URL encoded in.
+export function proxiedURL(proxy, url) {
+  if (!proxy) return null;
+  return proxy.includes("{url}") ? proxy.replace("{url}", encodeURIComponent(url)) : proxy + url;
+}
+
+export function sourceSettings(all, id) {
+  const s = { ...SOURCE_DEFAULTS[id], ...(all?.[id] || {}) };
+  s.ttlMinutes = Math.max(0, safeNum(s.ttlMinutes, SOURCE_DEFAULTS[id].ttlMinutes));
+  return s;
+}
+
+export function loadSourceSettings(storage = globalThis.localStorage) {
+  try {
+    return JSON.parse(storage?.getItem(SETTINGS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveSourceSettings(all, storage = globalThis.localStorage) {
+  storage?.setItem(SETTINGS_KEY, JSON.stringify(all));
+}
+
+/* =========================================================
+   Cache
+   =========================================================
+   Entries are { url, text, fetchedAt } (ms). Both caches share
+   get/set/clear so tests can use the in-memory one.
+========================================================= */
+export function createMemoryCache() {
+  const entries = new Map();
+  return {
+    get: (key) => entries.get(key) ?? null,
+    set: (key, entry) => { entries.set(key, entry); },
+    clear: () => entries.clear()
+  };
+}
+
+export function createStorageCache(storage = globalThis.localStorage, prefix = "ratesense_src:") {
+  return {
+    get(key) {
+      try {
+        return JSON.parse(storage.getItem(prefix + key));
+      } catch {
+        return null;
+      }
+    },
+    set(key, entry) {
+      try {
+        storage.setItem(prefix + key, JSON.stringify(entry));
+      } catch {
+        // Storage full: this response just isn't cached.
+      }
+    },
+    clear() {
+      const keys = [];
+      for (let i = 0; i < storage.length; i++) {
+        const k = storage.key(i);
+        if (k?.startsWith(prefix)) keys.push(k);
+      }
+      keys.forEach(k => storage.removeItem(k));
+    }
+  };
+}
+
+/* =========================================================
+   Fetching
+   ========================================================= */
+const DEFAULT_TIMEOUT_MS = 15000;
+
+async function fetchText(url, fetchImpl, timeoutMs) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const r = await fetchImpl(url, { signal: ctrl.signal });
+    if (!r.ok) throw sourceError("http", { status: r.status });
+    return await r.text();
+  } catch (err) {
+    if (err.reason) throw err;
+    throw sourceError(ctrl.signal.aborted ? "timeout" : "network");
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Each URL direct, then through the proxy; the first body that parses wins.
+async function fetchFirst(source, urls, settings, fetchImpl, timeoutMs) {
+  const attempts = [];
+  for (const url of urls) {
+    for (const candidate of [url, proxiedURL(settings.proxy, url)].filter(Boolean)) {
+      try {
+        const text = await fetchText(candidate, fetchImpl, timeoutMs);
+        const data = source.parse(text, settings);
+        if (data === null || data === undefined) throw sourceError("parse");
+        return { url: candidate, text, data };
+      } catch (err) {
+        attempts.push({ url: candidate, reason: err.reason, status: err.status ?? null });
+      }
+    }
+  }
+  const last = attempts[attempts.length - 1];
+  throw sourceError(last.reason, { status: last.status, attempts });
+}
+
+/*
+  Resolves to { data, url, fetchedAt, from: "network" | "cache" | "stale" }.
+  Stale results also carry `revalidated` (a promise of the refetched
+  result, or null if that failed) or `error` (the refetch failure).
+
+  options: { settings, params, cache, fetchImpl, now, timeoutMs }
+*/
+export async function loadSource(source, options = {}) {
+  const {
+    settings = SOURCE_DEFAULTS[source.id],
+    params = {},
+    cache = null,
+    fetchImpl = globalThis.fetch,
+    now = Date.now,
+    timeoutMs = DEFAULT_TIMEOUT_MS
+  } = options;
+
+  const urls = source.urls(settings, params);
+  if (!urls.length) throw sourceError("config");
+
+  const key = `${source.id}:${urls.join("|")}`;
+  const ttl = settings.ttlMinutes * 60000;
+
+  // A cached body the parser no longer accepts (e.g. a changed format setting) doesn't count.
+  const cached = cache?.get(key) ?? null;
+  const cachedData = cached ? source.parse(cached.text, settings) : null;
+  const fromCache = (from) => ({ data: cachedData, url: cached.url, fetchedAt: cached.fetchedAt, from });
+  const age = cachedData ? now() - cached.fetchedAt : Infinity;
+
+  const refetch = async () => {
+    const { url, text, data } = await fetchFirst(source, urls, settings, fetchImpl, timeoutMs);
+    const fetchedAt = now();
+    cache?.set(key, { url, text, fetchedAt });
+    return { data, url, fetchedAt, from: "network" };
+  };
+
+  if (age < ttl) return fromCache("cache");
+  if (age < ttl * STALE_FACTOR) {
+    return { ...fromCache("stale"), revalidated: refetch().catch(() => null) };
+  }
+  try {
+    return await refetch();
+  } catch (err) {
+    if (cachedData) return { ...fromCache("stale"), error: err };
+    throw err;
+  }
+}
@@ -0,0 +1,57 @@
+/* =========================================================
+   Historical rate-shock replays
+   =========================================================
+   Turns an episode from data/rate_history_monthly.json into a
+   month-by-month APR path for runStressPath(): the loan starts
+   at the user's APR and moves by the same amount the chosen
+   series moved since the episode's first month.
+
+     apr[m] = startApr + (series[m] - series[start])
+
+   Pure functions; the page loads the JSON and passes it in.
+========================================================= */
+
+export const REPLAY_DATA_URL = "./data/rate_history_monthly.json";
+
+// "2022-01" → "2022-02"
+export function nextMonthKey(key) {
+  const [y, m] = key.split("-").map(Number);
+  return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, "0")}`;
+}
+
+export function findEpisode(dataset, id) {
+  return dataset?.episodes?.find(e => e.id === id) ?? null;
+}
+
+// Values for every month of the episode; throws if the dataset has a gap.
+export function episodeValues(dataset, episode, seriesKey) {
+  const series = dataset?.series?.[seriesKey];
+  if (!series) throw new Error(`Unknown series "${seriesKey}".`);
+
+  const out = [];
+  for (let key = episode.start; key <= episode.end; key = nextMonthKey(key)) {
+    const v = series.values[key];
+    if (!isFinite(v)) throw new Error(`${series.label} has no value for ${key}.`);
+    out.push({ month: key, value: v });
+  }
+  return out;
+}
+
+export function replayAprPath(dataset, episodeId, seriesKey, startApr) {
+  const episode = findEpisode(dataset, episodeId);
+  if (!episode) throw new Error(`Unknown replay "${episodeId}".`);
+
+  const values = episodeValues(dataset, episode, seriesKey);
+  const base = values[0].value;
+  const aprPath = values.map(v => Math.max(0, startApr + (v.value - base)));
+  const changes = values.map(v => v.value - base);
+
+  return {
+    episode,
+    series: dataset.series[seriesKey],
+    months: values.map(v => v.month),
+    aprPath,
+    maxRise: Math.max(...changes),
+    endChange: changes[changes.length - 1],
+  };
+}
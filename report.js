@@ -0,0 +1,351 @@
+/* =========================================================
+   Calculator report (print view + PDF)
+   =========================================================
+   reportSections() turns a calculation into labelled rows that
+   both the print-only blocks on index.html and the PDF use, so
+   the two never disagree. writeReportPDF() lays those rows out
+   with any jsPDF-compatible document:
+
+     header (title, date, preparer, note)
+     inputs • results • PITI • scenario table • refinance
+     chart images
+     appendix: full amortization schedule, header repeated per page
+
+   No DOM access here; app.js passes in the jsPDF instance and
+   the chart images.
+========================================================= */
+import { fmtUSD, fmtUSD2, fmtPct, fmtSignedUSD } from "./ui.js";
+import { fmtDate, fmtMonthYear, monthText } from "./calendar.js";
+
+const LOAN_LABELS = {
+  mortgage: "Mortgage",
+  auto: "Auto loan",
+  student: "Student loan",
+  creditcard: "Credit card",
+};
+
+export const SCHEDULE_COLUMNS = ["Month", "Payment", "Interest", "Principal", "Balance"];
+
+const DAY_COUNT_LABELS = {
+  "30/360": "30/360",
+  "actual/365": "Actual/365",
+  "actual/actual": "Actual/actual",
+};
+
+function payoffText(schedule) {
+  if (!schedule.paysOff) return "Never pays off at this payment";
+  return `${schedule.months} months${schedule.payoffDate ? ` (${fmtMonthYear(schedule.payoffDate)})` : ""}`;
+}
+
+function structureText(st) {
+  if (st.type === "interestOnly") {
+    const shock = st.recastShock ? `, APR ${st.recastShock > 0 ? "+" : ""}${st.recastShock.toFixed(2)} pts at recast` : "";
+    return `Interest-only for ${st.ioMonths} months, then amortizing${shock}`;
+  }
+  return `Balloon; payments figured on ${Math.round(st.amortMonths / 12)} years`;
+}
+
+function planText(plan, extra) {
+  const parts = [];
+  if (extra > 0) {
+    parts.push(`${fmtUSD(extra)}/month${plan?.extraStartMonth > 1 ? ` from month ${plan.extraStartMonth}` : ""}`);
+  }
+  if (plan?.biweekly) parts.push("biweekly payments");
+  if (plan?.yearly) parts.push(`${fmtUSD(plan.yearly.amount)} yearly (month ${plan.yearly.monthOfYear} of each year)`);
+  (plan?.lumpSums || []).forEach(l => parts.push(`${fmtUSD(l.amount)} lump sum in month ${l.month}`));
+  return parts.join("; ") || "None";
+}
+
+/*
+  m: {
+    generated: Date, preparer, note,
+    loanType, principal, years, apr, aprNew, extra, cc?,
+    rateSource?,                         // where the APR came from (Rates page handoff)
+    calendar?: { startDate, firstPaymentDate, convention },
+    plan?, prepay?,                      // amortSchedule() plan, prepaymentImpact() result
+    base, next,                          // amortSchedule / creditCardSchedule results
+                                         // (base.structure set for interest-only / balloon)
+    tax, ins, hoa,                       // annual tax, annual insurance, monthly HOA
+    pmi?: { base: pmiSchedule() result },
+    escrow?: escrowSchedule() result,
+    refi?: { newApr, newYears, closingCosts, costMode, keepYears, analysis }
+  }
+*/
+export function reportSections(m) {
+  const isCard = m.loanType === "creditcard";
+  const baseInterest = m.base.paysOff ? m.base.totalInterest : NaN;
+  const nextInterest = m.next.paysOff ? m.next.totalInterest : NaN;
+  const payDelta = m.next.basePayment - m.base.basePayment;
+
+  const inputs = [
+    ["Loan type", LOAN_LABELS[m.loanType] ?? m.loanType],
+    ["Loan balance", fmtUSD(m.principal)],
+    isCard
+      ? ["Payment style", m.cc.mode === "fixed"
+        ? `Fixed ${fmtUSD(m.cc.fixedPayment)}/month`
+        : `Minimum (${m.cc.minPct}% of balance + interest, ${fmtUSD(m.cc.minFloor)} floor)`]
+      : ["Loan length", `${m.years} years`],
+    ["Baseline APR", `${m.apr.toFixed(2)}%`],
+    ["Scenario APR", `${m.aprNew.toFixed(2)}% (${m.aprNew >= m.apr ? "+" : ""}${(m.aprNew - m.apr).toFixed(2)} pts)`],
+  ];
+  if (m.rateSource) inputs.push(["APR source", m.rateSource]);
+  if (m.calendar) {
+    if (!isCard) inputs.push(["Loan start", fmtDate(m.calendar.startDate)]);
+    inputs.push(["First payment", fmtDate(m.calendar.firstPaymentDate)]);
+    if (!isCard) inputs.push(["Interest accrual", DAY_COUNT_LABELS[m.calendar.convention] ?? m.calendar.convention]);
+  }
+  if (m.base.structure) inputs.push(["Loan structure", structureText(m.base.structure)]);
+  if (!isCard) inputs.push(["Extra monthly payment", fmtUSD(m.extra)]);
+  const prepaid = m.prepay?.withPlan.totalPrepaid > 0;
+  if (prepaid) inputs.push(["Prepayment plan", planText(m.plan, m.extra)]);
+
+  const results = [
+    ["Baseline monthly payment", fmtUSD(m.base.basePayment)],
+    ["Scenario monthly payment", fmtUSD(m.next.basePayment)],
+    ["Monthly change", `${fmtSignedUSD(payDelta)} (${fmtPct(payDelta / m.base.basePayment)})`],
+    ["Baseline total interest", fmtUSD(baseInterest)],
+    ["Scenario total interest", fmtUSD(nextInterest)],
+    ["Interest change", fmtSignedUSD(nextInterest - baseInterest)],
+    ["Baseline total paid", m.base.paysOff ? fmtUSD(m.base.totalPaid) : "—"],
+    ["Baseline payoff", payoffText(m.base)],
+    ["Scenario payoff", payoffText(m.next)],
+  ];
+  if (m.base.structure?.type === "interestOnly" && m.base.recastPayment !== null) {
+    results.push(
+      ["Payment after recast", `${fmtUSD(m.base.recastPayment)} (${fmtSignedUSD(m.base.paymentJump)}) from ${monthText(m.base.rows, m.base.recastMonth)}`],
+      ["Scenario payment after recast", `${fmtUSD(m.next.recastPayment)} (${fmtSignedUSD(m.next.paymentJump)})`]
+    );
+  }
+  if (m.base.balloonMonth) {
+    results.push(
+      ["Balloon due", `${fmtUSD(m.base.balloon)} in ${monthText(m.base.rows, m.base.balloonMonth)}`],
+      ["Scenario balloon", fmtUSD(m.next.balloon)]
+    );
+  }
+  if (prepaid) {
+    results.push(
+      ["Interest saved by prepayments", fmtUSD(m.prepay.interestSaved)],
+      ["Months saved by prepayments", String(m.prepay.monthsSaved)]
+    );
+  }
+
+  let piti = null;
+  const pmi = m.pmi?.base;
+  const addons = (m.tax || 0) / 12 + (m.ins || 0) / 12 + (m.hoa || 0) + (pmi?.firstPayment ?? 0);
+  if (m.loanType === "mortgage" && addons > 0) {
+    const baseHousing = m.base.basePayment + addons;
+    const newHousing = m.next.basePayment + addons;
+    piti = [
+      ["Property tax (monthly)", fmtUSD((m.tax || 0) / 12)],
+      ["Insurance (monthly)", fmtUSD((m.ins || 0) / 12)],
+      ["HOA / fees (monthly)", fmtUSD(m.hoa || 0)],
+    ];
+    if (pmi?.total > 0) {
+      piti.push(
+        ["PMI (first month)", fmtUSD(pmi.firstPayment)],
+        ["PMI ends", `${monthText(m.base.rows, pmi.endMonth)}, ${fmtUSD(pmi.total)} total`]
+      );
+    }
+    piti.push(
+      ["Add-ons total", fmtUSD(addons)],
+      ["Baseline housing cost", fmtUSD(baseHousing)],
+      ["Scenario housing cost", fmtUSD(newHousing)],
+      ["Change", `${fmtSignedUSD(newHousing - baseHousing)} (${fmtPct((newHousing - baseHousing) / baseHousing)})`]
+    );
+
+    const escrow = m.escrow?.rows;
+    if (escrow?.length) {
+      const peak = escrow.reduce((p, r) => (r.housing > p.housing ? r : p), escrow[0]);
+      const shortages = m.escrow.analyses.filter(a => a.shortage > 0).length;
+      piti.push(
+        ["Escrow cushion at closing", fmtUSD(m.escrow.initialBalance)],
+        ["Peak housing cost (baseline)", `${fmtUSD(peak.housing)} in year ${Math.ceil(peak.month / 12)}`],
+        ["Escrow shortages", shortages ? `${shortages} of ${m.escrow.analyses.length} yearly analyses` : "None"]
+      );
+    }
+  }
+
+  const scenarios = {
+    head: ["Scenario", "APR", "Monthly payment", "Total interest", "Δ monthly", "Δ interest"],
+    rows: [
+      ["Baseline", `${m.apr.toFixed(2)}%`, fmtUSD(m.base.basePayment), fmtUSD(baseInterest), "—", "—"],
+      ["Scenario", `${m.aprNew.toFixed(2)}%`, fmtUSD(m.next.basePayment), fmtUSD(nextInterest),
+        fmtUSD(payDelta), fmtUSD(nextInterest - baseInterest)],
+    ],
+  };
+
+  let refi = null;
+  if (m.refi) {
+    const { analysis: a } = m.refi;
+    refi = [
+      ["New rate / length", `${m.refi.newApr.toFixed(2)}% for ${m.refi.newYears} years`],
+      ["Closing costs", `${fmtUSD(m.refi.closingCosts)} (${m.refi.costMode === "rolled" ? "rolled into the loan" : "paid upfront"})`],
+      ["New monthly payment", `${fmtUSD(a.refi.basePayment)} (saves ${fmtUSD(a.monthlySavings)}/month)`],
+      ["Break-even", a.breakEvenMonth === null ? "Never" : `Month ${a.breakEvenMonth}`],
+      [`Net savings after ${m.refi.keepYears} years`, fmtSignedUSD(a.netSavingsAtHorizon)],
+      ["Lifetime interest change", fmtSignedUSD(a.lifetimeInterestChange)],
+    ];
+  }
+
+  return {
+    title: "RateSense Report",
+    date: m.generated.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" }),
+    preparer: (m.preparer || "").trim(),
+    note: (m.note || "").trim(),
+    inputs,
+    results,
+    piti,
+    scenarios,
+    refi,
+    schedule: m.base.rows,
+  };
+}
+
+// "Label: value" lines for the print-only <pre> blocks.
+export function sectionText(rows) {
+  return (rows || []).map(([k, v]) => `${k}: ${v}`).join("\n");
+}
+
+/* =========================================================
+   PDF layout
+   ========================================================= */
+const MARGIN = 48;
+const LINE = 15;
+const ROW = 13;
+
+/*
+  doc:    jsPDF instance (unit "pt")
+  r:      reportSections() result
+  images: [{ title, dataUrl, width, height }] chart snapshots
+*/
+export function writeReportPDF(doc, r, images = []) {
+  const pageW = doc.internal.pageSize.getWidth();
+  const pageH = doc.internal.pageSize.getHeight();
+  const contentW = pageW - MARGIN * 2;
+  let y = MARGIN;
+
+  const ensure = (h) => {
+    if (y + h > pageH - MARGIN) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  };
+
+  const heading = (text) => {
+    ensure(LINE * 3);
+    y += 8;
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(13);
+    doc.text(text, MARGIN, y);
+    y += LINE + 2;
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(10);
+  };
+
+  const keyValues = (rows) => {
+    rows.forEach(([k, v]) => {
+      ensure(LINE);
+      doc.text(k, MARGIN, y);
+      doc.text(String(v), MARGIN + 220, y);
+      y += LINE;
+    });
+  };
+
+  const table = (head, rows, widths) => {
+    const xs = widths.reduce((acc, w, i) => (acc.push(i ? acc[i - 1] + widths[i - 1] : MARGIN), acc), []);
+    const drawHead = () => {
+      doc.setFont("helvetica", "bold");
+      head.forEach((h, i) => doc.text(h, xs[i], y));
+      doc.setFont("helvetica", "normal");
+      y += ROW + 2;
+    };
+    ensure(ROW * 2);
+    drawHead();
+    rows.forEach(row => {
+      if (y + ROW > pageH - MARGIN) {
+        doc.addPage();
+        y = MARGIN;
+        drawHead();
+      }
+      row.forEach((c, i) => doc.text(String(c), xs[i], y));
+      y += ROW;
+    });
+  };
+
+  // Header
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(20);
+  doc.text(r.title, MARGIN, y + 6);
+  y += 28;
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(10);
+  doc.text(r.date, MARGIN, y);
+  y += LINE;
+  if (r.preparer) {
+    doc.text(`Prepared by ${r.preparer}`, MARGIN, y);
+    y += LINE;
+  }
+  if (r.note) {
+    doc.splitTextToSize(r.note, contentW).forEach(line => {
+      ensure(LINE);
+      doc.text(line, MARGIN, y);
+      y += LINE;
+    });
+  }
+
+  heading("Inputs");
+  keyValues(r.inputs);
+
+  heading("Baseline vs scenario");
+  keyValues(r.results);
+
+  if (r.piti) {
+    heading("Total monthly housing cost (PITI)");
+    keyValues(r.piti);
+  }
+
+  heading("Scenario table");
+  doc.setFontSize(9);
+  table(r.scenarios.head, r.scenarios.rows, [70, 55, 95, 95, 90, 90].map(w => w * contentW / 495));
+  doc.setFontSize(10);
+
+  if (r.refi) {
+    heading("Refinance break-even");
+    keyValues(r.refi);
+  }
+
+  images.forEach(img => {
+    const w = contentW;
+    const h = img.height && img.width ? w * img.height / img.width : w * 0.5;
+    heading(img.title);
+    ensure(h);
+    doc.addImage(img.dataUrl, "PNG", MARGIN, y, w, h);
+    y += h + 6;
+  });
+
+  // Appendix always starts on a fresh page.
+  doc.addPage();
+  y = MARGIN;
+  heading("Appendix: amortization schedule (baseline)");
+  doc.setFontSize(9);
+  const dated = r.schedule.some(s => s.date);
+  table(
+    dated ? ["Month", "Date", ...SCHEDULE_COLUMNS.slice(1)] : SCHEDULE_COLUMNS,
+    r.schedule.map(s => [
+      s.month,
+      ...(dated ? [fmtDate(s.date)] : []),
+      fmtUSD2(s.payment), fmtUSD2(s.interest), fmtUSD2(s.principal), fmtUSD2(s.balance)
+    ]),
+    (dated ? [40, 85, 90, 90, 90, 100] : [60, 105, 105, 105, 120]).map(w => w * contentW / 495)
+  );
+
+  // Footer on every page
+  const pages = doc.getNumberOfPages();
+  doc.setFontSize(8);
+  for (let i = 1; i <= pages; i++) {
+    doc.setPage(i);
+    doc.text(`RateSense • Educational use only • Page ${i} of ${pages}`, MARGIN, pageH - MARGIN / 2);
+  }
+
+  return doc;
+}
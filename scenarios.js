@@ -1,5 +1,23 @@
-"use strict";
+import { $ } from "./ui.js";
+import { fmtDate } from "./calendar.js";
+import {
+  LIBRARY_PAGES,
+  loadLibrary,
+  saveLibrary,
+  searchEntries,
+  libraryTags,
+  parseTags,
+  duplicateEntry,
+  updateEntry,
+  deleteEntry,
+  entryURL,
+  exportLibrary,
+  importLibrary
+} from "./library.js";
 
+/* =========================================================
+   Built-in examples (read once by preloadScenario in app.js)
+   ========================================================= */
 const scenarios = {
   mortgage350: { loanType:"mortgage", principal:350000, years:30, apr:6.5, extra:0, tax:7200, ins:1800, hoa:0 },
   auto25:      { loanType:"auto",     principal:25000,  years:5,  apr:7.9, extra:0 },
@@ -17,3 +35,157 @@ document.querySelectorAll("[data-scenario]").forEach(btn => {
     window.location.href = "./index.html#calculator";
   });
 });
+
+/* =========================================================
+   Saved scenarios (see library.js)
+   ========================================================= */
+const els = {
+  search: $("libSearch"),
+  tag: $("libTag"),
+  body: $("libBody"),
+  count: $("libCount"),
+  exportBtn: $("libExportBtn"),
+  importFile: $("libImportFile"),
+  status: $("libStatus"),
+};
+
+let library = loadLibrary();
+
+function setStatus(msg) {
+  if (els.status) els.status.textContent = msg || "";
+}
+
+// Stores `next` as the library; false (and a message) if the browser won't.
+function persist(next) {
+  try {
+    saveLibrary(next);
+  } catch {
+    setStatus("Couldn't save: this browser's storage is full or turned off.");
+    return false;
+  }
+  library = next;
+  return true;
+}
+
+function fillTagFilter() {
+  const current = els.tag.value;
+  const tags = libraryTags(library);
+  els.tag.innerHTML = `<option value="">All tags</option>`;
+  tags.forEach(t => {
+    const opt = document.createElement("option");
+    opt.value = t;
+    opt.textContent = t;
+    els.tag.appendChild(opt);
+  });
+  els.tag.value = tags.includes(current) ? current : "";
+}
+
+function libraryRow(entry) {
+  const tr = document.createElement("tr");
+  tr.innerHTML = `
+    <td>
+      <div class="field"><input data-k="name" aria-label="Scenario name" /></div>
+      <div class="hint" data-k="summary"></div>
+    </td>
+    <td data-k="page"></td>
+    <td><div class="field"><input data-k="tags" placeholder="e.g., ARM, client A" aria-label="Tags" /></div></td>
+    <td data-k="updated"></td>
+    <td>
+      <button class="btn small primary" data-act="open">Open</button>
+      <button class="btn small" data-act="duplicate">Duplicate</button>
+      <button class="btn small" data-act="delete">Delete</button>
+    </td>
+  `;
+  const field = (k) => tr.querySelector(`[data-k="${k}"]`);
+  const action = (a) => tr.querySelector(`[data-act="${a}"]`);
+  field("name").value = entry.name;
+  field("summary").textContent = entry.summary;
+  field("page").textContent = LIBRARY_PAGES[entry.page].label;
+  field("tags").value = entry.tags.join(", ");
+  field("updated").textContent = fmtDate(entry.updatedAt.slice(0, 10));
+
+  // Edits save in place; only the tag list needs refreshing.
+  field("name").addEventListener("change", () => {
+    if (persist(updateEntry(library, entry.id, { name: field("name").value }))) setStatus("Name saved.");
+  });
+  field("tags").addEventListener("change", () => {
+    if (!persist(updateEntry(library, entry.id, { tags: parseTags(field("tags").value) }))) return;
+    fillTagFilter();
+    setStatus("Tags saved.");
+  });
+
+  action("open").addEventListener("click", () => {
+    window.location.href = entryURL(entry);
+  });
+  action("duplicate").addEventListener("click", () => {
+    const current = library.find(e => e.id === entry.id) ?? entry;
+    if (persist([...library, duplicateEntry(current)])) {
+      renderLibrary();
+      setStatus(`Duplicated “${current.name}”.`);
+    }
+  });
+  action("delete").addEventListener("click", () => {
+    const current = library.find(e => e.id === entry.id) ?? entry;
+    if (!window.confirm(`Delete “${current.name}”? This can't be undone.`)) return;
+    if (persist(deleteEntry(library, entry.id))) {
+      renderLibrary();
+      setStatus(`Deleted “${current.name}”.`);
+    }
+  });
+  return tr;
+}
+
+function renderLibrary() {
+  if (!els.body) return;
+  fillTagFilter();
+  els.count.textContent = `${library.length} saved in this browser`;
+
+  const shown = searchEntries(library, els.search.value, els.tag.value);
+  if (!shown.length) {
+    els.body.innerHTML = `<tr><td colspan="5" class="muted">${library.length
+      ? "No saved scenarios match."
+      : "Nothing saved yet."}</td></tr>`;
+    return;
+  }
+  els.body.replaceChildren(...shown.map(libraryRow));
+}
+
+function exportJSON() {
+  if (!library.length) return setStatus("Nothing to export yet.");
+  const blob = new Blob([exportLibrary(library)], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = "ratesense_scenarios.json";
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+async function importJSON() {
+  const file = els.importFile.files?.[0];
+  if (!file) return;
+  try {
+    const { entries, added, skipped, invalid } = importLibrary(await file.text(), library);
+    if (!persist(entries)) return;
+    renderLibrary();
+    const notes = [skipped && `${skipped} already saved`, invalid && `${invalid} unreadable`].filter(Boolean);
+    setStatus(`Imported ${added} scenario${added === 1 ? "" : "s"}${notes.length ? ` (${notes.join(", ")})` : ""}.`);
+  } catch (err) {
+    setStatus(err.message);
+  } finally {
+    els.importFile.value = "";
+  }
+}
+
+els.search?.addEventListener("input", renderLibrary);
+els.tag?.addEventListener("change", renderLibrary);
+els.exportBtn?.addEventListener("click", exportJSON);
+els.importFile?.addEventListener("change", importJSON);
+
+// Another tab saved or changed something.
+window.addEventListener("storage", (e) => {
+  if (e.key !== "ratesense_library") return;
+  library = loadLibrary();
+  renderLibrary();
+});
+
+renderLibrary();
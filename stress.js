@@ -1,218 +1,31 @@
-"use strict";
-
-/* =========================================================
-   Helpers
-   ========================================================= */
-const $ = (id) => document.getElementById(id);
-
-function safeNum(v, d = NaN) {
-  const x = parseFloat(v);
-  return isFinite(x) ? x : d;
-}
-function fmtUSD(x) {
-  if (!isFinite(x)) return "—";
-  return x.toLocaleString(undefined, {
-    style: "currency",
-    currency: "USD",
-    maximumFractionDigits: 0,
-  });
-}
-function fmtUSD2(x) {
-  if (!isFinite(x)) return "—";
-  return x.toLocaleString(undefined, {
-    style: "currency",
-    currency: "USD",
-    maximumFractionDigits: 2,
-  });
-}
-function fmtPct2(x) {
-  if (!isFinite(x)) return "—";
-  return x.toFixed(2) + "%";
-}
-
-/* =========================================================
-   Core amortization for a single month step
-   ========================================================= */
-function paymentForRemainingMonths(balance, aprPercent, remainingMonths) {
-  const r = (aprPercent / 100) / 12;
-  const n = Math.max(1, remainingMonths);
-  if (r === 0) return balance / n;
-  const pow = Math.pow(1 + r, n);
-  return balance * (r * pow) / (pow - 1);
-}
-
-/* =========================================================
-   Stress modes
-   =========================================================
-   1) steps:
-      - increase APR by stStep every stEveryMonths
-      - for stDurationMonths
-      - optional cap (stCapApr)
-   2) arm:
-      - fixed period armFixedYears (APR stays at starting APR)
-      - after that, every armAdjustEveryMonths:
-          APR = clamp( index + margin , with periodic/lifetime caps + optional floor )
-      - index comes from:
-          - constant (armIndexValue)
-          - manual schedule (armIndexSchedule list)
-      - (treasury_history is UI-visible but we keep it placeholder-safe: no fetch here)
-========================================================= */
-
-function runStressSteps(cfg) {
-  const rows = [];
-  let balance = cfg.principal;
-  let apr = cfg.startApr;
-  let totalInterest = 0;
-  let worstPayment = 0;
-  let worstMonth = 1;
-
-  const maxMonths = cfg.termMonths;
-
-  for (let m = 1; m <= maxMonths && balance > 0.01; m++) {
-    // Apply step increases within duration
-    if (cfg.everyMonths > 0 && m <= cfg.durationMonths && (m % cfg.everyMonths === 0)) {
-      apr += cfg.stepSize;
-      if (isFinite(cfg.capApr)) apr = Math.min(apr, cfg.capApr);
-    }
-
-    const remainingMonths = maxMonths - m + 1;
-    const pay = paymentForRemainingMonths(balance, apr, remainingMonths);
-
-    const interest = balance * (apr / 100 / 12);
-    const principalPaid = Math.max(0, pay - interest);
-    balance = Math.max(0, balance - principalPaid);
-
-    totalInterest += interest;
-
-    if (pay > worstPayment) {
-      worstPayment = pay;
-      worstMonth = m;
-    }
-
-    rows.push({
-      month: m,
-      apr,
-      payment: pay,
-      interest,
-      principal: principalPaid,
-      balance,
-    });
-  }
-
-  return { rows, totalInterest, worstPayment, worstMonth };
-}
-
-function parseManualSchedule(text) {
-  if (!text) return [];
-  return text
-    .split(/[, \n\r\t]+/)
-    .map(s => s.trim())
-    .filter(Boolean)
-    .map(v => safeNum(v, NaN))
-    .filter(v => isFinite(v));
-}
-
-function clamp(v, lo, hi) {
-  if (isFinite(lo)) v = Math.max(lo, v);
-  if (isFinite(hi)) v = Math.min(hi, v);
-  return v;
-}
-
-function runStressARM(cfg) {
-  const rows = [];
-  let balance = cfg.principal;
-  let totalInterest = 0;
-
-  const maxMonths = cfg.simMonths ?? cfg.termMonths;
-  const fixedMonths = Math.max(0, Math.round(cfg.fixedYears * 12));
-  const adjustEvery = Math.max(1, Math.round(cfg.adjustEveryMonths));
-
-  const startApr = cfg.startApr;
-  const lifetimeCapAbs = isFinite(cfg.lifetimeCapAboveStart) ? (startApr + cfg.lifetimeCapAboveStart) : Infinity;
-  const floorAbs = isFinite(cfg.floorApr) ? cfg.floorApr : -Infinity;
-
-  const manual = cfg.indexMode === "manual_schedule" ? cfg.manualSchedule : [];
-  let manualIdx = 0;
-
-  let currentApr = startApr;
-
-  let worstPayment = 0;
-  let worstMonth = 1;
-  let peakRate = startApr;
-  let peakMonth = 1;
-
-  for (let m = 1; m <= maxMonths && balance > 0.01; m++) {
-    // Fixed period: keep starting APR
-    if (m <= fixedMonths) {
-      currentApr = startApr;
-    } else {
-      // Adjustment month?
-      const monthsAfterFixed = m - fixedMonths;
-      const isReset = (monthsAfterFixed % adjustEvery === 1); // reset at first month after fixed, then every adjustEvery
-
-      if (isReset) {
-        let indexRate = startApr; // fallback
-
-        if (cfg.indexMode === "constant") {
-          indexRate = cfg.indexValue;
-        } else if (cfg.indexMode === "manual_schedule") {
-          indexRate = (manualIdx < manual.length) ? manual[manualIdx] : manual[manual.length - 1];
-          manualIdx++;
-        } else {
-          // treasury_history placeholder (no fetch here)
-          // if user chooses it without data, we use constant indexValue if available
-          indexRate = isFinite(cfg.indexValue) ? cfg.indexValue : startApr;
-        }
-
-        const targetApr = indexRate + cfg.margin;
-
-        // Apply caps:
-        // periodic cap: limit change from previous APR
-        let nextApr = targetApr;
-
-        if (isFinite(cfg.periodicCap)) {
-          nextApr = clamp(nextApr, currentApr - cfg.periodicCap, currentApr + cfg.periodicCap);
-        }
-
-        // lifetime cap
-        nextApr = Math.min(nextApr, lifetimeCapAbs);
-
-        // floor
-        nextApr = Math.max(nextApr, floorAbs);
-
-        currentApr = nextApr;
-      }
-    }
-
-    peakRate = Math.max(peakRate, currentApr);
-    if (peakRate === currentApr) peakMonth = m;
-
-    const remainingMonths = cfg.termMonths - m + 1;
-    const pay = paymentForRemainingMonths(balance, currentApr, remainingMonths);
-
-    const interest = balance * (currentApr / 100 / 12);
-    const principalPaid = Math.max(0, pay - interest);
-    balance = Math.max(0, balance - principalPaid);
-
-    totalInterest += interest;
-
-    if (pay > worstPayment) {
-      worstPayment = pay;
-      worstMonth = m;
-    }
-
-    rows.push({
-      month: m,
-      apr: currentApr,
-      payment: pay,
-      interest,
-      principal: principalPaid,
-      balance,
-    });
-  }
-
-  return { rows, totalInterest, worstPayment, worstMonth, peakRate, peakMonth };
-}
+import { $, fmtUSD, fmtUSD2, fmtPct2, copyText, readFields, writeFields, pageURL } from "./ui.js";
+import {
+  safeNum,
+  clamp,
+  runStressSteps,
+  runStressARM,
+  runStressPath,
+  parseManualSchedule,
+  stressExtraImpact,
+  riskScore,
+  riskThreshold,
+  solveStress
+} from "./finance.js";
+import { parseTreasuryCSV, treasurySeries, treasuryIndexLookup } from "./treasury.js";
+import { withDates, fmtDate, fmtMonthYear, monthText } from "./calendar.js";
+import { createMonteCarloRunner, MC_MAX_PATHS } from "./montecarlo.js";
+import { REPLAY_DATA_URL, replayAprPath } from "./replay.js";
+import {
+  PATH_COLUMNS,
+  BAND_COLUMNS,
+  isResetRow,
+  exportableConfig,
+  stressScheduleCSV,
+  stressScheduleJSON,
+  stressSummaryText
+} from "./stressexport.js";
+import { PAGE_SCHEMAS, encodeState, decodeState, cleanFields } from "./urlstate.js";
+import { saveToLibrary } from "./library.js";
 
 /* =========================================================
    Elements (MATCH stress.html IDs)
@@ -224,6 +37,10 @@ const els = {
   stPrincipal: $("stPrincipal"),
   stTermYears: $("stTermYears"),
   stExtra: $("stExtra"),
+  stExtraMode: $("stExtraMode"),
+  stStructure: $("stStructure"),
+  stIoYears: $("stIoYears"),
+  stBalloonAmortYears: $("stBalloonAmortYears"),
 
   // steps inputs
   stPreset: $("stPreset"),
@@ -231,6 +48,8 @@ const els = {
   stEveryMonths: $("stEveryMonths"),
   stDurationMonths: $("stDurationMonths"),
   stCapApr: $("stCapApr"),
+  stReplaySeries: $("stReplaySeries"),
+  stReplayInfo: $("stReplayInfo"),
 
   // ARM inputs
   armStartDate: $("armStartDate"),
@@ -238,7 +57,11 @@ const els = {
   armAdjustEveryMonths: $("armAdjustEveryMonths"),
   armIndexMode: $("armIndexMode"),
   armIndexValue: $("armIndexValue"),
+  armIndexRateSource: $("armIndexRateSource"),
+  armIndexRateNote: $("armIndexRateNote"),
   armIndexMaturity: $("armIndexMaturity"),
+  armIndexFile: $("armIndexFile"),
+  armIndexSource: $("armIndexSource"),
   armIndexSchedule: $("armIndexSchedule"),
   armMargin: $("armMargin"),
   armPeriodicCap: $("armPeriodicCap"),
@@ -246,10 +69,25 @@ const els = {
   armFloor: $("armFloor"),
   armSimYears: $("armSimYears"),
 
+  // Monte Carlo inputs
+  mcPaths: $("mcPaths"),
+  mcMean: $("mcMean"),
+  mcSpeed: $("mcSpeed"),
+  mcVol: $("mcVol"),
+  mcDrift: $("mcDrift"),
+  mcLimit: $("mcLimit"),
+  mcSeed: $("mcSeed"),
+
   // buttons
   stUseCalcBtn: $("stUseCalcBtn"),
   stRunBtn: $("stRunBtn"),
   stStatus: $("stStatus"),
+  stCopyBtn: $("stCopyBtn"),
+  stCsvBtn: $("stCsvBtn"),
+  stJsonBtn: $("stJsonBtn"),
+  stPrintBtn: $("stPrintBtn"),
+  stShareBtn: $("stShareBtn"),
+  stLibSaveBtn: $("stLibSaveBtn"),
 
   // results
   stWorstPayment: $("stWorstPayment"),
@@ -259,10 +97,28 @@ const els = {
   stRisk: $("stRisk"),
   stPeakRate: $("stPeakRate"),
   stPeakMeta: $("stPeakMeta"),
+  stExtraInterest: $("stExtraInterest"),
+  stExtraPayoff: $("stExtraPayoff"),
+  stExtraWorst: $("stExtraWorst"),
+  stExtraWorstMeta: $("stExtraWorstMeta"),
+  stMcProb: $("stMcProb"),
+  stMcProbMeta: $("stMcProbMeta"),
 
   // chart + table
   stChart: $("stChart"),
+  stTableHead: $("stTable")?.querySelector("thead"),
   stTableBody: $("stTable")?.querySelector("tbody"),
+  stPrevPage: $("stPrevPage"),
+  stNextPage: $("stNextPage"),
+  stPageInfo: $("stPageInfo"),
+
+  // goal seek
+  stGsVary: $("stGsVary"),
+  stGsOutput: $("stGsOutput"),
+  stGsTarget: $("stGsTarget"),
+  stGsTargetWrap: $("stGsTargetWrap"),
+  stGsBtn: $("stGsBtn"),
+  stGsStatus: $("stGsStatus"),
 };
 
 function setStatus(msg) {
@@ -278,19 +134,122 @@ function applyModeVisibility() {
   document.querySelectorAll(".stStepsOnly").forEach(el => {
     el.style.display = (mode === "steps") ? "" : "none";
   });
+  // Monte Carlo runs its paths through the ARM engine, so it uses the ARM inputs too.
   document.querySelectorAll(".stArmOnly").forEach(el => {
-    el.style.display = (mode === "arm") ? "" : "none";
+    el.style.display = (mode === "arm" || mode === "montecarlo") ? "" : "none";
   });
+  document.querySelectorAll(".stMcOnly").forEach(el => {
+    el.style.display = (mode === "montecarlo") ? "" : "none";
+  });
+  const structure = els.stStructure?.value;
+  document.querySelectorAll(".stIoOnly").forEach(el => {
+    el.style.display = (structure === "interestOnly") ? "" : "none";
+  });
+  document.querySelectorAll(".stBalloonOnly").forEach(el => {
+    el.style.display = (structure === "balloon") ? "" : "none";
+  });
+}
+
+function isReplayPreset(preset) {
+  return typeof preset === "string" && preset.startsWith("replay:");
+}
+
+// Within steps mode, a replay preset swaps the ladder inputs for the series picker.
+function applyReplayVisibility() {
+  const steps = (els.stMode?.value || "steps") === "steps";
+  const replay = isReplayPreset(els.stPreset?.value);
+  document.querySelectorAll(".stLadderOnly").forEach(el => {
+    el.style.display = (steps && !replay) ? "" : "none";
+  });
+  document.querySelectorAll(".stReplayOnly").forEach(el => {
+    el.style.display = (steps && replay) ? "" : "none";
+  });
+}
+
+els.stMode?.addEventListener("change", () => {
+  applyModeVisibility();
+  applyReplayVisibility();
+});
+els.stStructure?.addEventListener("change", applyModeVisibility);
+
+/* =========================================================
+   Treasury history (ARM index)
+   =========================================================
+   The daily yield-curve CSV comes from a user upload, kept in
+   localStorage so it works offline next time. No copy ships with
+   the app and nothing is fetched from Treasury.
+========================================================= */
+const TREASURY_CACHE_KEY = "ratesense_treasury_csv";
+
+let treasuryData = null; // { parsed, source }
+
+function setTreasuryData(csvText, source) {
+  const parsed = parseTreasuryCSV(csvText);
+  if (!parsed?.rows?.length || !parsed.headers.includes("Date")) {
+    throw new Error("That file doesn't look like a Treasury yield-curve CSV.");
+  }
+  treasuryData = { parsed, source };
+  describeTreasuryData();
 }
 
-els.stMode?.addEventListener("change", applyModeVisibility);
+function describeTreasuryData() {
+  if (!els.armIndexSource) return;
+  if (!treasuryData) {
+    els.armIndexSource.textContent = "No Treasury file loaded yet.";
+    return;
+  }
+  const series = treasurySeries(treasuryData.parsed, els.armIndexMaturity.value);
+  els.armIndexSource.textContent = series.length
+    ? `${els.armIndexMaturity.value}: ${series.length} days, ${series[0].date} → ${series[series.length - 1].date} (${treasuryData.source})`
+    : `${treasuryData.source} has no ${els.armIndexMaturity.value} values.`;
+}
+
+function loadTreasuryData() {
+  if (treasuryData) return treasuryData;
+
+  const cached = localStorage.getItem(TREASURY_CACHE_KEY);
+  if (!cached) throw new Error("Upload a Treasury yield-curve CSV to use history mode.");
+  setTreasuryData(cached, "saved upload");
+  return treasuryData;
+}
+
+els.armIndexFile?.addEventListener("change", async () => {
+  const file = els.armIndexFile.files?.[0];
+  if (!file) return;
+  try {
+    const text = await file.text();
+    setTreasuryData(text, file.name);
+    try {
+      localStorage.setItem(TREASURY_CACHE_KEY, text);
+    } catch {
+      setStatus("Loaded, but the file is too large to keep for next time.");
+      return;
+    }
+    setStatus("Treasury history loaded.");
+  } catch (err) {
+    setStatus(err.message);
+  }
+});
+els.armIndexMaturity?.addEventListener("change", describeTreasuryData);
+
+// Where a constant index came from (Rates page handoff); "" once edited by hand.
+function showIndexRateSource(source) {
+  if (!els.armIndexRateSource) return;
+  els.armIndexRateSource.value = source;
+  els.armIndexRateNote.textContent = source ? `From ${source}` : "";
+}
+
+els.armIndexValue?.addEventListener("input", () => showIndexRateSource(""));
 
 /* =========================================================
    Presets (Steps mode)
    ========================================================= */
 function applyPreset(preset) {
+  applyReplayVisibility();
   if (!preset || preset === "none") return;
-  if (preset === "gentle") {
+  if (isReplayPreset(preset)) {
+    describeReplay();
+  } else if (preset === "gentle") {
     els.stStep.value = "0.25";
     els.stEveryMonths.value = "6";
     els.stDurationMonths.value = "24";
@@ -306,15 +265,48 @@ function applyPreset(preset) {
 }
 els.stPreset?.addEventListener("change", () => applyPreset(els.stPreset.value));
 
+/* =========================================================
+   Historical replays (Steps mode presets)
+   =========================================================
+   Loaded once from the bundled, versioned dataset; see replay.js.
+========================================================= */
+let replayData = null;
+
+async function loadReplayData() {
+  if (replayData) return replayData;
+  const r = await fetch(REPLAY_DATA_URL);
+  if (!r.ok) throw new Error(`Rate history missing (HTTP ${r.status}).`);
+  replayData = await r.json();
+  return replayData;
+}
+
+async function describeReplay() {
+  if (!els.stReplayInfo || !isReplayPreset(els.stPreset?.value)) return;
+  try {
+    const data = await loadReplayData();
+    const replay = replayAprPath(data, els.stPreset.value.slice(7), els.stReplaySeries.value, 0);
+    els.stReplayInfo.textContent =
+      `${replay.months[0]} → ${replay.months[replay.months.length - 1]}: ` +
+      `peak move ${replay.maxRise >= 0 ? "+" : ""}${replay.maxRise.toFixed(2)} pts, ` +
+      `ended ${replay.endChange >= 0 ? "+" : ""}${replay.endChange.toFixed(2)} pts • dataset v${data.version}`;
+  } catch (err) {
+    els.stReplayInfo.textContent = err.message;
+  }
+}
+els.stReplaySeries?.addEventListener("change", describeReplay);
+
 /* =========================================================
    Chart
    ========================================================= */
 let chart = null;
 
+const axisLabel = (r) => (r.date ? fmtMonthYear(r.date) : r.month);
+const tooltipTitle = (r) => (r.date ? `${fmtDate(r.date)} (month ${r.month})` : `Month ${r.month}`);
+
 function buildChart(rows) {
   if (!rows?.length || !els.stChart) return;
 
-  const labels = rows.map(r => r.month);
+  const labels = rows.map(axisLabel);
   const payment = rows.map(r => r.payment);
   const rate = rows.map(r => r.apr);
 
@@ -337,6 +329,67 @@ function buildChart(rows) {
         legend: { labels: { boxWidth: 12 } },
         tooltip: {
           callbacks: {
+            title: (i) => tooltipTitle(rows[i[0].dataIndex]),
+            label: (ctx) => {
+              if (ctx.dataset.label.includes("APR")) return `${ctx.dataset.label}: ${fmtPct2(ctx.raw)}`;
+              return `${ctx.dataset.label}: ${fmtUSD(ctx.raw)}`;
+            }
+          }
+        }
+      },
+      scales: {
+        y: {
+          title: { display: true, text: "Monthly payment ($)" },
+          ticks: { callback: v => fmtUSD(v) }
+        },
+        y1: {
+          position: "right",
+          title: { display: true, text: "APR (%)" },
+          grid: { drawOnChartArea: false },
+          ticks: { callback: v => `${Number(v).toFixed(1)}%` }
+        }
+      }
+    }
+  });
+}
+
+function buildBandChart(result) {
+  if (!els.stChart) return;
+
+  const labels = result.monthly.map(axisLabel);
+  const series = (key, p) => result.monthly.map(r => r[key][p]);
+  const line = (label, data, color, yAxisID, extra = {}) => ({
+    label, data, yAxisID,
+    borderColor: color, backgroundColor: color.replace(/[\d.]+\)$/, "0.15)"),
+    borderWidth: 1, tension: 0.25, pointRadius: 0, fill: false, ...extra
+  });
+  const pay = "rgba(138,180,255,1)";
+  const apr = "rgba(166,255,203,1)";
+
+  if (chart) chart.destroy();
+
+  chart = new Chart(els.stChart, {
+    type: "line",
+    data: {
+      labels,
+      datasets: [
+        line("Payment 5th pct", series("payment", "p5"), pay, "y", { borderDash: [4, 4] }),
+        line("Payment median", series("payment", "p50"), pay, "y", { borderWidth: 2 }),
+        line("Payment 95th pct", series("payment", "p95"), pay, "y", { borderDash: [4, 4], fill: 0 }),
+        line("APR 5th pct (%)", series("apr", "p5"), apr, "y1", { borderDash: [4, 4] }),
+        line("APR median (%)", series("apr", "p50"), apr, "y1", { borderWidth: 2 }),
+        line("APR 95th pct (%)", series("apr", "p95"), apr, "y1", { borderDash: [4, 4], fill: 3 }),
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: { labels: { boxWidth: 12 } },
+        tooltip: {
+          callbacks: {
+            title: (i) => tooltipTitle(result.monthly[i[0].dataIndex]),
             label: (ctx) => {
               if (ctx.dataset.label.includes("APR")) return `${ctx.dataset.label}: ${fmtPct2(ctx.raw)}`;
               return `${ctx.dataset.label}: ${fmtUSD(ctx.raw)}`;
@@ -361,52 +414,318 @@ function buildChart(rows) {
 }
 
 /* =========================================================
-   Table (first 36 rows)
+   Table (every month, paginated)
    ========================================================= */
-function renderTable(rows) {
+const PAGE_SIZE = 60;
+let pathTableHead = null;
+let table = { rows: [], rowHtml: null, page: 0 };
+
+function setTableHead(html) {
+  if (!els.stTableHead) return;
+  pathTableHead ??= els.stTableHead.innerHTML;
+  els.stTableHead.innerHTML = html ?? pathTableHead;
+}
+
+function showTable(rows, rowHtml) {
+  table = { rows, rowHtml, page: 0 };
+  renderPage();
+}
+
+function renderPage() {
   if (!els.stTableBody) return;
-  const show = rows.slice(0, 36);
+  const { rows } = table;
+  const pages = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  table.page = clamp(table.page, 0, pages - 1);
 
-  els.stTableBody.innerHTML = show.map(r => `
-    <tr>
-      <td>${r.month}</td>
+  const start = table.page * PAGE_SIZE;
+  const show = rows.slice(start, start + PAGE_SIZE);
+
+  els.stTableBody.innerHTML = show.length
+    ? show.map((r, j) => table.rowHtml(r, start + j)).join("")
+    : `<tr><td colspan="7" class="muted">No rows.</td></tr>`;
+
+  if (els.stPageInfo) {
+    els.stPageInfo.textContent = show.length
+      ? `Months ${start + 1}–${start + show.length} of ${rows.length}`
+      : "";
+  }
+  if (els.stPrevPage) els.stPrevPage.disabled = table.page === 0;
+  if (els.stNextPage) els.stNextPage.disabled = table.page >= pages - 1;
+}
+
+function monthCell(r) {
+  return r.date ? `${r.month} <span class="muted">${fmtMonthYear(r.date)}</span>` : String(r.month);
+}
+
+function renderTable(rows) {
+  setTableHead(null);
+  showTable(rows, (r, i) => `
+    <tr${isResetRow(rows, i) ? ` class="resetRow"` : ""}>
+      <td>${monthCell(r)}</td>
       <td>${r.apr.toFixed(2)}%</td>
-      <td>${fmtUSD2(r.payment)}</td>
+      <td>${fmtUSD2(r.payment)}${r.balloon ? ` <span class="muted">+ ${fmtUSD2(r.balloon)} balloon</span>` : ""}</td>
+      <td>${fmtUSD2(r.extra)}</td>
       <td>${fmtUSD2(r.interest)}</td>
       <td>${fmtUSD2(r.principal)}</td>
       <td>${fmtUSD2(r.balance)}</td>
     </tr>
-  `).join("");
+  `);
+}
 
-  if (!show.length) {
-    els.stTableBody.innerHTML = `<tr><td colspan="6" class="muted">No rows.</td></tr>`;
+function renderBandTable(result) {
+  setTableHead(`<tr><th>Month</th><th>APR p5</th><th>APR p50</th><th>APR p95</th><th>Payment p5</th><th>Payment p50</th><th>Payment p95</th></tr>`);
+  showTable(result.monthly, (r) => `
+    <tr>
+      <td>${monthCell(r)}</td>
+      <td>${fmtPct2(r.apr.p5)}</td>
+      <td>${fmtPct2(r.apr.p50)}</td>
+      <td>${fmtPct2(r.apr.p95)}</td>
+      <td>${fmtUSD2(r.payment.p5)}</td>
+      <td>${fmtUSD2(r.payment.p50)}</td>
+      <td>${fmtUSD2(r.payment.p95)}</td>
+    </tr>
+  `);
+}
+
+els.stPrevPage?.addEventListener("click", () => {
+  table.page--;
+  renderPage();
+});
+els.stNextPage?.addEventListener("click", () => {
+  table.page++;
+  renderPage();
+});
+
+/* =========================================================
+   Export + summary
+   =========================================================
+   lastRun = { columns, rows, meta, summary } from the latest run.
+========================================================= */
+let lastRun = null;
+
+function runMeta(mode, cfg, extraMeta = {}) {
+  const indexSource = cfg.indexMode === "constant" ? els.armIndexRateSource?.value : "";
+  return {
+    generated: new Date().toISOString(),
+    mode,
+    ...(indexSource ? { indexSource } : {}),
+    ...extraMeta,
+    config: exportableConfig(cfg)
+  };
+}
+
+function download(text, type, filename) {
+  const blob = new Blob([text], { type });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+}
+
+function exportTimeline(format) {
+  if (!lastRun) return setStatus("Run the stress test first.");
+  const meta = { ...lastRun.meta, summary: lastRun.summary };
+  if (format === "json") {
+    download(stressScheduleJSON(meta, lastRun.columns, lastRun.rows), "application/json", "ratesense_stress.json");
+  } else {
+    download(stressScheduleCSV(meta, lastRun.columns, lastRun.rows), "text/csv", "ratesense_stress.csv");
   }
 }
 
+function dateOf(rows, month) {
+  const date = month ? rows[month - 1]?.date : null;
+  return date ? fmtMonthYear(date) : undefined;
+}
+
+function summaryText() {
+  const s = lastRun.summary;
+  return stressSummaryText({
+    label: lastRun.label,
+    startPayment: fmtUSD(s.startPayment),
+    worstPayment: fmtUSD(s.worstPayment),
+    worstMonth: s.worstMonth,
+    worstDate: dateOf(lastRun.rows, s.worstMonth),
+    peakRate: fmtPct2(s.peakRate),
+    peakMonth: s.peakMonth,
+    peakDate: dateOf(lastRun.rows, s.peakMonth),
+    balloon: s.balloon > 0 ? fmtUSD(s.balloon) : undefined,
+    risk: s.risk
+  });
+}
+
+els.stCsvBtn?.addEventListener("click", () => exportTimeline("csv"));
+els.stJsonBtn?.addEventListener("click", () => exportTimeline("json"));
+els.stCopyBtn?.addEventListener("click", () => {
+  if (!lastRun) return setStatus("Run the stress test first.");
+  copyText(summaryText(), els.stStatus, "Summary copied.");
+});
+els.stPrintBtn?.addEventListener("click", () => window.print());
+els.stShareBtn?.addEventListener("click", () => {
+  const query = encodeState("stress", readFields(PAGE_SCHEMAS.stress));
+  copyText(pageURL(query), els.stStatus, "Share link copied.");
+});
+els.stLibSaveBtn?.addEventListener("click", () => {
+  try {
+    const entry = saveToLibrary("stress", readFields(PAGE_SCHEMAS.stress));
+    setStatus(`Saved “${entry.name}” to your library. Rename, tag or reopen it on the Scenarios page.`);
+  } catch {
+    setStatus("Couldn't save: this browser's storage is full or turned off.");
+  }
+});
+
 /* =========================================================
-   Risk score
+   Extra payment impact
    ========================================================= */
-function riskScore(startPay, worstPay) {
-  if (!(startPay > 0) || !(worstPay > 0)) return "—";
-  const jump = (worstPay - startPay) / startPay; // 0.25 = +25%
+function renderExtraImpact(impact, extra, extraMode) {
+  if (!els.stExtraInterest) return;
+  if (!(extra > 0)) {
+    els.stExtraInterest.textContent = "—";
+    els.stExtraPayoff.textContent = "Add an extra monthly payment to compare.";
+    els.stExtraWorst.textContent = "—";
+    els.stExtraWorstMeta.textContent = "";
+    return;
+  }
+
+  els.stExtraInterest.textContent = fmtUSD(impact.interestSaved);
+  els.stExtraPayoff.textContent = impact.monthsSaved > 0
+    ? `Paid off ${impact.monthsSaved} months sooner`
+    : "Same payoff month";
+
+  els.stExtraWorst.textContent = fmtUSD(impact.worstPaymentCut);
+  els.stExtraWorstMeta.textContent = extraMode === "recast"
+    ? `Worst required payment ${fmtUSD(impact.without.worstPayment)} → ${fmtUSD(impact.withExtra.worstPayment)}`
+    : "Shorten mode keeps the required payment; switch to recast to lower it.";
+}
+
+/* =========================================================
+   Monte Carlo mode
+   =========================================================
+   Paths run in montecarlo.worker.js when module workers are
+   available; otherwise on the main thread. Every run cancels a
+   simulation still in progress (see createMonteCarloRunner).
+========================================================= */
+const mcRunner = createMonteCarloRunner(typeof Worker === "undefined"
+  ? null
+  : () => new Worker(new URL("./montecarlo.worker.js", import.meta.url), { type: "module" }));
+
+// Stops a running simulation so its late result can't overwrite a newer run.
+function cancelMonteCarlo() {
+  mcRunner.cancel();
+}
+
+async function runMonteCarloMode(cfg, firstPaymentDate) {
+  const paths = Math.round(safeNum(els.mcPaths.value, 2000));
+  // Without an index value, start where today's APR implies the index is.
+  const start = safeNum(els.armIndexValue.value, Math.max(0, cfg.startApr - cfg.margin));
+  const model = {
+    start,
+    mean: safeNum(els.mcMean.value, start),
+    speed: safeNum(els.mcSpeed.value, 0.3),
+    vol: safeNum(els.mcVol.value, 1),
+    drift: safeNum(els.mcDrift.value, 0),
+  };
+  const limit = safeNum(els.mcLimit.value, NaN);
+  const seed = Math.round(safeNum(els.mcSeed.value, Date.now() % 1e9));
+
+  if (!(paths >= 10 && paths <= MC_MAX_PATHS) || !(model.vol >= 0) || !(model.speed >= 0)) {
+    setStatus(`Use 10–${MC_MAX_PATHS.toLocaleString()} paths and a non-negative volatility and reversion speed.`);
+    return;
+  }
 
-  if (jump <= 0.10) return "Low";
-  if (jump <= 0.25) return "Moderate";
-  if (jump <= 0.45) return "High";
-  return "Severe";
+  setStatus("Simulating…");
+  let result;
+  try {
+    result = await mcRunner.run(cfg, model, {
+      paths,
+      seed,
+      limit,
+      onProgress: (value) => setStatus(`Simulating… ${Math.round(value * 100)}%`)
+    });
+  } catch (err) {
+    // A newer run took over the worker; its own results will follow.
+    if (err.reason !== "superseded") setStatus(`Simulation failed: ${err.message}`);
+    return;
+  }
+  const monthly = withDates(result.monthly, firstPaymentDate);
+
+  els.stWorstPayment.textContent = fmtUSD(result.worstPayment.p95);
+  els.stWorstWhen.textContent = `95th percentile • median ${fmtUSD(result.worstPayment.p50)}`;
+  els.stTotalInterest.textContent = fmtUSD(result.totalInterest.p50);
+  els.stPayoff.textContent = `Median over ${result.paths.toLocaleString()} paths • ${result.months} months simulated`;
+  els.stRisk.textContent = riskScore(result.startPayment, result.worstPayment.p95);
+  els.stPeakRate.textContent = fmtPct2(result.peakRate.p95);
+  els.stPeakMeta.textContent = `95th percentile • median ${fmtPct2(result.peakRate.p50)}`;
+
+  if (els.stMcProb) {
+    els.stMcProb.textContent = isFinite(result.probOverLimit)
+      ? `${(result.probOverLimit * 100).toFixed(1)}%`
+      : "—";
+    els.stMcProbMeta.textContent = isFinite(limit)
+      ? `Paths where the required payment ever tops ${fmtUSD(limit)}`
+      : "Set an affordability limit to see this.";
+  }
+
+  renderExtraImpact(null, 0, "");
+  if (els.stExtraPayoff) els.stExtraPayoff.textContent = "Not compared in Monte Carlo mode.";
+
+  buildBandChart({ ...result, monthly });
+  renderBandTable({ ...result, monthly });
+
+  const worst = monthly.reduce((w, r) => (r.payment.p95 > w.payment.p95 ? r : w), monthly[0]);
+  lastRun = {
+    label: `Monte Carlo, ${result.paths.toLocaleString()} paths (95th percentile)`,
+    columns: BAND_COLUMNS,
+    rows: monthly,
+    meta: runMeta("montecarlo", cfg, { model, paths, seed, limit: isFinite(limit) ? limit : null }),
+    summary: {
+      startPayment: result.startPayment,
+      worstPayment: result.worstPayment.p95,
+      worstMonth: worst?.month ?? null,
+      peakRate: result.peakRate.p95,
+      peakMonth: null,
+      risk: riskScore(result.startPayment, result.worstPayment.p95),
+      probOverLimit: isFinite(result.probOverLimit) ? result.probOverLimit : null
+    }
+  };
+  setStatus(`Seed ${seed} • rerun with the same seed to reproduce.`);
+}
+
+function historyNote(out) {
+  const resets = out.resets || [];
+  if (!resets.some(r => r.date)) return "";
+  const missing = resets.filter(r => r.date && !r.observedDate).length;
+  const stale = resets.filter(r => r.stale);
+  const notes = [];
+  if (missing) notes.push(`${missing} reset(s) before the data starts used the constant index`);
+  if (stale.length) notes.push(`${stale.length} reset(s) after ${stale[0].observedDate} reuse that last value`);
+  return notes.join("; ");
 }
 
 /* =========================================================
    Run
    ========================================================= */
-function run() {
+// Every run goes through here, so an unexpected error shows up in the
+// status line instead of as an unhandled rejection.
+async function run() {
+  try {
+    await runStress();
+  } catch (err) {
+    setStatus(`Stress test failed: ${err.message}`);
+  }
+}
+
+async function runStress() {
+  cancelMonteCarlo();
   setStatus("");
+  lastRun = null;
+  lastSolve = null;
 
   const mode = els.stMode.value;
   const startApr = safeNum(els.stBaseApr.value, NaN);
   const principal = safeNum(els.stPrincipal.value, NaN);
   const termYears = safeNum(els.stTermYears.value, NaN);
   const extra = safeNum(els.stExtra.value, 0);
+  const firstPaymentDate = els.armStartDate.value;
 
   if (!(principal > 0) || !(termYears > 0) || !(startApr >= 0)) {
     setStatus("Enter starting APR, starting balance, and original term.");
@@ -415,30 +734,70 @@ function run() {
 
   const termMonths = Math.round(termYears * 12);
 
-  let out;
+  const extraMode = els.stExtraMode?.value || "shorten";
+
+  // Loan structure (interest-only / balloon) applies to every engine.
+  let structure = null;
+  const structureType = els.stStructure?.value || "amortizing";
+  if (structureType === "interestOnly") {
+    const ioMonths = Math.round(safeNum(els.stIoYears.value, 0) * 12);
+    if (!(ioMonths > 0 && ioMonths < termMonths)) {
+      setStatus("Enter an interest-only period shorter than the original term.");
+      return;
+    }
+    structure = { type: structureType, ioMonths };
+  } else if (structureType === "balloon") {
+    const amortMonths = Math.round(safeNum(els.stBalloonAmortYears.value, 0) * 12);
+    if (!(amortMonths > termMonths)) {
+      setStatus("Payments for a balloon loan must be figured on more years than the original term.");
+      return;
+    }
+    structure = { type: structureType, amortMonths };
+  }
+
+  let engine;
+  let cfg;
 
-  if (mode === "steps") {
+  let replay = null;
+
+  if (mode === "steps" && isReplayPreset(els.stPreset?.value)) {
+    try {
+      const data = await loadReplayData();
+      replay = replayAprPath(data, els.stPreset.value.slice(7), els.stReplaySeries.value, startApr);
+    } catch (err) {
+      setStatus(err.message);
+      return;
+    }
+
+    engine = runStressPath;
+    cfg = {
+      principal,
+      startApr,
+      termMonths,
+      extraMonthly: extra,
+      extraMode,
+      structure,
+      aprPath: replay.aprPath
+    };
+  } else if (mode === "steps") {
     const stepSize = safeNum(els.stStep.value, 0);
     const everyMonths = Math.round(safeNum(els.stEveryMonths.value, 0));
     const durationMonths = Math.round(safeNum(els.stDurationMonths.value, 0));
     const capApr = safeNum(els.stCapApr.value, NaN);
 
-    out = runStressSteps({
+    engine = runStressSteps;
+    cfg = {
       principal,
       startApr,
       termMonths,
       extraMonthly: extra,
+      extraMode,
+      structure,
       stepSize,
       everyMonths,
       durationMonths,
       capApr: isFinite(capApr) ? capApr : NaN
-    });
-
-    // peak rate for steps
-    const peak = out.rows.reduce((m, r) => Math.max(m, r.apr), startApr);
-    const peakRow = out.rows.find(r => r.apr === peak);
-    els.stPeakRate.textContent = isFinite(peak) ? `${peak.toFixed(2)}%` : "—";
-    els.stPeakMeta.textContent = peakRow ? `Peak reached in month ${peakRow.month}` : "";
+    };
   } else {
     const fixedYears = safeNum(els.armFixedYears.value, 5);
     const adjustEveryMonths = safeNum(els.armAdjustEveryMonths.value, 12);
@@ -453,67 +812,306 @@ function run() {
 
     const manualSchedule = parseManualSchedule(els.armIndexSchedule.value);
 
-    out = runStressARM({
+    let indexLookup = null;
+    if (mode === "arm" && indexMode === "treasury_history") {
+      if (!firstPaymentDate) {
+        setStatus("Pick a first payment date for Treasury history mode.");
+        return;
+      }
+      try {
+        loadTreasuryData();
+      } catch (err) {
+        setStatus(err.message);
+        return;
+      }
+      const series = treasurySeries(treasuryData.parsed, els.armIndexMaturity.value);
+      if (!series.length) {
+        setStatus(`The Treasury file has no ${els.armIndexMaturity.value} values.`);
+        return;
+      }
+      indexLookup = treasuryIndexLookup(series, firstPaymentDate);
+    }
+
+    engine = runStressARM;
+    cfg = {
       principal,
       startApr,
       termMonths,
+      extraMonthly: extra,
+      extraMode,
+      structure,
       fixedYears,
       adjustEveryMonths,
       indexMode,
       indexValue: isFinite(indexValue) ? indexValue : startApr,
       manualSchedule,
+      indexLookup,
       margin,
       periodicCap: isFinite(periodicCap) ? periodicCap : NaN,
       lifetimeCapAboveStart: isFinite(lifetimeCapAboveStart) ? lifetimeCapAboveStart : NaN,
       floorApr: isFinite(floorApr) ? floorApr : NaN,
       simMonths: isFinite(simYears) ? Math.round(simYears * 12) : null
-    });
+    };
 
-    els.stPeakRate.textContent = isFinite(out.peakRate) ? `${out.peakRate.toFixed(2)}%` : "—";
-    els.stPeakMeta.textContent = `Peak reached in month ${out.peakMonth}`;
+    if (mode === "montecarlo") {
+      await runMonteCarloMode(cfg, firstPaymentDate);
+      return;
+    }
+  }
+
+  lastSolve = { engine, cfg };
+  fillGoalInputs();
+
+  const impact = stressExtraImpact(engine, cfg);
+  const out = impact.withExtra;
+  const rows = withDates(out.rows, firstPaymentDate);
+
+  // runStressSteps doesn't track its peak; the other engines do.
+  let peakRate = out.peakRate;
+  let peakMonth = out.peakMonth;
+  if (peakRate === undefined) {
+    peakRate = out.rows.reduce((m, r) => Math.max(m, r.apr), startApr);
+    peakMonth = out.rows.find(r => r.apr === peakRate)?.month ?? null;
+  }
+
+  els.stPeakRate.textContent = isFinite(peakRate) ? `${peakRate.toFixed(2)}%` : "—";
+  els.stPeakMeta.textContent = peakMonth ? monthText(rows, peakMonth) : "";
+  if (replay && peakMonth) {
+    els.stPeakMeta.textContent += ` (as in ${replay.months[Math.min(peakMonth, replay.months.length) - 1]})`;
   }
 
   // Outputs
   els.stWorstPayment.textContent = fmtUSD(out.worstPayment);
-  els.stWorstWhen.textContent = `Worst month: ${out.worstMonth}`;
+  els.stWorstWhen.textContent = monthText(rows, out.worstMonth);
   els.stTotalInterest.textContent = fmtUSD(out.totalInterest);
   els.stPayoff.textContent = `${out.rows.length} months simulated`;
+  if (out.balloon > 0) {
+    const balloonRow = rows.find(r => r.balloon > 0);
+    els.stPayoff.textContent += ` • ${fmtUSD(out.balloon)} balloon (${monthText(rows, balloonRow.month)})`;
+  }
 
   // risk score based on month 1 payment vs worst
   const startPay = out.rows[0]?.payment ?? NaN;
-  els.stRisk.textContent = riskScore(startPay, out.worstPayment);
+  const risk = riskScore(startPay, out.worstPayment);
+  els.stRisk.textContent = risk;
+
+  renderExtraImpact(impact, extra, extraMode);
 
   // chart + table
-  buildChart(out.rows);
-  renderTable(out.rows);
+  buildChart(rows);
+  renderTable(rows);
+
+  const preset = mode === "steps" ? els.stPreset?.value : undefined;
+  lastRun = {
+    label: replay ? `${replay.episode.label} replay (${replay.series.label})` : null,
+    columns: PATH_COLUMNS,
+    rows,
+    meta: runMeta(mode, cfg, replay
+      ? {
+        preset,
+        replaySeries: els.stReplaySeries.value,
+        replayMonths: `${replay.months[0]}..${replay.months.at(-1)}`,
+        replayDataVersion: replayData?.version
+      }
+      : { preset }),
+    summary: {
+      startPayment: startPay,
+      worstPayment: out.worstPayment,
+      worstMonth: out.worstMonth,
+      peakRate,
+      peakMonth,
+      risk,
+      totalInterest: out.totalInterest,
+      balloon: out.balloon
+    }
+  };
 
-  setStatus("");
+  setStatus(replay
+    ? `If ${replay.episode.label} happened again (${replay.series.label}), your payment peaks at ${fmtUSD(out.worstPayment)}.`
+    : historyNote(out));
 }
 
 els.stRunBtn?.addEventListener("click", run);
 
 /* =========================================================
-   Use calculator inputs (from index page localStorage if you later add it)
-   For now: tries URL params if present, otherwise does nothing safely.
-   ========================================================= */
+   Goal seek
+   =========================================================
+   Re-runs the last run's engine and config with one input
+   changed (see solveStress in finance.js). A replay's rate
+   path is fixed, so only the loan amounts move there; the ARM
+   index value only applies with a constant index.
+========================================================= */
+let lastSolve = null;   // { engine, cfg } of the latest path run (not Monte Carlo)
+
+const fmtRate = (x) => `${x.toFixed(3)}%`;
+const rateRange = (hi) => () => ({ lo: 0, hi, step: 0.001 });
+
+const STRESS_GOAL_INPUTS = {
+  startApr: { label: "Starting APR", engines: [runStressSteps, runStressARM], range: rateRange(30), fmt: fmtRate },
+  stepSize: { label: "Rate step size", engines: [runStressSteps], range: rateRange(5), fmt: fmtRate },
+  margin: { label: "ARM margin", engines: [runStressARM], range: rateRange(10), fmt: fmtRate },
+  indexValue: {
+    label: "Index value",
+    engines: [runStressARM],
+    when: (cfg) => cfg.indexMode === "constant",
+    range: rateRange(20),
+    fmt: fmtRate
+  },
+  extraMonthly: {
+    label: "Extra monthly payment",
+    engines: [runStressSteps, runStressARM, runStressPath],
+    range: (cfg) => ({ lo: 0, hi: cfg.principal, step: 0.01 }),
+    fmt: fmtUSD2
+  },
+  principal: {
+    label: "Starting balance",
+    engines: [runStressSteps, runStressARM, runStressPath],
+    range: () => ({ lo: 0, hi: 10000000, step: 1 }),
+    fmt: fmtUSD
+  }
+};
+
+const STRESS_GOAL_OUTPUTS = {
+  worstPayment: { label: "worst payment", fmt: fmtUSD2 },
+  totalInterest: { label: "total interest", fmt: fmtUSD },
+  payoffMonth: { label: "months simulated", fmt: (m) => String(Math.round(m)) },
+  paymentJump: { label: "payment jump", fmt: (j) => fmtPct2(j * 100) }
+};
+
+function fillGoalInputs() {
+  if (!els.stGsVary) return;
+  const current = els.stGsVary.value;
+  const keys = Object.keys(STRESS_GOAL_INPUTS).filter(k => {
+    const input = STRESS_GOAL_INPUTS[k];
+    return input.engines.includes(lastSolve.engine) && (!input.when || input.when(lastSolve.cfg));
+  });
+  els.stGsVary.innerHTML = keys.map(k => `<option value="${k}">${STRESS_GOAL_INPUTS[k].label}</option>`).join("");
+  if (keys.includes(current)) els.stGsVary.value = current;
+}
+
+function applyGoalOutputVisibility() {
+  if (!els.stGsTargetWrap) return;
+  els.stGsTargetWrap.style.display = els.stGsOutput.value.startsWith("risk:") ? "none" : "";
+}
+
+function runGoalSeek() {
+  const say = (msg) => { els.stGsStatus.textContent = msg; };
+  if (!lastSolve) {
+    say(els.stMode.value === "montecarlo"
+      ? "Goal seek re-runs a single rate path, so it isn't available for Monte Carlo."
+      : "Run the stress test first.");
+    return;
+  }
+
+  const vary = els.stGsVary.value;
+  const input = STRESS_GOAL_INPUTS[vary];
+  const [choice, level] = els.stGsOutput.value.split(":");
+  const outputKey = level ? "paymentJump" : choice;
+  const output = STRESS_GOAL_OUTPUTS[outputKey];
+  const target = level ? riskThreshold(level) : safeNum(els.stGsTarget.value, NaN);
+  if (!level && !(target > 0)) {
+    say("Enter a target above 0.");
+    return;
+  }
+
+  const { engine, cfg } = lastSolve;
+  const result = solveStress(engine, cfg, vary, outputKey, target, input.range(cfg));
+  if (!result.ok) {
+    const { lo, hi } = result;
+    say(result.reason === "invalid" || lo.value === hi.value
+      ? `The ${output.label} doesn't change with the ${input.label.toLowerCase()} (it stays ${output.fmt(lo.value)}).`
+      : `No ${input.label.toLowerCase()} from ${input.fmt(lo.x)} to ${input.fmt(hi.x)} gets there: ` +
+        `the ${output.label} only runs from ${output.fmt(lo.value)} to ${output.fmt(hi.value)}.`);
+    return;
+  }
+
+  const out = engine({ ...cfg, [vary]: result.x });
+  const risk = riskScore(out.rows[0]?.payment, out.worstPayment);
+  const found = result.alreadyMet
+    ? `Already met at the lowest ${input.label.toLowerCase()} tried (${input.fmt(result.x)})`
+    : `${input.label}: ${input.fmt(result.x)}`;
+  say(`${found} → worst payment ${fmtUSD(out.worstPayment)}, total interest ${fmtUSD(out.totalInterest)}, risk ${risk}.`);
+}
+
+els.stGsOutput?.addEventListener("change", applyGoalOutputVisibility);
+els.stGsBtn?.addEventListener("click", runGoalSeek);
+
+/* =========================================================
+   Use calculator inputs
+   =========================================================
+   Copies the loan fields from this page's link (v1 links from
+   the calculator carried p/apr/term/extra) without touching the
+   stress settings.
+========================================================= */
+const LOAN_FIELDS = ["stPrincipal", "stBaseApr", "stTermYears", "stExtra"];
+
 function useCalculatorInputs() {
-  // Optional: read from query string if you add share params
-  const qs = new URLSearchParams(window.location.search);
-  const p = safeNum(qs.get("p"), NaN);
-  const apr = safeNum(qs.get("apr"), NaN);
-  const term = safeNum(qs.get("term"), NaN);
-  const extra = safeNum(qs.get("extra"), NaN);
-
-  if (isFinite(p)) els.stPrincipal.value = String(p);
-  if (isFinite(apr)) els.stBaseApr.value = String(apr);
-  if (isFinite(term)) els.stTermYears.value = String(term);
-  if (isFinite(extra)) els.stExtra.value = String(extra);
+  // decodeState fills missing fields with their defaults; only copy what
+  // the link set, so a link without an extra payment keeps the one typed here.
+  const { values } = decodeState("stress", window.location.search);
+  LOAN_FIELDS.forEach(id => {
+    if (values[id] !== PAGE_SCHEMAS.stress[id].def) els[id].value = values[id];
+  });
 
   setStatus("Loaded any available calculator values. Edit if needed.");
 }
 
 els.stUseCalcBtn?.addEventListener("click", useCalculatorInputs);
 
-// init
+/* =========================================================
+   Init
+   ========================================================= */
+describeTreasuryData();
 applyModeVisibility();
+applyGoalOutputVisibility();
 applyPreset(els.stPreset?.value || "none");
+
+// Restore every input from a share link. Presets aren't re-applied,
+// so step settings saved in the link win over the preset's values.
+(function restoreFromURL() {
+  const state = decodeState("stress", window.location.search);
+  if (!state.present) return;
+
+  writeFields(state.values);
+  showIndexRateSource(state.values.armIndexRateSource);
+  applyModeVisibility();
+  applyReplayVisibility();
+  describeReplay();
+  if (state.migrated) {
+    history.replaceState(null, "", pageURL(encodeState("stress", state.values)));
+  }
+
+  run()
+    .then(() => {
+      // The run fills in the goal-seek choices for its engine.
+      const vary = state.values.stGsVary;
+      if (els.stGsVary?.querySelector(`option[value="${vary}"]`)) els.stGsVary.value = vary;
+      applyGoalOutputVisibility();
+      if (state.invalid.length) {
+        setStatus(`Some link values were invalid and reset to defaults: ${state.invalid.join(", ")}.`);
+      }
+    })
+    .catch(err => setStatus(err.message));
+})();
+
+// Handoff from the Rates page ("Use as ARM index"): stress field values
+// under STRESS_HANDOFF_KEY, read once.
+const STRESS_HANDOFF_KEY = "ratesense_stress_scenario";
+
+(function preloadHandoff() {
+  try {
+    const raw = localStorage.getItem(STRESS_HANDOFF_KEY);
+    if (!raw) return;
+    localStorage.removeItem(STRESS_HANDOFF_KEY);
+    const { values } = cleanFields("stress", JSON.parse(raw));
+
+    writeFields(values);
+    showIndexRateSource(values.armIndexRateSource ?? "");
+    applyModeVisibility();
+    setStatus(values.armIndexRateSource
+      ? `ARM index set to ${values.armIndexValue}% from ${values.armIndexRateSource}. Enter the loan and run.`
+      : "Scenario loaded. Run the stress test.");
+  } catch {
+    // ignore
+  }
+})();
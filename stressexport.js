@@ -0,0 +1,136 @@
+/* =========================================================
+   Stress timeline export
+   =========================================================
+   Turns a stress run into CSV / JSON downloads and a plain-text
+   summary. The config used for the run travels with the data:
+   "# key: value" comment lines above the CSV header, and a
+   "config" object in the JSON.
+
+   Pure module (no DOM), shared by stress.js and the tests.
+========================================================= */
+
+// Column sets for the two kinds of timeline the page shows. "date" and
+// "balloon" are only written when some row carries them.
+export const PATH_COLUMNS = [
+  { key: "month", label: "Month" },
+  { key: "date", label: "Date" },
+  { key: "apr", label: "APR" },
+  { key: "payment", label: "Payment" },
+  { key: "extra", label: "Extra" },
+  { key: "interest", label: "Interest" },
+  { key: "principal", label: "Principal" },
+  { key: "balance", label: "Balance" },
+  { key: "balloon", label: "Balloon" },
+  { key: "reset", label: "Reset" },
+];
+
+export const BAND_COLUMNS = [
+  { key: "month", label: "Month" },
+  { key: "date", label: "Date" },
+  { key: "apr.p5", label: "APR p5" },
+  { key: "apr.p50", label: "APR p50" },
+  { key: "apr.p95", label: "APR p95" },
+  { key: "payment.p5", label: "Payment p5" },
+  { key: "payment.p50", label: "Payment p50" },
+  { key: "payment.p95", label: "Payment p95" },
+];
+
+// A row is a reset when the engine flagged it (ARM) or the APR moved.
+export function isResetRow(rows, i) {
+  const r = rows[i];
+  if (typeof r.reset === "boolean") return r.reset;
+  return i > 0 && r.apr !== rows[i - 1].apr;
+}
+
+// Engine config minus callbacks; NaN becomes null so JSON keeps the key.
+export function exportableConfig(cfg) {
+  const out = {};
+  for (const [k, v] of Object.entries(cfg || {})) {
+    if (typeof v === "function" || v === undefined) continue;
+    out[k] = (typeof v === "number" && !isFinite(v)) ? null : v;
+  }
+  return out;
+}
+
+const OPTIONAL_COLUMNS = ["date", "balloon"];
+
+function visibleColumns(columns, rows) {
+  return columns.filter(c => !OPTIONAL_COLUMNS.includes(c.key) || rows.some(r => r[c.key]));
+}
+
+function pick(row, key) {
+  return key.split(".").reduce((o, k) => o?.[k], row);
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  if (typeof v === "number") return Number.isInteger(v) ? String(v) : v.toFixed(2);
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function metaValue(v) {
+  if (Array.isArray(v)) return v.join(" ");
+  if (v && typeof v === "object") return JSON.stringify(v);
+  return v === null ? "" : String(v);
+}
+
+/*
+  meta: { generated, mode, preset?, config, summary? }
+  rows: path rows (PATH_COLUMNS) or Monte Carlo monthly bands (BAND_COLUMNS)
+*/
+export function stressScheduleCSV(meta, columns, rows) {
+  const lines = [];
+  lines.push("# RateSense stress timeline");
+  for (const [k, v] of Object.entries(meta)) {
+    if (k === "config" || k === "summary" || v === undefined) continue;
+    lines.push(`# ${k}: ${metaValue(v)}`);
+  }
+  for (const [k, v] of Object.entries(meta.config || {})) {
+    lines.push(`# config.${k}: ${metaValue(v)}`);
+  }
+  for (const [k, v] of Object.entries(meta.summary || {})) {
+    lines.push(`# summary.${k}: ${metaValue(v)}`);
+  }
+
+  columns = visibleColumns(columns, rows);
+  lines.push(columns.map(c => c.label).join(","));
+  rows.forEach((r, i) => {
+    lines.push(columns.map(c => {
+      if (c.key === "reset") return isResetRow(rows, i) ? "yes" : "";
+      return csvCell(pick(r, c.key));
+    }).join(","));
+  });
+  return lines.join("\n") + "\n";
+}
+
+export function stressScheduleJSON(meta, columns, rows) {
+  columns = visibleColumns(columns, rows);
+  const data = rows.map((r, i) => {
+    const out = {};
+    columns.forEach(c => {
+      out[c.key] = c.key === "reset" ? isResetRow(rows, i) : (pick(r, c.key) ?? null);
+    });
+    return out;
+  });
+  return JSON.stringify({ ...meta, rows: data }, null, 2);
+}
+
+/*
+  s: { worstPayment, worstMonth, peakRate, peakMonth, risk, startPayment?, label?,
+       worstDate?, peakDate?, balloon? }
+  Money, rates and dates come pre-formatted by the page (fmtUSD / fmtPct2 /
+  fmtMonthYear).
+*/
+export function stressSummaryText(s) {
+  return [
+    "RateSense Stress Test",
+    s.label ? `Scenario: ${s.label}` : null,
+    s.startPayment ? `Starting payment: ${s.startPayment}` : null,
+    `Worst payment: ${s.worstPayment}`,
+    `Worst month: ${s.worstMonth}${s.worstDate ? ` (${s.worstDate})` : ""}`,
+    `Peak rate: ${s.peakRate}${s.peakMonth ? ` (month ${s.peakMonth}${s.peakDate ? `, ${s.peakDate}` : ""})` : ""}`,
+    s.balloon ? `Balloon due: ${s.balloon}` : null,
+    `Risk rating: ${s.risk}`,
+  ].filter(Boolean).join("\n");
+}
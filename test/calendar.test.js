@@ -0,0 +1,70 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  isISODate,
+  addMonthsISO,
+  addDaysISO,
+  daysBetweenISO,
+  dayCountFraction,
+  withDates,
+  fmtMonthYear,
+  monthText
+} from "../calendar.js";
+
+const near = (actual, expected, tol = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected} ± ${tol}, got ${actual}`);
+
+describe("dates", () => {
+  test("validates real calendar dates only", () => {
+    assert.ok(isISODate("2024-02-29"));
+    assert.ok(!isISODate("2023-02-29"));
+    assert.ok(!isISODate("2024-2-1"));
+    assert.ok(!isISODate(""));
+  });
+
+  test("adds calendar months and clamps to month end", () => {
+    assert.equal(addMonthsISO("2021-01-31", 1), "2021-02-28");
+    assert.equal(addMonthsISO("2020-01-31", 1), "2020-02-29");
+    assert.equal(addMonthsISO("2021-11-15", 14), "2023-01-15");
+    assert.equal(addMonthsISO("2021-03-15", -3), "2020-12-15");
+  });
+
+  test("counts days across DST and leap years", () => {
+    assert.equal(daysBetweenISO("2024-03-01", "2024-04-01"), 31);
+    assert.equal(daysBetweenISO("2024-01-01", "2025-01-01"), 366);
+  });
+
+  test("adds days across month and year ends", () => {
+    assert.equal(addDaysISO("2024-02-26", 7), "2024-03-04");
+    assert.equal(addDaysISO("2025-01-03", -7), "2024-12-27");
+  });
+});
+
+describe("dayCountFraction", () => {
+  test("30/360 treats every month as 30 days", () => {
+    near(dayCountFraction("30/360", "2024-01-31", "2024-02-29"), 29 / 360);
+    near(dayCountFraction("30/360", "2024-01-15", "2024-02-15"), 30 / 360);
+    near(dayCountFraction("30/360", "2024-01-30", "2024-03-31"), 60 / 360);
+  });
+
+  test("actual/365 divides actual days by 365", () => {
+    near(dayCountFraction("actual/365", "2024-02-01", "2024-03-01"), 29 / 365);
+  });
+
+  test("actual/actual splits periods at the year boundary", () => {
+    near(dayCountFraction("actual/actual", "2023-12-15", "2024-01-15"), 17 / 365 + 14 / 366);
+    near(dayCountFraction("actual/actual", "2024-01-01", "2025-01-01"), 1);
+  });
+});
+
+describe("labels", () => {
+  test("dates rows from the first payment and labels months", () => {
+    const rows = withDates([{ month: 1 }, { month: 2 }], "2025-01-31");
+    assert.deepEqual(rows.map(r => r.date), ["2025-01-31", "2025-02-28"]);
+    assert.equal(fmtMonthYear("2025-02-28"), "Feb 2025");
+    assert.equal(monthText(rows, 2), "Feb 2025 (month 2)");
+    assert.equal(monthText([{ month: 1 }], 1), "Month 1");
+    assert.equal(withDates(rows, ""), rows);
+  });
+});
@@ -0,0 +1,633 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  safeNum,
+  monthlyPayment,
+  amortSchedule,
+  biweeklyHalvesInMonth,
+  prepaymentImpact,
+  structureSensitivity,
+  creditCardSchedule,
+  ccMinimumPayment,
+  refinanceAnalysis,
+  maxLoanForPayment,
+  affordability,
+  affordabilityByRate,
+  goalSeek,
+  solveSchedule,
+  solveStress,
+  riskThreshold,
+  sensitivityGrid,
+  sensitivityAxisValues,
+  homeValueFrom,
+  pmiSchedule,
+  escrowSchedule,
+  paymentForRemainingMonths,
+  runStressSteps,
+  runStressARM,
+  parseManualSchedule,
+  stressExtraImpact,
+  riskScore,
+  compareLoans,
+  householdPayoff,
+  householdStrategies
+} from "../finance.js";
+
+const near = (actual, expected, tol = 0.01) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected} ± ${tol}, got ${actual}`);
+
+const uniqueAprs = (rows) => [...new Set(rows.map(r => r.apr))];
+
+describe("safeNum", () => {
+  test("parses numbers and falls back to NaN by default", () => {
+    assert.equal(safeNum("6.5"), 6.5);
+    assert.ok(Number.isNaN(safeNum("")));
+    assert.equal(safeNum("abc", 0), 0);
+  });
+});
+
+describe("monthlyPayment / amortSchedule", () => {
+  test("matches published amortization values", () => {
+    near(monthlyPayment(200000, 6, 30), 1199.10);
+    near(monthlyPayment(100000, 5, 15), 790.79);
+    near(monthlyPayment(25000, 7.9, 5), 505.71);
+  });
+
+  test("30-year schedule pays off on time with expected interest", () => {
+    const s = amortSchedule(200000, 6, 30);
+    assert.equal(s.months, 360);
+    near(s.totalInterest, 231676.38, 0.5);
+    near(s.rows.at(-1).balance, 0);
+    near(s.totalPaid, 200000 + s.totalInterest);
+  });
+
+  test("zero-APR loans split principal evenly with no interest", () => {
+    const s = amortSchedule(12000, 0, 1);
+    assert.equal(s.basePayment, 1000);
+    assert.equal(s.months, 12);
+    assert.equal(s.totalInterest, 0);
+    assert.ok(s.rows.every(r => r.interest === 0));
+  });
+
+  test("extra payments shorten the loan and cut interest", () => {
+    const base = amortSchedule(200000, 6, 30);
+    const extra = amortSchedule(200000, 6, 30, 100);
+    assert.equal(extra.months, 295);
+    near(extra.totalInterest, 182537.97, 0.5);
+    assert.ok(extra.rows.every(r => r.payment <= base.basePayment + 100 + 1e-9));
+    near(extra.rows.at(-1).balance, 0);
+  });
+});
+
+describe("prepayment plans", () => {
+  test("one-time lump sum and yearly prepayments land in their months", () => {
+    const plan = { yearly: { amount: 5000, monthOfYear: 12 }, lumpSums: [{ month: 24, amount: 20000 }] };
+    const s = amortSchedule(300000, 6, 30, 0, plan);
+    assert.equal(s.rows[10].extra, 0);
+    near(s.rows[11].extra, 5000);
+    near(s.rows[23].extra, 25000);
+    assert.deepEqual(s.rows[23].events, ["Yearly prepayment", "Lump sum"]);
+    assert.deepEqual(s.rows[22].events, []);
+  });
+
+  test("monthly extra can start later", () => {
+    const s = amortSchedule(300000, 6, 30, 200, { extraStartMonth: 61 });
+    assert.equal(s.rows[59].extra, 0);
+    near(s.rows[60].extra, 200);
+    assert.deepEqual(s.rows[60].events, []);
+  });
+
+  test("biweekly plans make 26 half-payments a year", () => {
+    let halves = 0;
+    for (let m = 1; m <= 120; m++) halves += biweeklyHalvesInMonth(m);
+    assert.equal(halves, 260);
+
+    const s = amortSchedule(300000, 6, 30, 0, { biweekly: true });
+    const bonus = s.rows.slice(0, 12).filter(r => r.extra > 0);
+    assert.equal(bonus.length, 2);
+    near(bonus[0].extra, s.basePayment / 2);
+  });
+
+  test("prepaymentImpact compares against scheduled payments only", () => {
+    const i = prepaymentImpact(300000, 6, 30, 0, { biweekly: true });
+    assert.equal(i.without.months, 360);
+    assert.equal(i.monthsSaved, 360 - i.withPlan.months);
+    assert.ok(i.monthsSaved > 48);
+    near(i.interestSaved, i.without.totalInterest - i.withPlan.totalInterest);
+    near(i.withPlan.rows.at(-1).balance, 0);
+  });
+});
+
+describe("calendar-dated schedules", () => {
+  test("30/360 with a one-month first period matches the undated schedule", () => {
+    const plain = amortSchedule(300000, 6.5, 30);
+    const dated = amortSchedule(300000, 6.5, 30, 0, null, { startDate: "2025-01-01" });
+    assert.equal(dated.months, 360);
+    near(dated.totalInterest, plain.totalInterest);
+    assert.equal(dated.rows[0].date, "2025-02-01");
+    assert.equal(dated.payoffDate, "2055-01-01");
+  });
+
+  test("a long first period charges per-diem interest and the last payment settles it", () => {
+    const s = amortSchedule(300000, 6, 30, 0, null, { startDate: "2025-01-15", firstPaymentDate: "2025-03-01" });
+    assert.equal(s.firstPeriodDays, 45);
+    near(s.perDiem, 50);
+    // 30/360: Jan 15 → Mar 1 is 46 days of interest.
+    near(s.rows[0].interest, 300000 * 0.06 * 46 / 360);
+    assert.equal(s.months, 360);
+    assert.ok(s.rows.at(-1).payment > s.basePayment);
+    assert.equal(s.rows.at(-1).balance, 0);
+  });
+
+  test("actual-day conventions follow the calendar", () => {
+    const s = amortSchedule(100000, 5, 30, 0, null, { startDate: "2024-01-01", convention: "actual/365" });
+    near(s.rows[0].interest, 100000 * 0.05 * 31 / 365);
+    const feb = s.rows[1];
+    assert.equal(feb.date, "2024-03-01");
+    near(feb.interest, s.rows[0].balance * 0.05 * 29 / 365);
+  });
+});
+
+describe("interest-only and balloon loans", () => {
+  test("interest-only months pay interest, then the loan recasts over what's left", () => {
+    const s = amortSchedule(300000, 6, 30, 0, null, null, { type: "interestOnly", ioMonths: 120 });
+    near(s.basePayment, 1500);
+    near(s.rows[119].balance, 300000);
+    near(s.recastPayment, monthlyPayment(300000, 6, 20));
+    near(s.paymentJump, s.recastPayment - 1500);
+    assert.equal(s.recastMonth, 121);
+    assert.equal(s.months, 360);
+    near(s.rows.at(-1).balance, 0);
+  });
+
+  test("a rate change at recast moves the post-recast payment only", () => {
+    const s = amortSchedule(300000, 6, 30, 0, null, null, { type: "interestOnly", ioMonths: 60, recastShock: 2 });
+    near(s.rows[59].interest, 1500);
+    near(s.recastPayment, monthlyPayment(300000, 8, 25));
+  });
+
+  test("balloon loans amortize on the long schedule and owe the rest at term", () => {
+    const s = amortSchedule(300000, 6, 7, 0, null, null, { type: "balloon", amortMonths: 360 });
+    near(s.basePayment, monthlyPayment(300000, 6, 30));
+    assert.equal(s.months, 84);
+    assert.equal(s.balloonMonth, 84);
+    near(s.balloon, amortSchedule(300000, 6, 30).rows[83].balance);
+    near(s.rows.at(-1).payment, s.basePayment + s.balloon);
+  });
+
+  test("structureSensitivity reprices the jump and the balloon", () => {
+    const [low, , high] = structureSensitivity(300000, 6, 7, { type: "balloon", amortMonths: 360 }, [-1, 0, 1]);
+    assert.equal(high.apr, 7);
+    assert.ok(high.balloon > low.balloon);
+    assert.ok(high.firstPayment > low.firstPayment);
+  });
+
+  test("stress engines honor the structure", () => {
+    const io = runStressSteps({
+      principal: 300000, startApr: 6, termMonths: 360, extraMonthly: 0,
+      stepSize: 1, everyMonths: 12, durationMonths: 12,
+      structure: { type: "interestOnly", ioMonths: 60 }
+    });
+    near(io.rows[0].payment, 1500);
+    near(io.rows[12].payment, 1750);
+    near(io.rows[60].payment, paymentForRemainingMonths(300000, 7, 300));
+    assert.equal(io.balloon, 0);
+
+    const balloon = runStressSteps({
+      principal: 300000, startApr: 6, termMonths: 84, extraMonthly: 0,
+      stepSize: 0, everyMonths: 0, durationMonths: 0,
+      structure: { type: "balloon", amortMonths: 360 }
+    });
+    assert.equal(balloon.rows.length, 84);
+    near(balloon.balloon, amortSchedule(300000, 6, 7, 0, null, null, { type: "balloon", amortMonths: 360 }).balloon);
+    near(balloon.rows.at(-1).balance, 0);
+  });
+});
+
+describe("creditCardSchedule", () => {
+  test("fixed payment pays off with daily periodic interest", () => {
+    const s = creditCardSchedule(4000, 24, { mode: "fixed", fixedPayment: 200 });
+    assert.equal(s.paysOff, true);
+    assert.equal(s.months, 26);
+    near(s.rows[0].interest, 4000 * (0.24 / 365) * (365 / 12));
+  });
+
+  test("minimum payment uses percent + interest with a floor", () => {
+    const s = creditCardSchedule(4000, 24, { mode: "minimum", minPct: 1, minFloor: 25 });
+    near(s.basePayment, 40 + 80);
+    assert.equal(s.paysOff, true);
+    const tail = s.rows.slice(-3, -1);
+    assert.ok(tail.every(r => r.payment >= 25 - 1e-9));
+  });
+
+  test("flags payments that never cover interest", () => {
+    const s = creditCardSchedule(4000, 24, { mode: "fixed", fixedPayment: 50 });
+    assert.equal(s.paysOff, false);
+    assert.ok(s.rows.at(-1).balance > 4000);
+  });
+});
+
+describe("pmiSchedule", () => {
+  const cfg = { principal: 300000, homeValue: 320000, annualRate: 0.5, termMonths: 360 };
+  const base = amortSchedule(300000, 6, 30);
+
+  test("charges PMI on the balance until 78% loan-to-value", () => {
+    const pmi = pmiSchedule(base, cfg);
+    near(pmi.firstPayment, 125);
+    assert.equal(pmi.endMonth, 123);
+    assert.ok(base.rows[121].balance / 320000 > 0.78);
+    assert.ok(base.rows[122].balance / 320000 <= 0.78);
+    assert.equal(pmi.monthly[123], 0);
+    near(pmi.total, pmi.monthly.reduce((a, b) => a + b, 0));
+  });
+
+  test("ends sooner on request at 80% or with extra payments", () => {
+    assert.equal(pmiSchedule(base, { ...cfg, removeAtLtv: 0.8 }).endMonth, 111);
+    assert.equal(pmiSchedule(amortSchedule(300000, 6, 30, 300), cfg).endMonth, 71);
+  });
+
+  test("stops at the loan midpoint and skips low-LTV loans", () => {
+    assert.equal(pmiSchedule(base, { ...cfg, homeValue: 250000 }).endMonth, 180);
+    const none = pmiSchedule(base, { ...cfg, homeValue: 400000 });
+    assert.equal(none.total, 0);
+    assert.equal(none.endMonth, 0);
+  });
+
+  test("homeValueFrom prefers the home value, else balance + down payment", () => {
+    assert.equal(homeValueFrom(300000, 350000, 20000), 350000);
+    assert.equal(homeValueFrom(300000, NaN, 20000), 320000);
+    assert.ok(Number.isNaN(homeValueFrom(300000, NaN, NaN)));
+  });
+});
+
+describe("escrowSchedule", () => {
+  const base = amortSchedule(300000, 6, 30);
+
+  test("flat bills keep a steady deposit and return to the cushion each year", () => {
+    const e = escrowSchedule(base, { annualTax: 6000, annualIns: 1200, monthlyHOA: 0 });
+    assert.equal(e.initialBalance, 1200);
+    assert.equal(e.analyses.length, 30);
+    assert.ok(e.analyses.every(a => a.shortage === 0 && a.surplus === 0 && a.newDeposit === 600));
+    assert.equal(e.rows[11].balance, 1200);
+    near(e.rows[0].housing, base.basePayment + 600);
+  });
+
+  test("growing bills show up as next year's shortage", () => {
+    const e = escrowSchedule(base, {
+      annualTax: 6000, annualIns: 1200, monthlyHOA: 100,
+      taxGrowth: 5, insGrowth: 10, hoaGrowth: 3
+    });
+    const [y1, y2] = e.analyses;
+    assert.equal(y1.shortage, 0);
+    near(y2.bills, 6300 + 1320);
+    near(y2.shortage, 2 * 7620 / 12 - (1200 + 12 * 600 - 7620));
+    near(y2.newDeposit, 7620 / 12 + y2.shortage / 12);
+    near(e.rows[12].hoa, 103);
+    near(e.rows[12].tax, 525);
+  });
+
+  test("refunds a surplus above the cushion and adds PMI to housing cost", () => {
+    const pmiMonthly = base.rows.map(() => 50);
+    const e = escrowSchedule(base, {
+      annualTax: 6000, annualIns: 0, monthlyHOA: 0, taxGrowth: -10, cushionMonths: 0, pmiMonthly
+    });
+    near(e.analyses[1].surplus, 600);
+    assert.equal(e.rows[23].balance, 0);
+    near(e.rows[0].housing, base.basePayment + 500 + 50);
+  });
+});
+
+describe("refinanceAnalysis", () => {
+  test("finds a break-even month and net savings at the horizon", () => {
+    const a = refinanceAnalysis({
+      principal: 300000, apr: 7, years: 28, extra: 0,
+      newApr: 6, newYears: 30, closingCosts: 6000, costMode: "upfront", keepMonths: 84
+    });
+    assert.ok(a.monthlySavings > 0);
+    assert.equal(a.breakEvenMonth, 25);
+    assert.ok(a.netSavingsAtHorizon > 0);
+    assert.equal(a.points[0].refiCost - a.points[0].keepCost, 6000);
+  });
+
+  test("never breaks even when the new rate is higher", () => {
+    const a = refinanceAnalysis({
+      principal: 300000, apr: 6, years: 30, extra: 0,
+      newApr: 7, newYears: 30, closingCosts: 3000, costMode: "rolled", keepMonths: 60
+    });
+    assert.equal(a.breakEvenMonth, null);
+    assert.ok(a.netSavingsAtHorizon < 0);
+  });
+});
+
+describe("affordability", () => {
+  const cfg = {
+    apr: 6.5, years: 30, grossIncome: 120000, frontDti: 28, backDti: 36, otherDebts: 800,
+    annualTax: 4800, annualIns: 1500, monthlyHOA: 0, downPayment: 40000, pmiRate: 0
+  };
+
+  test("maxLoanForPayment inverts monthlyPayment", () => {
+    near(maxLoanForPayment(monthlyPayment(300000, 6.5, 30), 6.5, 30), 300000);
+    near(maxLoanForPayment(1000, 0, 10), 120000);
+    assert.equal(maxLoanForPayment(0, 6.5, 30), 0);
+  });
+
+  test("the tightest limit sets the housing payment", () => {
+    const a = affordability(cfg);
+    assert.equal(a.binding, "front");
+    near(a.housing, 2800);
+    near(a.escrow, 525);
+    near(a.principalAndInterest, 2275);
+    near(a.homePrice, a.loan + 40000);
+
+    const debts = affordability({ ...cfg, otherDebts: 1200 });
+    assert.equal(debts.binding, "back");
+    near(debts.housing, 2400);
+
+    const budget = affordability({ ...cfg, budget: 2000 });
+    assert.equal(budget.binding, "budget");
+    assert.ok(budget.loan < a.loan);
+
+    assert.equal(affordability({ ...cfg, grossIncome: 0 }), null);
+  });
+
+  test("PMI shares the allowance above 80% LTV and never pushes the loan below 80%", () => {
+    const plain = affordability(cfg);
+    const pmi = affordability({ ...cfg, pmiRate: 0.5 });
+    assert.ok(pmi.loan < plain.loan);
+    near(pmi.principalAndInterest + pmi.pmi, plain.principalAndInterest);
+
+    const bigDown = affordability({ ...cfg, downPayment: 100000, pmiRate: 0.5 });
+    assert.equal(bigDown.pmi, 0);
+    assert.ok(bigDown.ltv <= 0.8);
+  });
+
+  test("taxes above the allowance leave no room for a loan", () => {
+    const a = affordability({ ...cfg, budget: 400 });
+    assert.equal(a.loan, 0);
+    near(a.shortfall, 125);
+  });
+
+  test("buying power falls with each rate step", () => {
+    const rows = affordabilityByRate(cfg, [1, 0.25, 0.5, 0.75]);
+    assert.deepEqual(rows.map(r => r.delta), [0, 0.25, 0.5, 0.75, 1]);
+    assert.equal(rows[0].priceDrop, 0);
+    for (let i = 1; i < rows.length; i++) {
+      assert.ok(rows[i].stepDrop > 0);
+      near(rows[i].priceDrop, rows[i - 1].priceDrop + rows[i].stepDrop);
+    }
+    near(rows[4].apr, 7.5);
+  });
+});
+
+describe("goal seek", () => {
+  const loan = { principal: 300000, apr: 6, years: 30, extra: 0 };
+
+  test("solves a rising output and rounds up to the step", () => {
+    const r = goalSeek((x) => x * x, 2, { lo: 0, hi: 2, step: 0.001 });
+    assert.ok(r.ok);
+    near(r.x, 1.415, 1e-9);
+    assert.ok(r.value >= 2);
+  });
+
+  test("finds the APR that makes a payment", () => {
+    const r = solveSchedule(loan, "apr", "payment", 2000, { lo: 0, hi: 30, step: 0.001 });
+    assert.ok(r.ok);
+    near(r.x, 7.021, 1e-9);
+    near(monthlyPayment(300000, r.x, 30), 2000, 0.5);
+  });
+
+  test("finds the extra payment that pays off by a month (falling step output)", () => {
+    const r = solveSchedule(loan, "extra", "payoffMonth", 240, { lo: 0, hi: 300000, step: 0.01 });
+    assert.ok(r.ok);
+    assert.ok(amortSchedule(300000, 6, 30, r.x).months <= 240);
+    assert.ok(amortSchedule(300000, 6, 30, r.x - 0.01).months > 240);
+  });
+
+  test("explains targets outside the range", () => {
+    const r = solveSchedule(loan, "apr", "payment", 500, { lo: 0, hi: 30, step: 0.001 });
+    assert.equal(r.ok, false);
+    assert.equal(r.reason, "unreachable");
+    near(r.lo.value, 833.33);
+
+    const met = solveSchedule(loan, "extra", "payoffMonth", 360, { lo: 0, hi: 300000, step: 0.01 });
+    assert.ok(met.alreadyMet);
+    assert.equal(met.x, 0);
+  });
+
+  test("finds the rate step that pushes the stress risk score to High", () => {
+    const cfg = { principal: 300000, startApr: 6, termMonths: 360, extraMonthly: 0, stepSize: 0.25, everyMonths: 3, durationMonths: 24, capApr: NaN };
+    const r = solveStress(runStressSteps, cfg, "stepSize", "paymentJump", riskThreshold("High"), { lo: 0, hi: 5, step: 0.001 });
+    assert.ok(r.ok);
+    const at = (step) => {
+      const out = runStressSteps({ ...cfg, stepSize: step });
+      return riskScore(out.rows[0].payment, out.worstPayment);
+    };
+    assert.equal(at(r.x), "High");
+    assert.equal(at(r.x - 0.001), "Moderate");
+  });
+});
+
+describe("sensitivityGrid", () => {
+  const loan = { principal: 300000, apr: 6.5, years: 30 };
+
+  test("spans -2% to +3% by term, measured against the loan as entered", () => {
+    const g = sensitivityGrid(loan, { axis: "years" });
+    assert.deepEqual(g.steps, [-2, -1.5, -1, -0.5, 0, 0.5, 1, 1.5, 2, 2.5, 3]);
+    assert.deepEqual(g.rows.map(r => r.value), [10, 15, 20, 25, 30, 40]);
+
+    const base = g.rows.find(r => r.value === 30).cells.find(c => c.delta === 0);
+    near(base.payment, monthlyPayment(300000, 6.5, 30));
+    assert.equal(base.paymentChange, 0);
+
+    const cell = g.rows.find(r => r.value === 15).cells.find(c => c.delta === 1);
+    near(cell.payment, monthlyPayment(300000, 7.5, 15));
+    near(cell.paymentChange, monthlyPayment(300000, 7.5, 15) - base.payment);
+    near(cell.totalInterest, amortSchedule(300000, 7.5, 15).totalInterest);
+  });
+
+  test("balance rows bracket the current balance and drop negative APRs", () => {
+    assert.deepEqual(sensitivityAxisValues("principal", 312345), [219000, 250000, 281000, 312345, 344000, 375000, 406000]);
+    assert.deepEqual(sensitivityAxisValues("years", 22), [10, 15, 20, 22, 25, 30, 40]);
+
+    const g = sensitivityGrid({ ...loan, apr: 1 }, { axis: "principal" });
+    assert.equal(g.steps[0], -1);
+    assert.ok(g.rows.every(r => r.cells.every(c => c.apr >= 0)));
+  });
+});
+
+describe("stress engines", () => {
+  test("paymentForRemainingMonths matches monthlyPayment at origination", () => {
+    near(paymentForRemainingMonths(200000, 6, 360), monthlyPayment(200000, 6, 30), 1e-9);
+    assert.equal(paymentForRemainingMonths(1200, 0, 12), 100);
+  });
+
+  test("step ladder respects the APR cap and duration", () => {
+    const out = runStressSteps({
+      principal: 300000, startApr: 6, termMonths: 360,
+      stepSize: 0.5, everyMonths: 3, durationMonths: 24, capApr: 8
+    });
+    assert.deepEqual(uniqueAprs(out.rows), [6, 6.5, 7, 7.5, 8]);
+    assert.equal(out.rows.at(-1).apr, 8);
+    near(out.rows.at(-1).balance, 0);
+  });
+
+  test("ARM periodic and lifetime caps limit each reset", () => {
+    const out = runStressARM({
+      principal: 300000, startApr: 5, termMonths: 360,
+      fixedYears: 5, adjustEveryMonths: 12,
+      indexMode: "constant", indexValue: 9, margin: 2.75,
+      periodicCap: 2, lifetimeCapAboveStart: 5, floorApr: NaN
+    });
+    assert.deepEqual(uniqueAprs(out.rows), [5, 7, 9, 10]);
+    assert.equal(out.rows[59].apr, 5);
+    assert.equal(out.rows[60].apr, 7);
+    assert.equal(out.peakRate, 10);
+    assert.equal(out.peakMonth, 85);
+  });
+
+  test("ARM peak month is the first month at the peak rate, not the last", () => {
+    const out = runStressARM({
+      principal: 300000, startApr: 5, termMonths: 360,
+      fixedYears: 5, adjustEveryMonths: 12,
+      indexMode: "constant", indexValue: 9, margin: 2.75,
+      periodicCap: 2, lifetimeCapAboveStart: 5, floorApr: NaN
+    });
+    const atPeak = out.rows.filter(r => r.apr === out.peakRate).map(r => r.month);
+    assert.ok(atPeak.length > 1);
+    assert.equal(out.peakMonth, atPeak[0]);
+    assert.notEqual(out.peakMonth, atPeak.at(-1));
+  });
+
+  test("ARM floor holds the rate up when the index falls", () => {
+    const out = runStressARM({
+      principal: 300000, startApr: 5, termMonths: 360,
+      fixedYears: 5, adjustEveryMonths: 12,
+      indexMode: "constant", indexValue: 0.5, margin: 2.75,
+      periodicCap: 2, lifetimeCapAboveStart: 5, floorApr: 4
+    });
+    assert.deepEqual(uniqueAprs(out.rows), [5, 4]);
+  });
+
+  test("manual schedule applies one index value per reset", () => {
+    const out = runStressARM({
+      principal: 100000, startApr: 4, termMonths: 120,
+      fixedYears: 1, adjustEveryMonths: 12,
+      indexMode: "manual_schedule", manualSchedule: parseManualSchedule("2, 3\n4"),
+      margin: 2, periodicCap: NaN, lifetimeCapAboveStart: NaN, floorApr: NaN
+    });
+    assert.deepEqual(uniqueAprs(out.rows), [4, 5, 6]);
+    assert.equal(out.rows[36].apr, 6);
+  });
+
+  test("extra principal shortens the term by default", () => {
+    const cfg = {
+      principal: 300000, startApr: 6, termMonths: 360,
+      stepSize: 0.25, everyMonths: 6, durationMonths: 24, capApr: NaN,
+      extraMonthly: 200
+    };
+    const impact = stressExtraImpact(runStressSteps, cfg);
+    assert.ok(impact.monthsSaved > 0);
+    assert.ok(impact.interestSaved > 0);
+    near(impact.worstPaymentCut, 0, 1e-6);
+    assert.ok(impact.withExtra.rows.every(r => r.extra <= 200));
+    near(impact.withExtra.rows.at(-1).balance, 0);
+  });
+
+  test("recast mode lowers the required payment instead", () => {
+    const cfg = {
+      principal: 300000, startApr: 5, termMonths: 360,
+      fixedYears: 5, adjustEveryMonths: 12,
+      indexMode: "constant", indexValue: 5, margin: 2.75,
+      periodicCap: 2, lifetimeCapAboveStart: 5, floorApr: NaN,
+      extraMonthly: 300, extraMode: "recast"
+    };
+    const impact = stressExtraImpact(runStressARM, cfg);
+    assert.ok(impact.worstPaymentCut > 0);
+    assert.ok(impact.interestSaved > 0);
+    assert.ok(impact.monthsSaved <= 1);
+    assert.equal(impact.withExtra.rows[0].extra, 300);
+  });
+
+  test("riskScore buckets the payment jump", () => {
+    assert.equal(riskScore(1000, 1050), "Low");
+    assert.equal(riskScore(1000, 1200), "Moderate");
+    assert.equal(riskScore(1000, 1400), "High");
+    assert.equal(riskScore(1000, 1600), "Severe");
+    assert.equal(riskScore(0, 1000), "—");
+  });
+});
+
+describe("compareLoans", () => {
+  test("adds PITI to mortgages and finds the cumulative-cost crossover", () => {
+    const common = { type: "mortgage", principal: 300000, extra: 0, annualTax: 6000, annualIns: 1200, monthlyHOA: 0 };
+    const r = compareLoans({ ...common, apr: 5.5, years: 15 }, { ...common, apr: 6.5, years: 30 });
+    near(r.A.addons, 600);
+    assert.ok(r.A.monthlyTotal > r.B.monthlyTotal);
+    assert.ok(r.A.totalCost < r.B.totalCost);
+    assert.equal(r.crossoverMonth, 221);
+  });
+
+  test("non-mortgage loans ignore add-ons", () => {
+    const r = compareLoans(
+      { type: "auto", principal: 25000, apr: 7.9, years: 5, extra: 0, annualTax: 5000, annualIns: 0, monthlyHOA: 0 },
+      { type: "auto", principal: 25000, apr: 6.9, years: 5, extra: 0, annualTax: 0, annualIns: 0, monthlyHOA: 0 }
+    );
+    assert.equal(r.A.addons, 0);
+    assert.equal(r.crossoverMonth, null);
+  });
+});
+
+describe("householdPayoff", () => {
+  const debts = [
+    { name: "Car", type: "auto", balance: 12000, apr: 7, years: 4 },
+    { name: "Card", type: "creditcard", balance: 5000, apr: 24, variable: true },
+    { name: "Store card", type: "creditcard", balance: 800, apr: 18, variable: true, priority: 1 },
+  ];
+
+  test("one loan on its required payment matches the amortization schedule", () => {
+    const r = householdPayoff([{ name: "Car", type: "auto", balance: 20000, apr: 6, years: 5 }]);
+    const s = amortSchedule(20000, 6, 5);
+    near(r.budget, s.basePayment);
+    assert.equal(r.months, 60);
+    near(r.totalInterest, s.totalInterest);
+  });
+
+  test("avalanche targets the highest APR, snowball the smallest balance", () => {
+    const budget = 900;
+    const avalanche = householdPayoff(debts, { strategy: "avalanche", budget });
+    const snowball = householdPayoff(debts, { strategy: "snowball", budget });
+    const month = (r, name) => r.debts.find(d => d.name === name).payoffMonth;
+    assert.ok(month(avalanche, "Card") < month(snowball, "Card"));
+    assert.ok(month(snowball, "Store card") < month(avalanche, "Store card"));
+    assert.ok(avalanche.totalInterest <= snowball.totalInterest);
+  });
+
+  test("a paid-off debt's payment rolls into the next one", () => {
+    const budget = 900;
+    const r = householdPayoff(debts, { strategy: "custom", budget });
+    const storeDone = r.debts[2].payoffMonth;
+    assert.ok(storeDone < r.debts[1].payoffMonth);
+    // Until every debt is paid the whole budget is used each month.
+    r.rows.slice(0, r.debts[1].payoffMonth - 1).forEach(row => near(row.payment, budget));
+    const minimum = householdPayoff(debts, { strategy: "minimum", budget });
+    assert.ok(minimum.months > r.months);
+  });
+
+  test("cards use their own minimum-payment settings", () => {
+    const card = { name: "Card", type: "creditcard", balance: 5000, apr: 24 };
+    const base = householdPayoff([card], { strategy: "minimum" });
+    const higher = householdPayoff([{ ...card, minPct: 3, minFloor: 40 }], { strategy: "minimum" });
+    near(base.budget, ccMinimumPayment(5000, 5000 * 0.24 / 12, 1, 25));
+    near(higher.budget, ccMinimumPayment(5000, 5000 * 0.24 / 12, 3, 40));
+    assert.ok(higher.months < base.months);
+  });
+
+  test("the rate change only moves variable-rate debts", () => {
+    const [avalanche] = householdStrategies(debts, { budget: 900, rateShock: 2, strategies: ["avalanche"] });
+    assert.equal(avalanche.shocked.debts[0].apr, 7);
+    assert.equal(avalanche.shocked.debts[1].apr, 26);
+    assert.ok(avalanche.interestChange > 0);
+    assert.ok(avalanche.requiredChange > 0);
+  });
+});
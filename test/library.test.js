@@ -0,0 +1,146 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  LIBRARY_FORMAT,
+  describeState,
+  parseTags,
+  createEntry,
+  entryURL,
+  duplicateEntry,
+  updateEntry,
+  deleteEntry,
+  libraryTags,
+  searchEntries,
+  exportLibrary,
+  importLibrary,
+  loadLibrary,
+  saveLibrary,
+  saveToLibrary
+} from "../library.js";
+import { decodeState } from "../urlstate.js";
+
+const T0 = new Date("2025-01-01T12:00:00Z");
+const T1 = new Date("2025-02-01T12:00:00Z");
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => { items.set(k, String(v)); },
+  };
+};
+
+const mortgage = () => createEntry({
+  page: "calculator",
+  values: { loanType: "mortgage", principal: "350000", termYears: "30", apr: "6.5" },
+  now: T0
+});
+const arm = () => createEntry({
+  page: "stress",
+  values: { stMode: "arm", stPrincipal: "400000", stTermYears: "30", stBaseApr: "5.75" },
+  name: "5/1 ARM for the Lees",
+  tags: ["ARM", "client"],
+  now: T1
+});
+
+describe("scenario entries", () => {
+  test("store the page's share-link query and reopen on that page", () => {
+    const e = mortgage();
+    assert.equal(e.page, "calculator");
+    assert.equal(e.name, e.summary);
+    assert.match(e.summary, /^Mortgage • \$350,000 • 30 years • 6\.50%$/);
+    assert.ok(entryURL(e).startsWith("./index.html?v=2&"));
+    assert.equal(decodeState("calculator", e.query).values.principal, "350000");
+    assert.ok(entryURL(arm()).startsWith("./stress.html?"));
+  });
+
+  test("summaries for stress and compare", () => {
+    assert.equal(describeState("stress", { stMode: "arm", stPrincipal: "", stTermYears: "", stBaseApr: "5.75" }), "ARM stress • 5.75%");
+    assert.equal(describeState("compare", { aType: "mortgage", aApr: "6.5", bType: "auto", bApr: "" }), "Mortgage 6.50% vs Auto loan ?");
+  });
+
+  test("tags are trimmed and de-duplicated ignoring case", () => {
+    assert.deepEqual(parseTags(" ARM, client , arm,,Client "), ["ARM", "client"]);
+    assert.deepEqual(parseTags(undefined), []);
+  });
+
+  test("rename, tag, duplicate and delete", () => {
+    const a = mortgage();
+    const b = arm();
+    let list = updateEntry([a, b], a.id, { name: "  Starter home ", tags: ["first home"] }, T1);
+    assert.equal(list[0].name, "Starter home");
+    assert.deepEqual(list[0].tags, ["first home"]);
+    assert.equal(list[0].updatedAt, T1.toISOString());
+    assert.equal(updateEntry(list, a.id, { name: "   " })[0].name, "Starter home");
+
+    const copy = duplicateEntry(list[0], T1);
+    assert.notEqual(copy.id, a.id);
+    assert.equal(copy.name, "Starter home (copy)");
+    assert.equal(copy.query, a.query);
+    list = [...list, copy];
+    assert.deepEqual(libraryTags(list), ["ARM", "client", "first home"]);
+
+    list = deleteEntry(list, a.id);
+    assert.deepEqual(list.map(e => e.id), [b.id, copy.id]);
+  });
+
+  test("search matches every word across name, summary, tags and page; newest first", () => {
+    const list = [mortgage(), arm()];
+    assert.deepEqual(searchEntries(list).map(e => e.page), ["stress", "calculator"]);
+    assert.deepEqual(searchEntries(list, "lees arm").map(e => e.page), ["stress"]);
+    assert.deepEqual(searchEntries(list, "calculator 350,000").map(e => e.page), ["calculator"]);
+    assert.deepEqual(searchEntries(list, "", "arm").map(e => e.page), ["stress"]);
+    assert.deepEqual(searchEntries(list, "auto"), []);
+  });
+});
+
+describe("library import / export", () => {
+  test("round-trips and skips entries already saved", () => {
+    const list = [mortgage(), arm()];
+    const json = exportLibrary(list, T1);
+    assert.equal(JSON.parse(json).format, LIBRARY_FORMAT);
+
+    const fresh = importLibrary(json, []);
+    assert.equal(fresh.added, 2);
+    assert.deepEqual(fresh.entries.map(e => e.query), list.map(e => e.query));
+    assert.deepEqual(fresh.entries[1].tags, ["ARM", "client"]);
+
+    const again = importLibrary(json, fresh.entries);
+    assert.equal(again.added, 0);
+    assert.equal(again.skipped, 2);
+  });
+
+  test("re-validates imported entries and renumbers clashing ids", () => {
+    const mine = mortgage();
+    const incoming = [
+      { id: mine.id, page: "calculator", name: "Other", query: "v=2&principal=200000&apr=abc" },
+      { page: "household", query: "v=2" },
+      { page: "compare", name: "No query" },
+      "nonsense"
+    ];
+    const { entries, added, invalid } = importLibrary(JSON.stringify(incoming), [mine]);
+    assert.equal(added, 1);
+    assert.equal(invalid, 3);
+    assert.notEqual(entries[1].id, mine.id);
+    assert.equal(entries[1].query, "v=2&principal=200000"); // the bad APR is dropped
+  });
+
+  test("rejects files that aren't a library", () => {
+    assert.throws(() => importLibrary("not json"), /valid JSON/);
+    assert.throws(() => importLibrary('{"scenarios": []}'), /scenario library/);
+  });
+
+  test("saves to and loads from storage", () => {
+    const storage = memoryStorage();
+    assert.deepEqual(loadLibrary(storage), []);
+    const entry = saveToLibrary("compare", { aType: "mortgage", aApr: "6.5", bType: "mortgage", bApr: "5.9" }, storage);
+    assert.equal(entry.name, "Mortgage 6.50% vs Mortgage 5.90%");
+    assert.deepEqual(loadLibrary(storage).map(e => e.id), [entry.id]);
+
+    saveLibrary([], storage);
+    assert.deepEqual(loadLibrary(storage), []);
+    storage.setItem("ratesense_library", "{broken");
+    assert.deepEqual(loadLibrary(storage), []);
+  });
+});
@@ -0,0 +1,141 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  mulberry32,
+  simulateShortRatePath,
+  percentile,
+  runMonteCarlo,
+  createMonteCarloRunner,
+  MC_MAX_PATHS
+} from "../montecarlo.js";
+import { PAGE_SCHEMAS, validateField } from "../urlstate.js";
+
+const ARM = {
+  principal: 300000, startApr: 6, termMonths: 360, simMonths: 120,
+  fixedYears: 5, adjustEveryMonths: 12,
+  indexValue: 4, margin: 2.75,
+  periodicCap: 2, lifetimeCapAboveStart: 5, floorApr: NaN
+};
+
+describe("rate paths", () => {
+  test("a seed reproduces the same path", () => {
+    const model = { start: 4, mean: 4, speed: 0.3, drift: 0, vol: 1 };
+    const a = simulateShortRatePath(model, 24, mulberry32(7));
+    const b = simulateShortRatePath(model, 24, mulberry32(7));
+    assert.deepEqual(Array.from(a), Array.from(b));
+  });
+
+  test("with zero volatility the path reverts toward the mean", () => {
+    const path = simulateShortRatePath({ start: 8, mean: 4, speed: 0.5, drift: 0, vol: 0 }, 240, mulberry32(1));
+    assert.equal(path[0], 8);
+    assert.ok(path[239] < 4.01 && path[239] > 4);
+    assert.ok(path.every((r, i) => i === 0 || r <= path[i - 1]));
+  });
+
+  test("rates never go below the floor of the model", () => {
+    const path = simulateShortRatePath({ start: 0.5, mean: 0, speed: 0, drift: -5, vol: 2 }, 120, mulberry32(3));
+    assert.ok(path.every(r => r >= 0));
+  });
+});
+
+describe("percentile", () => {
+  test("interpolates between sorted values", () => {
+    assert.equal(percentile([1, 2, 3, 4, 5], 50), 3);
+    assert.equal(percentile([0, 10], 25), 2.5);
+    assert.ok(Number.isNaN(percentile([], 50)));
+  });
+});
+
+describe("runMonteCarlo", () => {
+  test("bands are ordered and respect ARM caps", () => {
+    const r = runMonteCarlo(ARM, { start: 3.25, mean: 5, speed: 0.3, drift: 0, vol: 1.5 }, { paths: 300, seed: 11, limit: 2000 });
+    assert.equal(r.monthly.length, 120);
+    for (const m of r.monthly) {
+      assert.ok(m.payment.p5 <= m.payment.p50 && m.payment.p50 <= m.payment.p95);
+      assert.ok(m.apr.p95 <= 11 + 1e-9);
+    }
+    assert.equal(r.monthly[0].apr.p50, 6);
+    assert.ok(r.probOverLimit >= 0 && r.probOverLimit <= 1);
+  });
+
+  test("a deterministic path matches the ARM engine's single run", () => {
+    const r = runMonteCarlo(ARM, { start: 4, mean: 4, speed: 0, drift: 0, vol: 0 }, { paths: 20, seed: 1, limit: 1e9 });
+    assert.equal(r.worstPayment.p5, r.worstPayment.p95);
+    assert.equal(r.monthly[60].apr.p50, 6.75);
+    assert.equal(r.probOverLimit, 0);
+  });
+
+  test("share links can't ask for more paths than the cap", () => {
+    const spec = PAGE_SCHEMAS.stress.mcPaths;
+    assert.equal(validateField(spec, String(MC_MAX_PATHS)), String(MC_MAX_PATHS));
+    assert.equal(validateField(spec, String(MC_MAX_PATHS + 1)), null);
+  });
+});
+
+describe("createMonteCarloRunner", () => {
+  // Stands in for montecarlo.worker.js: records what it's sent and replies on demand.
+  const fakeWorkers = () => {
+    const made = [];
+    const make = () => {
+      const w = {
+        terminated: false,
+        posted: null,
+        postMessage(data) { w.posted = data; },
+        terminate() { w.terminated = true; },
+        reply(data) { w.onmessage?.({ data }); }
+      };
+      made.push(w);
+      return w;
+    };
+    return { made, make };
+  };
+
+  test("runs in a worker, reports progress and terminates it when done", async () => {
+    const { made, make } = fakeWorkers();
+    const runner = createMonteCarloRunner(make);
+    const progress = [];
+    const pending = runner.run(ARM, {}, { paths: 10, onProgress: (v) => progress.push(v) });
+    assert.equal(made[0].posted.opts.paths, 10);
+    assert.equal(made[0].posted.opts.onProgress, undefined);
+
+    made[0].reply({ type: "progress", value: 0.5 });
+    made[0].reply({ type: "done", result: { paths: 10 } });
+    assert.deepEqual(await pending, { paths: 10 });
+    assert.deepEqual(progress, [0.5]);
+    assert.ok(made[0].terminated);
+  });
+
+  test("a run that isn't Monte Carlo supersedes one in progress", async () => {
+    const { made, make } = fakeWorkers();
+    const runner = createMonteCarloRunner(make);
+    const pending = runner.run(ARM, {}, { paths: 10 });
+
+    // What the stress page does at the start of every run, whatever the mode.
+    runner.cancel();
+    await assert.rejects(pending, { reason: "superseded" });
+    assert.ok(made[0].terminated);
+
+    // A late result from the old worker is ignored.
+    made[0].reply({ type: "done", result: { paths: 10 } });
+    runner.cancel();
+  });
+
+  test("a new simulation supersedes the previous one; errors reject", async () => {
+    const { made, make } = fakeWorkers();
+    const runner = createMonteCarloRunner(make);
+    const first = runner.run(ARM, {}, { paths: 10 });
+    const second = runner.run(ARM, {}, { paths: 20 });
+    await assert.rejects(first, { reason: "superseded" });
+
+    made[1].reply({ type: "error", message: "boom" });
+    await assert.rejects(second, /boom/);
+    assert.ok(made[1].terminated);
+  });
+
+  test("without workers it runs on the main thread", async () => {
+    const runner = createMonteCarloRunner(null);
+    const r = await runner.run(ARM, { start: 4, mean: 4, speed: 0, drift: 0, vol: 0 }, { paths: 2, seed: 1 });
+    assert.equal(r.paths, 2);
+  });
+});
@@ -0,0 +1,96 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  seriesLabel,
+  treasuryKey,
+  treasuryObservations,
+  seriesObservations,
+  uniqueObservations,
+  windowSeries,
+  rateChanges,
+  openRateHistory
+} from "../ratehistory.js";
+import { parseTreasuryCSV } from "../treasury.js";
+
+const CSV = [
+  'Date,"1 Mo","10 Yr"',
+  "01/05/2024,5.54,4.05",
+  "01/04/2024,5.55,",
+  "01/03/2024,5.54,3.91",
+].join("\n");
+
+describe("rate history observations", () => {
+  test("keeps every Treasury maturity and skips blank cells", () => {
+    const obs = treasuryObservations(parseTreasuryCSV(CSV));
+    assert.equal(obs.length, 5);
+    assert.deepEqual(obs.filter(o => o.series === treasuryKey("10 Yr")).map(o => o.date), ["2024-01-03", "2024-01-05"]);
+    assert.equal(seriesLabel("tsy:10 Yr"), "10 Yr Treasury");
+    assert.equal(seriesLabel("pmms30"), "30-year fixed (PMMS)");
+  });
+
+  test("normalizes PMMS dates and drops unreadable points", () => {
+    const obs = seriesObservations("pmms30", [
+      { date: "January 4, 2024", value: 6.62 },
+      { date: "01/11/2024", value: "6.66" },
+      { date: "soon", value: 7 },
+      { date: "2024-01-18", value: null }
+    ]);
+    assert.deepEqual(obs, [
+      { series: "pmms30", date: "2024-01-04", value: 6.62 },
+      { series: "pmms30", date: "2024-01-11", value: 6.66 }
+    ]);
+  });
+
+  test("one observation per series and date", () => {
+    const obs = uniqueObservations([
+      { series: "pmms30", date: "2024-01-04", value: 6.6 },
+      { series: "pmms15", date: "2024-01-04", value: 5.9 },
+      { series: "pmms30", date: "2024-01-04", value: 6.62 }
+    ]);
+    assert.equal(obs.length, 2);
+    assert.equal(obs.find(o => o.series === "pmms30").value, 6.62);
+  });
+});
+
+describe("rate history trends", () => {
+  // Weekly points for two years (PMMS-style), rising 1 bp a week.
+  const weekly = Array.from({ length: 105 }, (_, i) => {
+    const d = new Date(Date.UTC(2022, 0, 6 + 7 * i));
+    return { date: d.toISOString().slice(0, 10), value: 5 + i / 100 };
+  });
+
+  test("windows end at the latest date", () => {
+    const year = windowSeries(weekly, 1);
+    assert.equal(year.at(-1), weekly.at(-1));
+    assert.ok(year[0].date >= "2023-01-04");
+    assert.equal(windowSeries(weekly, 10).length, weekly.length);
+    assert.deepEqual(windowSeries([], 1), []);
+  });
+
+  test("week-over-week and year-over-year changes in basis points", () => {
+    const c = rateChanges(weekly);
+    assert.equal(c.latest, weekly.at(-1));
+    assert.equal(c.wowBps, 1);
+    assert.equal(c.weekAgo, weekly.at(-2));
+    // A year before Jan 4, 2024 has no point; Dec 29, 2022 (53 weeks back) stands in.
+    assert.equal(c.yearAgo.date, "2022-12-29");
+    assert.equal(c.yoyBps, 53);
+  });
+
+  test("daily data falls back to the prior business day", () => {
+    const daily = [
+      { date: "2024-01-05", value: 4.05 }, // Friday
+      { date: "2024-01-11", value: 3.98 },
+      { date: "2024-01-12", value: 3.94 }  // Friday; a week earlier is Jan 5
+    ];
+    const c = rateChanges(daily);
+    assert.equal(c.wowBps, -11);
+    assert.equal(c.yoyBps, null);
+    assert.equal(rateChanges([]).latest, null);
+  });
+
+  test("no IndexedDB means no store", async () => {
+    assert.equal(await openRateHistory(undefined), null);
+  });
+});
@@ -0,0 +1,230 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+
+import {
+  RATE_SOURCES,
+  SOURCE_DEFAULTS,
+  STALE_FACTOR,
+  parsePMMS,
+  pmmsLatest,
+  parseCustomSeries,
+  proxiedURL,
+  sourceSettings,
+  loadSourceSettings,
+  saveSourceSettings,
+  createMemoryCache,
+  createStorageCache,
+  loadSource,
+  describeSourceError
+} from "../ratesources.js";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+describe("rate source parsers", () => {
+  test("PMMS JSON feed in either layout", () => {
+    const feed = parsePMMS(fixture("pmms.json"));
+    assert.deepEqual(pmmsLatest(feed, "30"), { rate: 6.3, date: "2025-09-25" });
+    // The blank 15-year value in the last week is skipped.
+    assert.deepEqual(pmmsLatest(feed, "15"), { rate: 5.41, date: "2025-09-18" });
+
+    const series = parsePMMS(fixture("pmms_series.json"));
+    assert.deepEqual(pmmsLatest(series, "15"), { rate: 5.49, date: "09/25/2025" });
+  });
+
+  test("PMMS page HTML", () => {
+    const page = parsePMMS(fixture("pmms.html"));
+    assert.deepEqual(pmmsLatest(page, "30"), { rate: 6.3, date: "September 25, 2025" });
+    assert.deepEqual(pmmsLatest(page, "15"), { rate: 5.49, date: "September 25, 2025" });
+    assert.equal(parsePMMS("<html>maintenance</html>"), null);
+    assert.equal(parsePMMS('{"unexpected": true}'), null);
+  });
+
+  test("Treasury CSV", () => {
+    const parsed = RATE_SOURCES.treasury.parse(fixture("yield-2025.csv"));
+    assert.equal(parsed.rows.length, 3);
+    assert.equal(parsed.rows[0]["10 Yr"], "4.18");
+    assert.equal(RATE_SOURCES.treasury.parse(fixture("pmms.html")), null);
+  });
+
+  test("custom CSV finds the date and value columns", () => {
+    const series = parseCustomSeries(fixture("custom.csv"));
+    assert.deepEqual(series.map(p => p.date), ["2025-09-04", "2025-09-11", "2025-09-18", "2025-09-25"]);
+    assert.equal(series.at(-1).value, 6.3);
+  });
+
+  test("custom JSON: FRED observations and plain records", () => {
+    const fred = parseCustomSeries(fixture("fred.json"));
+    assert.equal(fred.length, 3); // "." is FRED's missing value
+    assert.deepEqual(fred.at(-1), { date: "2025-09-26", value: 4.18 });
+
+    const records = parseCustomSeries('[{"date":"01/05/2024","rate":"7.1"},{"date":"01/12/2024","rate":"7.0"}]');
+    assert.deepEqual(records, [{ date: "2024-01-05", value: 7.1 }, { date: "2024-01-12", value: 7 }]);
+
+    assert.equal(parseCustomSeries(fixture("custom.csv"), "json"), null);
+    assert.equal(parseCustomSeries("{ not json"), null);
+  });
+});
+
+describe("rate source settings", () => {
+  const memoryStorage = () => {
+    const items = new Map();
+    return {
+      getItem: (k) => (items.has(k) ? items.get(k) : null),
+      setItem: (k, v) => { items.set(k, String(v)); },
+      removeItem: (k) => { items.delete(k); },
+      key: (i) => [...items.keys()][i] ?? null,
+      get length() { return items.size; }
+    };
+  };
+
+  test("defaults fill in and TTLs are numbers", () => {
+    const s = sourceSettings({ treasury: { endpoint: "http://localhost/y-{year}.csv", ttlMinutes: "" } }, "treasury");
+    assert.equal(s.endpoint, "http://localhost/y-{year}.csv");
+    assert.equal(s.proxy, SOURCE_DEFAULTS.treasury.proxy);
+    assert.equal(s.ttlMinutes, SOURCE_DEFAULTS.treasury.ttlMinutes);
+    assert.equal(sourceSettings({}, "pmms").ttlMinutes, SOURCE_DEFAULTS.pmms.ttlMinutes);
+  });
+
+  test("settings and cached responses round-trip through storage", () => {
+    const storage = memoryStorage();
+    assert.deepEqual(loadSourceSettings(storage), {});
+    saveSourceSettings({ pmms: { proxy: "" } }, storage);
+    assert.deepEqual(loadSourceSettings(storage), { pmms: { proxy: "" } });
+
+    const cache = createStorageCache(storage);
+    cache.set("pmms:x", { url: "x", text: "{}", fetchedAt: 1 });
+    assert.deepEqual(cache.get("pmms:x"), { url: "x", text: "{}", fetchedAt: 1 });
+    cache.clear();
+    assert.equal(cache.get("pmms:x"), null);
+    assert.ok(loadSourceSettings(storage).pmms, "clearing the cache keeps the settings");
+  });
+
+  test("proxies are a prefix or a {url} template", () => {
+    assert.equal(proxiedURL("https://proxy.example/", "https://a.gov/x?y=1"), "https://proxy.example/https://a.gov/x?y=1");
+    assert.equal(proxiedURL("http://localhost:8080/fetch?url={url}", "https://a.gov/x"), "http://localhost:8080/fetch?url=https%3A%2F%2Fa.gov%2Fx");
+    assert.equal(proxiedURL("", "https://a.gov/x"), null);
+  });
+});
+
+// A local stand-in for the rate sites: fixtures by name, error statuses,
+// a slow route and a pass-through proxy.
+describe("loadSource against a local server", () => {
+  let server;
+  let base;
+  const hits = new Map();
+
+  before(async () => {
+    server = createServer((req, res) => {
+      const url = new URL(req.url, "http://localhost");
+      hits.set(url.pathname, (hits.get(url.pathname) || 0) + 1);
+      if (url.pathname === "/proxy") {
+        const target = new URL(url.searchParams.get("url"));
+        res.end(fixture(target.pathname.slice(1)));
+      } else if (url.pathname.startsWith("/status/")) {
+        res.statusCode = Number(url.pathname.slice(8));
+        res.end("error");
+      } else if (url.pathname === "/slow") {
+        setTimeout(() => res.end(fixture("pmms.json")), 300);
+      } else {
+        try {
+          res.end(fixture(url.pathname.slice(1)));
+        } catch {
+          res.statusCode = 404;
+          res.end("not found");
+        }
+      }
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const settingsFor = (id, extra) => ({ ...SOURCE_DEFAULTS[id], proxy: "", ...extra });
+
+  test("a local endpoint replaces the public URLs", async () => {
+    const r = await loadSource(RATE_SOURCES.pmms, { settings: settingsFor("pmms", { endpoint: `${base}/pmms.html` }) });
+    assert.equal(r.from, "network");
+    assert.equal(r.url, `${base}/pmms.html`);
+    assert.equal(pmmsLatest(r.data, "30").rate, 6.3);
+  });
+
+  test("Treasury endpoints take the year", async () => {
+    const settings = settingsFor("treasury", { endpoint: `${base}/yield-{year}.csv` });
+    const r = await loadSource(RATE_SOURCES.treasury, { settings, params: { year: 2025 } });
+    assert.equal(r.url, `${base}/yield-2025.csv`);
+    assert.equal(r.data.rows.length, 3);
+  });
+
+  test("falls back to the proxy when the direct request fails", async () => {
+    const settings = settingsFor("custom", { endpoint: "http://127.0.0.1:9/custom.csv", proxy: `${base}/proxy?url={url}` });
+    const r = await loadSource(RATE_SOURCES.custom, { settings });
+    assert.ok(r.url.startsWith(`${base}/proxy?url=`));
+    assert.equal(r.data.length, 4);
+  });
+
+  test("errors carry a reason, the status and every attempt", async () => {
+    const settings = settingsFor("pmms", { endpoint: `${base}/status/503`, proxy: `${base}/status/429?url={url}` });
+    await assert.rejects(loadSource(RATE_SOURCES.pmms, { settings }), (err) => {
+      assert.equal(err.reason, "http");
+      assert.equal(err.status, 429);
+      assert.deepEqual(err.attempts.map(a => a.status), [503, 429]);
+      assert.match(describeSourceError(err), /HTTP 429/);
+      return true;
+    });
+
+    await assert.rejects(
+      loadSource(RATE_SOURCES.treasury, { settings: settingsFor("treasury", { endpoint: `${base}/pmms.html` }) }),
+      { reason: "parse" }
+    );
+    await assert.rejects(
+      loadSource(RATE_SOURCES.pmms, { settings: settingsFor("pmms", { endpoint: `${base}/slow` }), timeoutMs: 50 }),
+      { reason: "timeout" }
+    );
+    await assert.rejects(
+      loadSource(RATE_SOURCES.pmms, { settings: settingsFor("pmms", { endpoint: "http://127.0.0.1:9/pmms.json" }) }),
+      { reason: "network" }
+    );
+    await assert.rejects(loadSource(RATE_SOURCES.custom, { settings: settingsFor("custom") }), { reason: "config" });
+  });
+
+  test("cache: fresh, stale while revalidating, and stale on error", async () => {
+    const cache = createMemoryCache();
+    let clock = 0;
+    const now = () => clock;
+    const settings = settingsFor("custom", { endpoint: `${base}/fred.json`, ttlMinutes: 10 });
+    const load = (s = settings) => loadSource(RATE_SOURCES.custom, { settings: s, cache, now });
+    const served = () => hits.get("/fred.json") || 0;
+
+    assert.equal((await load()).from, "network");
+    assert.equal(served(), 1);
+
+    clock = 5 * 60000;
+    const fresh = await load();
+    assert.equal(fresh.from, "cache");
+    assert.equal(fresh.fetchedAt, 0);
+    assert.equal(served(), 1);
+
+    clock = 20 * 60000;
+    const stale = await load();
+    assert.equal(stale.from, "stale");
+    const revalidated = await stale.revalidated;
+    assert.equal(revalidated.from, "network");
+    assert.equal(revalidated.fetchedAt, clock);
+    assert.equal(served(), 2);
+
+    // Too old to serve first; the refetch fails, so the cached copy stands in.
+    clock += 10 * 60000 * STALE_FACTOR;
+    const down = { ...settings, endpoint: `${base}/status/500` };
+    cache.set(`custom:${down.endpoint}`, cache.get(`custom:${settings.endpoint}`));
+    const fallback = await load(down);
+    assert.equal(fallback.from, "stale");
+    assert.equal(fallback.error.reason, "http");
+    assert.equal(fallback.data.length, 3);
+  });
+});
@@ -0,0 +1,75 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { nextMonthKey, episodeValues, replayAprPath } from "../replay.js";
+import { runStressPath, monthlyPayment } from "../finance.js";
+
+const dataset = JSON.parse(
+  readFileSync(new URL("../data/rate_history_monthly.json", import.meta.url), "utf8")
+);
+
+const near = (actual, expected, tol = 0.01) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected} ± ${tol}, got ${actual}`);
+
+describe("rate history dataset", () => {
+  test("is versioned and covers every episode month for every series", () => {
+    assert.match(dataset.version, /^\d+\.\d+\.\d+$/);
+    for (const episode of dataset.episodes) {
+      for (const key of Object.keys(dataset.series)) {
+        assert.doesNotThrow(() => episodeValues(dataset, episode, key), `${episode.id} / ${key}`);
+      }
+    }
+  });
+
+  test("nextMonthKey rolls over the year", () => {
+    assert.equal(nextMonthKey("2022-09"), "2022-10");
+    assert.equal(nextMonthKey("2022-12"), "2023-01");
+  });
+});
+
+describe("replayAprPath", () => {
+  const tiny = {
+    series: { x: { label: "X", values: { "2022-11": 3, "2022-12": 4.5, "2023-01": 2 } } },
+    episodes: [{ id: "e", label: "E", start: "2022-11", end: "2023-01" }]
+  };
+
+  test("shifts the user's APR by the series' change since the first month", () => {
+    const r = replayAprPath(tiny, "e", "x", 6);
+    assert.deepEqual(r.months, ["2022-11", "2022-12", "2023-01"]);
+    assert.deepEqual(r.aprPath, [6, 7.5, 5]);
+    assert.equal(r.maxRise, 1.5);
+    assert.equal(r.endChange, -1);
+  });
+
+  test("never goes below zero", () => {
+    assert.deepEqual(replayAprPath(tiny, "e", "x", 0.5).aprPath, [0.5, 2, 0]);
+  });
+
+  test("rejects unknown episodes and gaps", () => {
+    assert.throws(() => replayAprPath(tiny, "nope", "x", 6), /Unknown replay/);
+    const gap = { ...tiny, series: { x: { label: "X", values: { "2022-11": 3 } } } };
+    assert.throws(() => replayAprPath(gap, "e", "x", 6), /no value for 2022-12/);
+  });
+
+  test("2022–23 mortgage replay raises a 3% loan's rate by several points", () => {
+    const r = replayAprPath(dataset, "2022-23", "pmms30", 3);
+    assert.equal(r.aprPath.length, 24);
+    assert.equal(r.aprPath[0], 3);
+    assert.ok(r.maxRise > 3);
+  });
+});
+
+describe("runStressPath", () => {
+  test("follows the path, then holds the last rate", () => {
+    const out = runStressPath({
+      principal: 200000, startApr: 6, termMonths: 360, aprPath: [6, 7, 8]
+    });
+    assert.deepEqual(out.rows.slice(0, 4).map(r => r.apr), [6, 7, 8, 8]);
+    assert.equal(out.rows.at(-1).apr, 8);
+    near(out.rows[0].payment, monthlyPayment(200000, 6, 30));
+    assert.equal(out.peakRate, 8);
+    assert.equal(out.peakMonth, 3);
+    near(out.rows.at(-1).balance, 0);
+  });
+});
@@ -0,0 +1,108 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import { reportSections, sectionText, writeReportPDF } from "../report.js";
+import { amortSchedule, creditCardSchedule, refinanceAnalysis } from "../finance.js";
+
+const mortgage = (over = {}) => ({
+  generated: new Date(2024, 0, 15),
+  preparer: "  Jordan Lee ",
+  note: "",
+  loanType: "mortgage",
+  principal: 300000,
+  years: 30,
+  apr: 6,
+  aprNew: 6.5,
+  extra: 0,
+  base: amortSchedule(300000, 6, 30),
+  next: amortSchedule(300000, 6.5, 30),
+  tax: 6000,
+  ins: 1200,
+  hoa: 50,
+  ...over
+});
+
+// Records what writeReportPDF draws; enough of the jsPDF surface for layout.
+function fakeDoc() {
+  const doc = {
+    pages: [[]],
+    current: 0,
+    internal: { pageSize: { getWidth: () => 612, getHeight: () => 792 } },
+    setFont() {},
+    setFontSize() {},
+    text(t, x, y) {
+      assert.ok(y <= 792, `text drawn off the page at y=${y}`);
+      doc.pages[doc.current].push(String(t));
+    },
+    addImage(...args) { doc.pages[doc.current].push(`[image ${args[0]}]`); },
+    addPage() { doc.pages.push([]); doc.current = doc.pages.length - 1; },
+    getNumberOfPages: () => doc.pages.length,
+    setPage(i) { doc.current = i - 1; },
+    splitTextToSize: (s) => s.match(/.{1,80}/g),
+  };
+  return doc;
+}
+
+describe("reportSections", () => {
+  test("covers inputs, results, PITI and the scenario table", () => {
+    const r = reportSections(mortgage());
+    assert.equal(r.preparer, "Jordan Lee");
+    assert.deepEqual(r.inputs[0], ["Loan type", "Mortgage"]);
+    assert.ok(r.inputs.some(([k, v]) => k === "Scenario APR" && v.includes("+0.50 pts")));
+    assert.ok(r.piti.some(([k, v]) => k === "Add-ons total" && v === "$650"));
+    assert.equal(r.scenarios.rows.length, 2);
+    assert.equal(r.refi, null);
+    assert.equal(r.schedule.length, 360);
+  });
+
+  test("credit cards describe the payment style and skip PITI", () => {
+    const cc = { mode: "fixed", fixedPayment: 200, minPct: 1, minFloor: 25 };
+    const r = reportSections(mortgage({
+      loanType: "creditcard", principal: 4000, apr: 24, aprNew: 25, cc,
+      base: creditCardSchedule(4000, 24, cc), next: creditCardSchedule(4000, 25, cc)
+    }));
+    assert.ok(r.inputs.some(([k, v]) => k === "Payment style" && v.startsWith("Fixed")));
+    assert.equal(r.piti, null);
+  });
+
+  test("includes the refinance analysis when present", () => {
+    const analysis = refinanceAnalysis({
+      principal: 300000, apr: 6, years: 30, extra: 0,
+      newApr: 5, newYears: 30, closingCosts: 5000, costMode: "upfront", keepMonths: 84
+    });
+    const r = reportSections(mortgage({
+      refi: { newApr: 5, newYears: 30, closingCosts: 5000, costMode: "upfront", keepYears: 7, analysis }
+    }));
+    assert.match(sectionText(r.refi), /Break-even: Month \d+/);
+  });
+
+  test("names the APR source when the rate came from the Rates page", () => {
+    const source = "Freddie Mac PMMS 30-year fixed 6.30% (Sep 25, 2025) + 0.25 pts";
+    assert.ok(reportSections(mortgage({ rateSource: source })).inputs.some(([k, v]) => k === "APR source" && v === source));
+    assert.ok(!reportSections(mortgage()).inputs.some(([k]) => k === "APR source"));
+  });
+});
+
+describe("writeReportPDF", () => {
+  test("lays out the report, chart images and a paginated schedule appendix", () => {
+    const doc = fakeDoc();
+    const r = reportSections(mortgage({ note: "Prepared for the Smith family." }));
+    writeReportPDF(doc, r, [{ title: "Balance", dataUrl: "data:chart", width: 800, height: 400 }]);
+
+    const all = doc.pages.flat();
+    assert.ok(all.includes("Prepared by Jordan Lee"));
+    assert.ok(all.includes("Prepared for the Smith family."));
+    assert.ok(all.includes("[image data:chart]"));
+    assert.ok(all.includes("Total monthly housing cost (PITI)"));
+
+    // Every schedule month appears once, and each appendix page repeats the header.
+    const appendixStart = doc.pages.findIndex(p => p.includes("Appendix: amortization schedule (baseline)"));
+    const appendix = doc.pages.slice(appendixStart);
+    assert.ok(appendix.length > 1);
+    assert.ok(appendix.every(p => p.includes("Balance") && p.includes("Month")));
+    assert.ok(appendix.flat().includes("360"));
+
+    const n = doc.pages.length;
+    doc.pages.forEach((p, i) => assert.ok(p.at(-1).endsWith(`Page ${i + 1} of ${n}`)));
+  });
+});
@@ -0,0 +1,107 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  PATH_COLUMNS,
+  BAND_COLUMNS,
+  isResetRow,
+  exportableConfig,
+  stressScheduleCSV,
+  stressScheduleJSON,
+  stressSummaryText
+} from "../stressexport.js";
+import { runStressSteps, runStressARM } from "../finance.js";
+
+const stepsCfg = {
+  principal: 200000, startApr: 6, termMonths: 360,
+  stepSize: 0.5, everyMonths: 3, durationMonths: 12, capApr: NaN
+};
+
+describe("isResetRow", () => {
+  test("uses the ARM engine's reset flag", () => {
+    const out = runStressARM({
+      principal: 200000, startApr: 5, termMonths: 360,
+      fixedYears: 1, adjustEveryMonths: 12,
+      indexMode: "constant", indexValue: 2.25, margin: 2.75,
+      periodicCap: NaN, lifetimeCapAboveStart: NaN, floorApr: NaN
+    });
+    // The 12-month reset lands on the same APR but is still a reset.
+    assert.equal(isResetRow(out.rows, 12), true);
+    assert.equal(isResetRow(out.rows, 13), false);
+  });
+
+  test("falls back to APR changes for rate paths", () => {
+    const rows = runStressSteps(stepsCfg).rows;
+    const resets = rows.map((r, i) => isResetRow(rows, i) ? r.month : null).filter(Boolean);
+    assert.deepEqual(resets, [3, 6, 9, 12]);
+  });
+});
+
+describe("exportableConfig", () => {
+  test("drops callbacks and turns NaN into null", () => {
+    const cfg = exportableConfig({ a: 1, b: NaN, lookup: () => 1, list: [1, 2] });
+    assert.deepEqual(cfg, { a: 1, b: null, list: [1, 2] });
+  });
+});
+
+describe("stressScheduleCSV / stressScheduleJSON", () => {
+  const rows = runStressSteps(stepsCfg).rows;
+  const meta = {
+    generated: "2024-01-01T00:00:00.000Z",
+    mode: "steps",
+    preset: undefined,
+    config: exportableConfig(stepsCfg),
+    summary: { worstPayment: 1500.5, risk: "Moderate" }
+  };
+
+  test("CSV puts the config in comment lines above one row per month", () => {
+    const lines = stressScheduleCSV(meta, PATH_COLUMNS, rows).trim().split("\n");
+    const header = lines.findIndex(l => l.startsWith("Month,"));
+    assert.ok(lines.slice(0, header).every(l => l.startsWith("# ")));
+    assert.ok(lines.includes("# mode: steps"));
+    assert.ok(lines.includes("# config.capApr: "));
+    assert.ok(lines.includes("# summary.risk: Moderate"));
+    assert.ok(!lines.some(l => l.startsWith("# preset")));
+    assert.equal(lines.length - header - 1, rows.length);
+    assert.equal(lines[header + 3].split(",").at(-1), "yes");
+    assert.equal(lines[header + 1].split(",")[1], "6");
+  });
+
+  test("JSON keeps every row plus the metadata", () => {
+    const parsed = JSON.parse(stressScheduleJSON(meta, PATH_COLUMNS, rows));
+    assert.equal(parsed.rows.length, rows.length);
+    assert.equal(parsed.config.capApr, null);
+    assert.equal(parsed.rows[2].reset, true);
+    assert.equal(parsed.rows[2].apr, 6.5);
+  });
+
+  test("band rows flatten their percentiles", () => {
+    const bands = [{ month: 1, apr: { p5: 5, p50: 6, p95: 7 }, payment: { p5: 1, p50: 2, p95: 3 } }];
+    const csv = stressScheduleCSV({ mode: "montecarlo" }, BAND_COLUMNS, bands);
+    assert.ok(csv.endsWith("Month,APR p5,APR p50,APR p95,Payment p5,Payment p50,Payment p95\n1,5,6,7,1,2,3\n"));
+    assert.equal(JSON.parse(stressScheduleJSON({}, BAND_COLUMNS, bands)).rows[0]["payment.p95"], 3);
+  });
+
+  test("dated rows add a Date column", () => {
+    const dated = rows.map((r, i) => ({ ...r, date: i === 0 ? "2025-03-01" : "2025-04-01" })).slice(0, 2);
+    const csv = stressScheduleCSV({}, PATH_COLUMNS, dated).trim().split("\n");
+    assert.ok(csv[1].startsWith("Month,Date,APR,"));
+    assert.equal(csv[2].split(",")[1], "2025-03-01");
+    assert.equal(JSON.parse(stressScheduleJSON({}, PATH_COLUMNS, dated)).rows[1].date, "2025-04-01");
+  });
+});
+
+describe("stressSummaryText", () => {
+  test("lists worst payment, worst month, peak rate and risk", () => {
+    const text = stressSummaryText({
+      worstPayment: "$1,500", worstMonth: 13, peakRate: "8.00%", peakMonth: 10, risk: "High"
+    });
+    assert.equal(text, [
+      "RateSense Stress Test",
+      "Worst payment: $1,500",
+      "Worst month: 13",
+      "Peak rate: 8.00% (month 10)",
+      "Risk rating: High"
+    ].join("\n"));
+  });
+});
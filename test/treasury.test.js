@@ -0,0 +1,89 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  parseTreasuryCSV,
+  findLastValidTreasuryRow,
+  treasuryYield,
+  toISODate,
+  treasurySeries,
+  indexOnOrBefore,
+  treasuryIndexLookup
+} from "../treasury.js";
+import { runStressARM } from "../finance.js";
+
+// Same layout as the Treasury download: newest first, quoted headers.
+const CSV = [
+  'Date,"1 Mo","1 Yr","10 Yr"',
+  "01/03/2023,4.17,4.73,3.79",
+  "07/03/2022,1.28,2.80,2.88",
+  "01/03/2022,0.05,0.40,1.63",
+  "07/01/2021,0.05,,1.48",
+  "01/04/2021,0.09,0.10,0.93",
+].join("\n");
+
+describe("parseTreasuryCSV", () => {
+  test("reads quoted headers and keeps blank cells", () => {
+    const parsed = parseTreasuryCSV(CSV);
+    assert.deepEqual(parsed.headers, ["Date", "1 Mo", "1 Yr", "10 Yr"]);
+    assert.equal(parsed.rows.length, 5);
+    assert.equal(parsed.rows[3]["1 Yr"], "");
+  });
+
+  test("latest valid row is the newest date, not the last line", () => {
+    const parsed = parseTreasuryCSV(CSV);
+    assert.equal(findLastValidTreasuryRow(parsed.rows).Date, "01/03/2023");
+  });
+
+  test("a blank maturity cell has no yield", () => {
+    const rows = parseTreasuryCSV(CSV).rows;
+    assert.equal(treasuryYield(rows[0], "1 Yr"), 4.73);
+    assert.ok(Number.isNaN(treasuryYield(rows[3], "1 Yr")));
+    assert.ok(Number.isNaN(treasuryYield(rows[3], "30 Yr")));
+    assert.ok(Number.isNaN(treasuryYield(null, "1 Yr")));
+  });
+});
+
+describe("dates", () => {
+  test("normalizes Treasury and ISO dates", () => {
+    assert.equal(toISODate("1/4/2021"), "2021-01-04");
+    assert.equal(toISODate("2021-01-04"), "2021-01-04");
+    assert.equal(toISODate("Jan 4"), null);
+    assert.equal(toISODate("December 25, 2025"), "2025-12-25");
+    assert.equal(toISODate("Sept. 4, 2025"), "2025-09-04");
+  });
+});
+
+describe("treasury index series", () => {
+  const series = treasurySeries(parseTreasuryCSV(CSV), "1 Yr");
+
+  test("sorts ascending and skips blank yields", () => {
+    assert.deepEqual(series.map(p => p.date), ["2021-01-04", "2022-01-03", "2022-07-03", "2023-01-03"]);
+  });
+
+  test("uses the last observation on or before a date", () => {
+    assert.equal(indexOnOrBefore(series, "2022-06-30").value, 0.40);
+    assert.equal(indexOnOrBefore(series, "2022-07-03").value, 2.80);
+    assert.equal(indexOnOrBefore(series, "2020-12-31"), null);
+  });
+
+  test("ARM resets read the index observed on each reset date", () => {
+    const out = runStressARM({
+      principal: 200000, startApr: 3, termMonths: 360, simMonths: 48,
+      fixedYears: 1, adjustEveryMonths: 12,
+      indexMode: "treasury_history",
+      indexLookup: treasuryIndexLookup(series, "2021-01-04"),
+      indexValue: NaN, margin: 2.5,
+      periodicCap: NaN, lifetimeCapAboveStart: NaN, floorApr: NaN
+    });
+    assert.deepEqual(out.resets.map(r => r.date), ["2022-01-04", "2023-01-04", "2024-01-04"]);
+    assert.deepEqual(out.resets.map(r => r.index), [0.40, 4.73, 4.73]);
+    near(out.rows[12].apr, 2.9);
+    assert.equal(out.rows[12].reset, true);
+    assert.deepEqual(out.resets.map(r => r.stale), [false, false, true]);
+  });
+});
+
+function near(actual, expected, tol = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected}, got ${actual}`);
+}
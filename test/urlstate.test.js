@@ -0,0 +1,126 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  URL_STATE_VERSION,
+  PAGE_SCHEMAS,
+  defaultState,
+  validateField,
+  encodeState,
+  decodeState,
+  cleanFields
+} from "../urlstate.js";
+
+describe("validateField", () => {
+  const [num, enm, date] = [
+    PAGE_SCHEMAS.calculator.apr,
+    PAGE_SCHEMAS.calculator.loanType,
+    PAGE_SCHEMAS.stress.armStartDate
+  ];
+
+  test("accepts in-range numbers as typed and blanks", () => {
+    assert.equal(validateField(num, "6.50"), "6.50");
+    assert.equal(validateField(num, ""), "");
+    assert.equal(validateField(num, "-1"), null);
+    assert.equal(validateField(num, "abc"), null);
+  });
+
+  test("checks enums and dates", () => {
+    assert.equal(validateField(enm, "creditcard"), "creditcard");
+    assert.equal(validateField(enm, "boat"), null);
+    assert.equal(validateField(date, "2021-06-01"), "2021-06-01");
+    assert.equal(validateField(date, "06/01/2021"), null);
+    assert.equal(validateField(date, "2021-02-30"), null);
+  });
+});
+
+describe("encodeState / decodeState", () => {
+  test("round-trips every calculator input", () => {
+    const values = {
+      ...defaultState("calculator"),
+      loanType: "creditcard", principal: "4000", apr: "24.99",
+      delta: "custom", customDelta: "1.75",
+      ccMode: "fixed", ccFixedPayment: "200", ccMinPct: "2", ccMinFloor: "35",
+      refiCostMode: "rolled"
+    };
+    const query = encodeState("calculator", values);
+    assert.ok(query.startsWith(`v=${URL_STATE_VERSION}&`));
+    const state = decodeState("calculator", "?" + query);
+    assert.equal(state.present, true);
+    assert.equal(state.migrated, false);
+    assert.deepEqual(state.values, values);
+  });
+
+  test("omits defaults to keep links short", () => {
+    assert.equal(encodeState("stress", defaultState("stress")), `v=${URL_STATE_VERSION}`);
+    assert.equal(decodeState("stress", `?v=${URL_STATE_VERSION}`).present, false);
+  });
+
+  test("round-trips both compare loans and stress text fields", () => {
+    const compare = { ...defaultState("compare"), aP: "300000", bType: "auto", bHoa: "" };
+    assert.deepEqual(decodeState("compare", encodeState("compare", compare)).values, compare);
+
+    const stress = {
+      ...defaultState("stress"),
+      stMode: "arm",
+      armIndexSchedule: "4.8, 5.1\n5.3",
+      stGsVary: "margin",
+      stGsOutput: "risk:High",
+      stGsTarget: "2500"
+    };
+    assert.deepEqual(decodeState("stress", encodeState("stress", stress)).values, stress);
+  });
+
+  test("falls back to defaults for bad values and reports them", () => {
+    const state = decodeState("calculator", "?v=2&principal=-5&loanType=boat&apr=6");
+    assert.equal(state.values.principal, "");
+    assert.equal(state.values.loanType, "mortgage");
+    assert.equal(state.values.apr, "6");
+    assert.deepEqual(state.invalid, ["loanType", "principal"]);
+  });
+
+  test("ignores parameters that belong to other pages", () => {
+    assert.equal(decodeState("compare", "?v=2&principal=1000").present, false);
+  });
+});
+
+describe("cleanFields", () => {
+  test("validates a handoff and keeps only this page's fields", () => {
+    const { values, invalid } = cleanFields("stress", {
+      stMode: "arm",
+      armIndexValue: "4.18",
+      armIndexRateSource: "10 Yr Treasury yield 4.18% (Sep 26, 2025)",
+      armIndexMode: "sideways",
+      apr: "6.5"
+    });
+    assert.deepEqual(values, {
+      stMode: "arm",
+      armIndexValue: "4.18",
+      armIndexRateSource: "10 Yr Treasury yield 4.18% (Sep 26, 2025)"
+    });
+    assert.deepEqual(invalid, ["armIndexMode"]);
+    assert.deepEqual(cleanFields("stress", null), { values: {}, invalid: [] });
+  });
+});
+
+describe("v1 migration", () => {
+  test("maps the calculator's p/apr/term/delta", () => {
+    const state = decodeState("calculator", "?p=350000&apr=6.5&term=30&delta=0.50");
+    assert.equal(state.version, 1);
+    assert.equal(state.migrated, true);
+    assert.equal(state.values.principal, "350000");
+    assert.equal(state.values.termYears, "30");
+    assert.equal(state.values.delta, "0.50");
+    assert.equal(state.values.extraPayment, "0");
+  });
+
+  test("maps stress p/apr/term/extra and re-encodes as the current version", () => {
+    const state = decodeState("stress", "?p=200000&apr=5&term=15&extra=100");
+    assert.equal(state.values.stPrincipal, "200000");
+    assert.equal(state.values.stExtra, "100");
+    assert.equal(
+      encodeState("stress", state.values),
+      `v=${URL_STATE_VERSION}&stBaseApr=5&stPrincipal=200000&stTermYears=15&stExtra=100`
+    );
+  });
+});
@@ -0,0 +1,92 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  CURVE_MATURITIES,
+  curveOn,
+  curveSnapshots,
+  curveSpreads,
+  mortgageSpread,
+  estimateMortgageRate
+} from "../yieldcurve.js";
+
+const near = (actual, expected, tol = 0.01) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} not within ${tol} of ${expected}`);
+
+// Weekly points from Jan 5, 2023 for ~15 months.
+const weekly = (start, step) => Array.from({ length: 66 }, (_, i) => {
+  const d = new Date(Date.UTC(2023, 0, 5 + 7 * i));
+  return { date: d.toISOString().slice(0, 10), value: start + step * i };
+});
+
+describe("yield curve snapshots", () => {
+  const series = {
+    "3 Mo": weekly(4.6, 0.01),
+    "2 Yr": weekly(4.4, 0),
+    "10 Yr": weekly(3.6, 0.01)
+  };
+
+  test("latest curve has every maturity, null where nothing was saved", () => {
+    const latest = curveOn(series, "2024-04-04");
+    assert.equal(latest.points.length, CURVE_MATURITIES.length);
+    assert.equal(latest.date, "2024-04-04");
+    near(latest.points.find(p => p.maturity === "10 Yr").value, 4.25);
+    assert.equal(latest.points.find(p => p.maturity === "30 Yr").value, null);
+  });
+
+  test("stale observations are left off the curve", () => {
+    const curve = curveOn({ "10 Yr": [{ date: "2024-01-02", value: 4 }] }, "2024-02-01");
+    assert.equal(curve.date, null);
+    assert.ok(curve.points.every(p => p.value === null));
+  });
+
+  test("overlays look back 1, 3 and 12 months; missing ones are null", () => {
+    const snaps = curveSnapshots(series);
+    assert.equal(snaps.latest.date, "2024-04-04");
+    assert.deepEqual(snaps.overlays.map(o => o.date), ["2024-02-29", "2024-01-04", "2023-03-30"]);
+
+    const short = curveSnapshots({ "10 Yr": series["10 Yr"].slice(-10) });
+    assert.equal(short.overlays[2], null);
+    assert.equal(curveSnapshots({}), null);
+  });
+
+  test("spreads in basis points flag an inverted curve", () => {
+    const s = curveSpreads(curveOn(series, "2024-04-04"));
+    assert.equal(s.s2s10, -15);
+    assert.equal(s.s3m10y, -100);
+    assert.equal(s.inverted2s10, true);
+    assert.equal(s.inverted3m10y, true);
+
+    const normal = curveSpreads(curveOn({ "2 Yr": [{ date: "2024-04-04", value: 4 }], "10 Yr": [{ date: "2024-04-04", value: 4.5 }] }, "2024-04-04"));
+    assert.equal(normal.s2s10, 50);
+    assert.equal(normal.inverted2s10, false);
+    assert.equal(normal.s3m10y, null);
+    assert.equal(normal.inverted3m10y, false);
+  });
+});
+
+describe("mortgage rate estimate", () => {
+  const ten = weekly(3.6, 0.01);
+
+  test("uses the saved PMMS gap when there is enough history", () => {
+    const pmms = ten.map(p => ({ date: p.date, value: p.value + 2.5 }));
+    const spread = mortgageSpread(pmms, ten);
+    near(spread.spread, 2.5);
+    assert.equal(spread.pairs, 53);
+
+    const est = estimateMortgageRate(4.25, 30, spread);
+    near(est.rate, 6.75);
+    assert.equal(est.basis, "saved");
+  });
+
+  test("falls back to the long-run spread", () => {
+    const few = ten.slice(-4).map(p => ({ date: p.date, value: p.value + 2.5 }));
+    assert.equal(mortgageSpread(few, ten), null);
+    assert.equal(mortgageSpread([], ten), null);
+
+    const est30 = estimateMortgageRate(4.25, 30, null);
+    near(est30.rate, 5.95);
+    assert.equal(est30.basis, "longRun");
+    near(estimateMortgageRate(4.25, 15).rate, 5.35);
+  });
+});
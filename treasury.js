@@ -0,0 +1,143 @@
+/* =========================================================
+   Treasury yield-curve data
+   =========================================================
+   Parses the U.S. Treasury "Daily Treasury Yield Curve Rates"
+   CSV (Date, 1 Mo, 2 Mo, ..., 30 Yr) and turns one maturity
+   column into a date-sorted index series. Pure functions:
+   used by the Rates page (latest value) and the stress test
+   (ARM resets driven by history).
+========================================================= */
+import { safeNum } from "./finance.js";
+import { addMonthsISO, daysBetweenISO } from "./calendar.js";
+
+export function parseTreasuryCSV(csvText) {
+  const lines = csvText.split(/\r?\n/).filter(Boolean);
+  if (lines.length < 2) return null;
+
+  const headers = splitCSVLine(lines[0]);
+  const rows = [];
+
+  for (let i = 1; i < lines.length; i++) {
+    const cols = splitCSVLine(lines[i]);
+    if (cols.length !== headers.length) continue;
+    const obj = {};
+    headers.forEach((h, idx) => obj[h] = cols[idx]);
+    rows.push(obj);
+  }
+  return { headers, rows };
+}
+
+export function splitCSVLine(line) {
+  // basic CSV split that handles quoted commas
+  const out = [];
+  let cur = "";
+  let inQ = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      inQ = !inQ;
+    } else if (ch === "," && !inQ) {
+      out.push(cur.trim().replace(/^"|"$/g, ""));
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur.trim().replace(/^"|"$/g, ""));
+  return out;
+}
+
+// Treasury files list the newest date first, so "last" means latest date,
+// not last line.
+export function findLastValidTreasuryRow(rows) {
+  let best = null;
+  let bestDate = "";
+  for (const r of rows) {
+    // Check any common maturity exists to confirm row is usable
+    const y10 = safeNum(r["10 Yr"], NaN);
+    const iso = toISODate(r.Date);
+    if (isFinite(y10) && iso && iso > bestDate) {
+      best = r;
+      bestDate = iso;
+    }
+  }
+  return best;
+}
+
+// One maturity's yield from a CSV row; NaN when the cell is blank.
+export function treasuryYield(row, maturity) {
+  return safeNum(row?.[maturity], NaN);
+}
+
+/* =========================================================
+   Dates
+   ========================================================= */
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// "01/31/2024" (Treasury CSV), "January 31, 2024" (PMMS page) or
+// "2024-01-31" → "2024-01-31"
+export function toISODate(s) {
+  if (!s) return null;
+  let m = String(s).trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = String(s).trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (m) return `${m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+  m = String(s).trim().match(/^([A-Za-z]+)\.?\s+(\d{1,2}),\s*(\d{4})$/);
+  const month = m ? MONTH_NAMES.indexOf(m[1].slice(0, 3).toLowerCase()) : -1;
+  if (month >= 0) return `${m[3]}-${String(month + 1).padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+  return null;
+}
+
+/* =========================================================
+   Index series
+   ========================================================= */
+
+// [{ date: "YYYY-MM-DD", value }] ascending, blank cells skipped.
+export function treasurySeries(parsed, maturity) {
+  if (!parsed?.rows?.length) return [];
+  const byDate = new Map();
+  for (const r of parsed.rows) {
+    const date = toISODate(r.Date);
+    const value = safeNum(r[maturity], NaN);
+    if (date && isFinite(value)) byDate.set(date, value);
+  }
+  return [...byDate.entries()]
+    .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+    .map(([date, value]) => ({ date, value }));
+}
+
+// Latest observation on or before `iso` (weekends/holidays use the prior
+// business day). Null if the date is before the series starts.
+export function indexOnOrBefore(series, iso) {
+  let lo = 0;
+  let hi = series.length - 1;
+  let found = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (series[mid].date <= iso) {
+      found = series[mid];
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+// Index lookup for the ARM engine: payment month m starts m - 1 months
+// after the loan start, and a reset in that month uses the yield observed
+// on that date. Resets before the file starts come back with value NaN;
+// resets well past its end reuse the last value and are flagged stale.
+const STALE_AFTER_DAYS = 31;
+
+export function treasuryIndexLookup(series, startDate) {
+  const last = series[series.length - 1];
+  return (month) => {
+    const date = addMonthsISO(startDate, month - 1);
+    const obs = indexOnOrBefore(series, date);
+    if (!obs) return { date, observedDate: null, value: NaN, stale: false };
+    return { date, observedDate: obs.date, value: obs.value, stale: obs === last && daysBetweenISO(last.date, date) > STALE_AFTER_DAYS };
+  };
+}
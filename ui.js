@@ -0,0 +1,74 @@
+/* =========================================================
+   Shared page helpers (DOM lookup, formatting, clipboard)
+   ========================================================= */
+export const $ = (id) => document.getElementById(id);
+
+export function fmtUSD(x) {
+  if (!isFinite(x)) return "—";
+  return x.toLocaleString(undefined, {
+    style: "currency",
+    currency: "USD",
+    maximumFractionDigits: 0
+  });
+}
+export function fmtUSD2(x) {
+  if (!isFinite(x)) return "—";
+  return x.toLocaleString(undefined, {
+    style: "currency",
+    currency: "USD",
+    maximumFractionDigits: 2
+  });
+}
+export function fmtSignedUSD(x) {
+  if (!isFinite(x)) return "—";
+  return (x > 0 ? "+" : "") + fmtUSD(x);
+}
+// Ratio → percent (0.0125 → "1.25%")
+export function fmtPct(x) {
+  if (!isFinite(x)) return "—";
+  return (x * 100).toFixed(2) + "%";
+}
+// Already a percent (6.5 → "6.50%")
+export function fmtPct2(x) {
+  if (!isFinite(x)) return "—";
+  return x.toFixed(2) + "%";
+}
+
+export function copyText(text, statusEl, ok = "Copied.") {
+  navigator.clipboard.writeText(text).then(() => {
+    if (statusEl) {
+      statusEl.textContent = ok;
+      setTimeout(() => (statusEl.textContent = ""), 1400);
+    }
+  }).catch(() => {
+    if (statusEl) statusEl.textContent = "Copy failed (clipboard blocked).";
+  });
+}
+
+/* =========================================================
+   URL state glue (see urlstate.js)
+   ========================================================= */
+// Current value of every field in a page schema, keyed by element id.
+export function readFields(schema) {
+  const out = {};
+  Object.keys(schema).forEach(id => {
+    const el = $(id);
+    if (el) out[id] = el.value;
+  });
+  return out;
+}
+
+export function writeFields(values) {
+  Object.entries(values).forEach(([id, v]) => {
+    const el = $(id);
+    if (el) el.value = v;
+  });
+}
+
+// Page URL carrying the given query string (keeps path, drops hash).
+export function pageURL(query) {
+  const url = new URL(window.location.href);
+  url.search = query;
+  url.hash = "";
+  return url.toString();
+}
@@ -0,0 +1,255 @@
+/* =========================================================
+   Shareable URL state
+   =========================================================
+   Every input on the calculator, stress and compare pages is
+   described by a small schema keyed by element id. Links carry
+   "v=<version>" plus only the fields that differ from their
+   defaults, so short links stay short and a restore always
+   sets every field.
+
+   Version history:
+     1 — calculator only: p, apr, term, delta (no "v" param).
+         stress.js also read p, apr, term, extra.
+     2 — every input, keyed by element id.
+
+   Pure module; the pages read/write their inputs (see ui.js
+   readFields / writeFields) and pass values in and out.
+========================================================= */
+
+import { DAY_COUNTS, isISODate } from "./calendar.js";
+import { LOAN_STRUCTURES } from "./finance.js";
+
+export const URL_STATE_VERSION = 2;
+
+const num = (def = "", min = -Infinity, max = Infinity) => ({ type: "number", def, min, max });
+const oneOf = (def, values) => ({ type: "enum", def, values });
+const date = () => ({ type: "date", def: "" });
+const text = (def = "", maxLength = 2000) => ({ type: "text", def, maxLength });
+
+const MONEY = 1e9;
+const RATE = 100;
+
+function loanSchema(prefix) {
+  return {
+    [`${prefix}Type`]: oneOf("mortgage", ["mortgage", "auto", "student"]),
+    [`${prefix}P`]: num("", 0, MONEY),
+    [`${prefix}Term`]: num("", 0, 100),
+    [`${prefix}Apr`]: num("", 0, RATE),
+    [`${prefix}Extra`]: num("0", 0, MONEY),
+    [`${prefix}Tax`]: num("", 0, MONEY),
+    [`${prefix}Ins`]: num("", 0, MONEY),
+    [`${prefix}Hoa`]: num("0", 0, MONEY),
+  };
+}
+
+// Defaults mirror the value="" / selected attributes in each page's HTML.
+export const PAGE_SCHEMAS = {
+  calculator: {
+    loanType: oneOf("mortgage", ["mortgage", "auto", "student", "creditcard"]),
+    principal: num("", 0, MONEY),
+    termYears: num("", 0, 100),
+    loanStructure: oneOf("amortizing", LOAN_STRUCTURES),
+    ioYears: num("", 0, 100),
+    recastShock: num("0", -RATE, RATE),
+    balloonAmortYears: num("", 0, 100),
+    apr: num("", 0, RATE),
+    rateSource: text("", 200),
+    loanStartDate: date(),
+    firstPaymentDate: date(),
+    dayCount: oneOf("30/360", DAY_COUNTS),
+    extraPayment: num("0", 0, MONEY),
+    extraStartMonth: num("1", 1, 1200),
+    payFrequency: oneOf("monthly", ["monthly", "biweekly"]),
+    yearlyExtra: num("", 0, MONEY),
+    yearlyExtraMonth: num("12", 1, 12),
+    lumpSum: num("", 0, MONEY),
+    lumpSumMonth: num("", 1, 1200),
+    delta: oneOf("0", ["0", "0.25", "0.50", "1.00", "custom"]),
+    customDelta: num("", -RATE, RATE),
+    ccMode: oneOf("minimum", ["minimum", "fixed"]),
+    ccFixedPayment: num("", 0, MONEY),
+    ccMinPct: num("1", 0, 100),
+    ccMinFloor: num("25", 0, MONEY),
+    annualTax: num("", 0, MONEY),
+    annualIns: num("", 0, MONEY),
+    monthlyHOA: num("0", 0, MONEY),
+    taxGrowth: num("0", -50, 50),
+    insGrowth: num("0", -50, 50),
+    hoaGrowth: num("0", -50, 50),
+    escrowCushion: oneOf("2", ["0", "1", "2"]),
+    homeValue: num("", 0, MONEY),
+    downPayment: num("", 0, MONEY),
+    pmiRate: num("", 0, 10),
+    pmiRemoval: oneOf("0.78", ["0.78", "0.80"]),
+    sensAxis: oneOf("years", ["years", "principal"]),
+    sensMetric: oneOf("payment", ["payment", "paymentChange", "totalInterest"]),
+    refiApr: num("", 0, RATE),
+    refiTermYears: num("", 0, 100),
+    refiClosingCosts: num("", 0, MONEY),
+    refiCostMode: oneOf("upfront", ["upfront", "rolled"]),
+    refiKeepYears: num("", 0, 100),
+    affBudget: num("", 0, MONEY),
+    affIncome: num("", 0, MONEY),
+    affFrontDti: num("28", 0, 100),
+    affBackDti: num("36", 0, 100),
+    affOtherDebts: num("0", 0, MONEY),
+    gsVary: oneOf("apr", ["apr", "principal", "years", "extra"]),
+    gsOutput: oneOf("payment", ["payment", "totalInterest", "payoffMonth"]),
+    gsTarget: num("", 0, MONEY),
+    reportPreparer: text("", 200),
+    reportNote: text(),
+  },
+
+  stress: {
+    stMode: oneOf("steps", ["steps", "arm", "montecarlo"]),
+    stBaseApr: num("", 0, RATE),
+    stPrincipal: num("", 0, MONEY),
+    stTermYears: num("", 0, 100),
+    stExtra: num("0", 0, MONEY),
+    stExtraMode: oneOf("shorten", ["shorten", "recast"]),
+    stStructure: oneOf("amortizing", LOAN_STRUCTURES),
+    stIoYears: num("", 0, 100),
+    stBalloonAmortYears: num("", 0, 100),
+    stPreset: oneOf("none", [
+      "none", "gentle", "moderate", "shock",
+      "replay:1979-81", "replay:1994", "replay:2004-06", "replay:2022-23"
+    ]),
+    stReplaySeries: oneOf("pmms30", ["pmms30", "gs1", "gs10"]),
+    stStep: num("0.25", -RATE, RATE),
+    stEveryMonths: num("3", 1, 1200),
+    stDurationMonths: num("24", 0, 1200),
+    stCapApr: num("", 0, RATE),
+    armStartDate: date(),
+    armFixedYears: num("5", 0, 100),
+    armAdjustEveryMonths: num("12", 1, 1200),
+    armIndexMode: oneOf("constant", ["constant", "treasury_history", "manual_schedule"]),
+    armIndexValue: num("", -RATE, RATE),
+    armIndexRateSource: text("", 200),
+    armIndexMaturity: oneOf("1 Yr", ["1 Yr", "2 Yr", "5 Yr", "10 Yr"]),
+    armIndexSchedule: text(),
+    armMargin: num("2.75", -RATE, RATE),
+    armPeriodicCap: num("2.00", 0, RATE),
+    armLifetimeCap: num("5.00", 0, RATE),
+    armFloor: num("", 0, RATE),
+    armSimYears: num("", 0, 100),
+    mcPaths: num("2000", 10, 5000),
+    mcMean: num("", -RATE, RATE),
+    mcSpeed: num("0.30", 0, 100),
+    mcVol: num("1.00", 0, RATE),
+    mcDrift: num("0", -RATE, RATE),
+    mcLimit: num("", 0, MONEY),
+    mcSeed: num("", 0, 2 ** 32),
+    stGsVary: oneOf("startApr", ["startApr", "stepSize", "margin", "indexValue", "extraMonthly", "principal"]),
+    stGsOutput: oneOf("worstPayment", [
+      "worstPayment", "totalInterest", "payoffMonth",
+      "risk:Moderate", "risk:High", "risk:Severe"
+    ]),
+    stGsTarget: num("", 0, MONEY),
+  },
+
+  compare: {
+    ...loanSchema("a"),
+    ...loanSchema("b"),
+  },
+};
+
+// v1 param → v2 field id, per page.
+const V1_KEYS = {
+  calculator: { p: "principal", apr: "apr", term: "termYears", delta: "delta" },
+  stress: { p: "stPrincipal", apr: "stBaseApr", term: "stTermYears", extra: "stExtra" },
+  compare: {},
+};
+
+export function defaultState(page) {
+  const out = {};
+  for (const [id, spec] of Object.entries(PAGE_SCHEMAS[page])) out[id] = spec.def;
+  return out;
+}
+
+// Returns the cleaned string, or null when the value doesn't fit the spec.
+export function validateField(spec, raw) {
+  const v = String(raw ?? "").trim();
+  if (v === "") return spec.type === "enum" ? null : "";
+
+  switch (spec.type) {
+    case "number": {
+      const n = Number(v);
+      return (isFinite(n) && n >= spec.min && n <= spec.max) ? v : null;
+    }
+    case "enum":
+      return spec.values.includes(v) ? v : null;
+    case "date":
+      return isISODate(v) ? v : null;
+    case "text":
+      return v.length <= spec.maxLength ? String(raw) : null;
+    default:
+      return null;
+  }
+}
+
+// Query string ("v=2&…", no leading "?") for the given field values.
+export function encodeState(page, values) {
+  const schema = PAGE_SCHEMAS[page];
+  const params = new URLSearchParams();
+  params.set("v", String(URL_STATE_VERSION));
+  for (const [id, spec] of Object.entries(schema)) {
+    const clean = validateField(spec, values[id]);
+    if (clean === null || clean === spec.def) continue;
+    params.set(id, clean);
+  }
+  return params.toString();
+}
+
+/*
+  Reads a query string back into a full set of field values.
+  Returns { present, version, migrated, values, invalid }:
+    present  — the URL carried any state for this page
+    migrated — it was an older format (rewrite the URL with encodeState)
+    invalid  — field ids whose values were rejected and reset to default
+*/
+export function decodeState(page, search) {
+  const schema = PAGE_SCHEMAS[page];
+  const params = new URLSearchParams(search);
+  const values = defaultState(page);
+  const invalid = [];
+
+  let version = Number(params.get("v"));
+  if (!params.has("v")) version = 1;
+
+  let source = params;
+  if (version === 1) {
+    source = new URLSearchParams();
+    for (const [oldKey, id] of Object.entries(V1_KEYS[page])) {
+      if (params.has(oldKey)) source.set(id, params.get(oldKey));
+    }
+  }
+
+  let present = false;
+  for (const [id, spec] of Object.entries(schema)) {
+    if (!source.has(id)) continue;
+    present = true;
+    const clean = validateField(spec, source.get(id));
+    if (clean === null) invalid.push(id);
+    else values[id] = clean;
+  }
+
+  return { present, version, migrated: present && version < URL_STATE_VERSION, values, invalid };
+}
+
+/*
+  Validates a partial set of field values, e.g. a localStorage handoff
+  from another page. Unknown ids are dropped; rejected ones are listed
+  in `invalid` and left out of `values`.
+*/
+export function cleanFields(page, fields) {
+  const schema = PAGE_SCHEMAS[page];
+  const values = {};
+  const invalid = [];
+  for (const [id, raw] of Object.entries(fields || {})) {
+    if (!schema[id]) continue;
+    const clean = validateField(schema[id], raw);
+    if (clean === null) invalid.push(id);
+    else values[id] = clean;
+  }
+  return { values, invalid };
+}
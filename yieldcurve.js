@@ -0,0 +1,110 @@
+/* =========================================================
+   Yield curve shape
+   =========================================================
+   Builds whole-curve snapshots from per-maturity Treasury
+   series (see treasurySeries / ratehistory.js), measures the
+   usual recession-watch spreads, and turns the 10-year yield
+   into a rough mortgage-rate estimate.
+
+     2s10s — 10-year minus 2-year yield
+     3m10y — 10-year minus 3-month yield
+   Either one below zero means that part of the curve is
+   inverted (short rates above long rates).
+
+   Mortgage estimate = 10-year yield + a mortgage spread. The
+   spread is the average PMMS-minus-10-year gap over saved
+   history when there is enough of it, otherwise a long-run
+   average (about 1.7 pts for the 30-year and 1.1 pts for the
+   15-year since the early 1990s).
+========================================================= */
+import { indexOnOrBefore } from "./treasury.js";
+import { addMonthsISO, daysBetweenISO } from "./calendar.js";
+
+export const CURVE_MATURITIES = ["1 Mo", "2 Mo", "3 Mo", "4 Mo", "6 Mo", "1 Yr", "2 Yr", "3 Yr", "5 Yr", "7 Yr", "10 Yr", "20 Yr", "30 Yr"];
+
+// The latest curve plus these look-backs, in months.
+export const CURVE_OVERLAYS = [
+  { label: "1 month ago", months: 1 },
+  { label: "3 months ago", months: 3 },
+  { label: "1 year ago", months: 12 }
+];
+
+export const LONG_RUN_MORTGAGE_SPREAD = { 30: 1.7, 15: 1.1 };
+
+// A snapshot only uses observations this close to the date asked for.
+const CURVE_MAX_GAP_DAYS = 7;
+// Fewer PMMS/10-year pairs than this and the long-run spread is used.
+const MIN_SPREAD_PAIRS = 8;
+
+/*
+  seriesByMaturity: { "10 Yr": [{ date, value }] ascending, ... }
+  Returns { date, points: [{ maturity, value, date }] } with value null
+  where a maturity has nothing within a week of `iso`.
+*/
+export function curveOn(seriesByMaturity, iso) {
+  let latest = null;
+  const points = CURVE_MATURITIES.map(maturity => {
+    const obs = indexOnOrBefore(seriesByMaturity[maturity] || [], iso);
+    if (!obs || daysBetweenISO(obs.date, iso) > CURVE_MAX_GAP_DAYS) return { maturity, value: null, date: null };
+    if (!latest || obs.date > latest) latest = obs.date;
+    return { maturity, value: obs.value, date: obs.date };
+  });
+  return { date: latest, points };
+}
+
+// Latest curve and each overlay; overlays with no data come back null.
+export function curveSnapshots(seriesByMaturity) {
+  const ten = seriesByMaturity["10 Yr"] || [];
+  if (!ten.length) return null;
+  const latestDate = ten[ten.length - 1].date;
+  const latest = curveOn(seriesByMaturity, latestDate);
+  const overlays = CURVE_OVERLAYS.map(o => {
+    const curve = curveOn(seriesByMaturity, addMonthsISO(latestDate, -o.months));
+    return curve.date ? { ...o, ...curve } : null;
+  });
+  return { latest, overlays };
+}
+
+const valueAt = (curve, maturity) => curve.points.find(p => p.maturity === maturity)?.value ?? null;
+const spreadBps = (long, short) => (long === null || short === null ? null : Math.round((long - short) * 100));
+
+export function curveSpreads(curve) {
+  const s2s10 = spreadBps(valueAt(curve, "10 Yr"), valueAt(curve, "2 Yr"));
+  const s3m10y = spreadBps(valueAt(curve, "10 Yr"), valueAt(curve, "3 Mo"));
+  return {
+    s2s10,
+    s3m10y,
+    inverted2s10: s2s10 !== null && s2s10 < 0,
+    inverted3m10y: s3m10y !== null && s3m10y < 0
+  };
+}
+
+/*
+  Average PMMS-minus-10-year gap (pts) over the trailing `years` of PMMS
+  weeks that have a 10-year yield within a week. Null if too few pairs.
+*/
+export function mortgageSpread(pmmsSeries, tenYearSeries, years = 1) {
+  if (!pmmsSeries.length || !tenYearSeries.length) return null;
+  const from = addMonthsISO(pmmsSeries[pmmsSeries.length - 1].date, -12 * years);
+  const gaps = pmmsSeries
+    .filter(p => p.date >= from)
+    .map(p => {
+      const ten = indexOnOrBefore(tenYearSeries, p.date);
+      return ten && daysBetweenISO(ten.date, p.date) <= CURVE_MAX_GAP_DAYS ? p.value - ten.value : null;
+    })
+    .filter(g => g !== null);
+  if (gaps.length < MIN_SPREAD_PAIRS) return null;
+  return { spread: gaps.reduce((a, b) => a + b, 0) / gaps.length, pairs: gaps.length };
+}
+
+// term: 30 or 15. observed: mortgageSpread() result or null.
+export function estimateMortgageRate(tenYear, term = 30, observed = null) {
+  const spread = observed?.spread ?? LONG_RUN_MORTGAGE_SPREAD[term] ?? LONG_RUN_MORTGAGE_SPREAD[30];
+  return {
+    rate: tenYear + spread,
+    tenYear,
+    spread,
+    basis: observed ? "saved" : "longRun",
+    pairs: observed?.pairs ?? 0
+  };
+}